@@ -7,6 +7,19 @@ const { Telegraf, Markup } = require("telegraf");
 const { MongoClient, ObjectId } = require("mongodb");
 const { v4: uuidv4 } = require("uuid");
 const winston = require("winston");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const {
+  parseExportOptions,
+  exportWithdrawals,
+  defaultFileName,
+  describeSummary,
+} = require("./export-withdrawals");
 
 // ─────────────────────────────────────────────
 // CONFIGURATION
@@ -26,8 +39,62 @@ const ADMIN_IDS = ADMIN_ID_STRINGS.reduce((arr, entry) => {
 const DB_NAME = process.env.DB_NAME || "tg_refbot_v2";
 const CONFIRM_DELAY_HOURS = Number(process.env.CONFIRM_DELAY_HOURS || 48);
 const MIN_WITHDRAWAL = Number(process.env.MIN_WITHDRAWAL || 50);
+const MAX_WITHDRAWAL = Number(process.env.MAX_WITHDRAWAL || 0);
+const DAILY_WITHDRAWAL_CAP = Number(process.env.DAILY_WITHDRAWAL_CAP || 0);
+const WEEKLY_WITHDRAWAL_CAP = Number(process.env.WEEKLY_WITHDRAWAL_CAP || 0);
+const WITHDRAW_MIN_ACCOUNT_AGE_DAYS = Number(
+  process.env.WITHDRAW_MIN_ACCOUNT_AGE_DAYS || 0
+);
+const WITHDRAW_COOLDOWN_HOURS = Number(
+  process.env.WITHDRAW_COOLDOWN_HOURS || 0
+);
+const WITHDRAW_MIN_REFERRALS = Number(process.env.WITHDRAW_MIN_REFERRALS || 0);
+const PAYOUT_REVIEW_MULTIPLIER = Number(
+  process.env.PAYOUT_REVIEW_MULTIPLIER || 0
+);
+const PAYOUT_REVIEW_FLOOR = Number(process.env.PAYOUT_REVIEW_FLOOR || 0);
 const REFERRAL_REWARD = Number(process.env.REFERRAL_REWARD || 0.5);
 const REF_LIMIT_PER_HOUR = Number(process.env.REF_LIMIT_PER_HOUR || 20);
+const REF_LIMIT_PER_DAY = Number(process.env.REF_LIMIT_PER_DAY || 100);
+const REF_LIMIT_LIFETIME = Number(process.env.REF_LIMIT_LIFETIME || 0);
+const REF_BURST_LIMIT = Number(process.env.REF_BURST_LIMIT || 200);
+const REF_BURST_WINDOW_MINUTES = Number(
+  process.env.REF_BURST_WINDOW_MINUTES || 5
+);
+const FRAUD_REVIEW_THRESHOLD = Number(process.env.FRAUD_REVIEW_THRESHOLD || 50);
+const MULTI_TIER_ENABLED = process.env.MULTI_TIER_ENABLED === "true";
+const TIER_REWARDS = (process.env.TIER_REWARDS || "0.1,0.05")
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((n) => Number.isFinite(n) && n >= 0);
+const CLAWBACK_WINDOW_DAYS = Number(process.env.CLAWBACK_WINDOW_DAYS || 7);
+const CLAWBACK_RECHECK_HOURS = Number(process.env.CLAWBACK_RECHECK_HOURS || 6);
+const CONTEST_ANNOUNCE_CHAT_ID = process.env.CONTEST_ANNOUNCE_CHAT_ID || "";
+const BROADCAST_RATE_PER_SECOND = Number(
+  process.env.BROADCAST_RATE_PER_SECOND || 20
+);
+const BOT_MODE = process.env.BOT_MODE === "webhook" ? "webhook" : "polling";
+const WEBHOOK_DOMAIN = process.env.WEBHOOK_DOMAIN || "";
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "/telegram/webhook";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const PORT = Number(process.env.PORT || (BOT_MODE === "webhook" ? 8080 : 0));
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+const AUDIT_CHANNEL_ID = process.env.AUDIT_CHANNEL_ID || "";
+const PAYOUT_PROVIDER = (process.env.PAYOUT_PROVIDER || "manual").toLowerCase();
+const PAYOUT_GATEWAY_URL = process.env.PAYOUT_GATEWAY_URL || "";
+const PAYOUT_GATEWAY_KEY = process.env.PAYOUT_GATEWAY_KEY || "";
+const PAYOUT_GATEWAY_SECRET = process.env.PAYOUT_GATEWAY_SECRET || "";
+const PAYOUT_CALLBACK_PATH =
+  process.env.PAYOUT_CALLBACK_PATH || "/payouts/callback";
+const PAYOUT_CALLBACK_URL = process.env.PAYOUT_CALLBACK_URL || "";
+const PAYOUT_BATCH_SIZE = Number(process.env.PAYOUT_BATCH_SIZE || 50);
+const PAYOUT_MAX_ATTEMPTS = Number(process.env.PAYOUT_MAX_ATTEMPTS || 5);
+const PAYOUT_METHOD_TYPES = (
+  process.env.PAYOUT_METHODS || "upi,bank,paytm,crypto"
+)
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
 const NODE_ENV = process.env.NODE_ENV || "production";
 
 if (!BOT_TOKEN || !MONGO_URI) {
@@ -55,23 +122,227 @@ logger.info(`Admins configured: ${ADMIN_IDS.length ? ADMIN_IDS.join(", ") : "non
 
 const UPI_REGEX = /^[\w.\-]{2,}@[a-zA-Z]{2,}$/;
 
+// ─────────────────────────────────────────────
+// PAYOUT METHODS (UPI, bank, Paytm, crypto)
+// ─────────────────────────────────────────────
+const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const BASE58 = "[1-9A-HJ-NP-Za-km-z]";
+const CRYPTO_NETWORKS = {
+  BTC: new RegExp(`^(bc1[02-9ac-hj-np-z]{11,71}|[13]${BASE58}{25,34})$`),
+  ETH: /^0x[0-9a-fA-F]{40}$/,
+  BEP20: /^0x[0-9a-fA-F]{40}$/,
+  TRC20: new RegExp(`^T${BASE58}{33}$`),
+  SOL: new RegExp(`^${BASE58}{32,44}$`),
+  LTC: new RegExp(`^(ltc1[02-9ac-hj-np-z]{11,71}|[LM3]${BASE58}{26,33})$`),
+};
+const CRYPTO_NETWORK_ALIASES = { ERC20: "ETH", BSC: "BEP20", TRON: "TRC20" };
+const MAX_PAYOUT_METHODS = 5;
+
+function maskTail(value, visible = 4) {
+  const text = String(value);
+  return text.length <= visible ? text : `••••${text.slice(-visible)}`;
+}
+
+// parse() turns the user's text into stored details; describe() is the short
+// label users see and destination() the full string admins pay to.
+const PAYOUT_METHODS = {
+  upi: {
+    label: "UPI",
+    emoji: "🏦",
+    prompt: "Send your UPI ID, e.g. name@bank.",
+    parse(text) {
+      const vpa = text.trim();
+      if (!UPI_REGEX.test(vpa))
+        return { ok: false, error: "That is not a valid UPI ID (name@bank)." };
+      return { ok: true, details: { vpa } };
+    },
+    describe: (d) => d.vpa,
+    destination: (d) => d.vpa,
+  },
+  bank: {
+    label: "Bank account",
+    emoji: "🏛",
+    prompt:
+      "Send the IFSC, account number and account holder name separated by spaces, e.g. HDFC0001234 50100123456789 Asha Rao.",
+    parse(text) {
+      const [ifscRaw = "", account = "", ...nameParts] = text
+        .trim()
+        .split(/\s+/);
+      const ifsc = ifscRaw.toUpperCase();
+      const name = nameParts.join(" ");
+      if (!IFSC_REGEX.test(ifsc))
+        return {
+          ok: false,
+          error:
+            "The IFSC must look like HDFC0001234 (4 letters, 0, 6 characters).",
+        };
+      if (!/^\d{9,18}$/.test(account))
+        return { ok: false, error: "The account number must be 9–18 digits." };
+      if (!/^[A-Za-z][A-Za-z .']{1,59}$/.test(name))
+        return {
+          ok: false,
+          error: "Add the account holder name after the number.",
+        };
+      return { ok: true, details: { ifsc, account, name } };
+    },
+    describe: (d) => `${d.ifsc} ${maskTail(d.account)}`,
+    destination: (d) => `${d.name} / ${d.account} / ${d.ifsc}`,
+  },
+  paytm: {
+    label: "Paytm wallet",
+    emoji: "📱",
+    prompt: "Send the 10-digit mobile number linked to your Paytm wallet.",
+    parse(text) {
+      const match = text
+        .replace(/[\s-]/g, "")
+        .match(/^(?:\+?91|0)?([6-9]\d{9})$/);
+      if (!match)
+        return {
+          ok: false,
+          error: "Send a valid 10-digit Indian mobile number.",
+        };
+      return { ok: true, details: { mobile: match[1] } };
+    },
+    describe: (d) => `+91 ${maskTail(d.mobile)}`,
+    destination: (d) => `+91${d.mobile}`,
+  },
+  crypto: {
+    label: "Crypto",
+    emoji: "🪙",
+    prompt: `Send the network and address separated by a space, e.g. TRC20 TXYZ…. Networks: ${Object.keys(
+      CRYPTO_NETWORKS
+    ).join(", ")}.`,
+    parse(text) {
+      const [networkRaw = "", address = "", extra] = text.trim().split(/\s+/);
+      const upper = networkRaw.toUpperCase();
+      const network = CRYPTO_NETWORK_ALIASES[upper] || upper;
+      if (!CRYPTO_NETWORKS[network] || extra !== undefined)
+        return {
+          ok: false,
+          error: `Start with one of ${Object.keys(CRYPTO_NETWORKS).join(
+            ", "
+          )}, then the address.`,
+        };
+      if (!CRYPTO_NETWORKS[network].test(address))
+        return { ok: false, error: `That is not a valid ${network} address.` };
+      return { ok: true, details: { network, address } };
+    },
+    describe: (d) =>
+      `${d.network} ${d.address.slice(0, 6)}…${d.address.slice(-4)}`,
+    destination: (d) => `${d.network}:${d.address}`,
+  },
+};
+const ENABLED_PAYOUT_METHODS = PAYOUT_METHOD_TYPES.filter((type) => {
+  if (PAYOUT_METHODS[type]) return true;
+  logger.warn(`Ignoring unknown PAYOUT_METHODS entry: ${type}`);
+  return false;
+});
+
+function payoutMethodLabel(method) {
+  const def = PAYOUT_METHODS[method.type];
+  return `${def.emoji} ${def.label}: ${def.describe(method.details)}`;
+}
+
+function savedPayoutMethods(user) {
+  return (user?.payoutMethods || []).filter((m) => PAYOUT_METHODS[m.type]);
+}
+
+function findPayoutMethod(user, id) {
+  return savedPayoutMethods(user).find((m) => m.id === id) || null;
+}
+
+function defaultPayoutMethod(user) {
+  const methods = savedPayoutMethods(user);
+  return (
+    methods.find((m) => m.id === user.defaultPayoutMethodId) ||
+    methods[0] ||
+    null
+  );
+}
+
+// A method's own minimum never undercuts the global minimum withdrawal.
+function payoutMethodLimits(type) {
+  return {
+    min: Math.max(
+      getSetting("minWithdrawal"),
+      getSetting(`${type}MinWithdrawal`)
+    ),
+    feeFlat: getSetting(`${type}Fee`),
+    feePercent: getSetting(`${type}FeePercent`),
+  };
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function describeFeeRule({ feeFlat, feePercent }) {
+  const parts = [];
+  if (feeFlat) parts.push(formatAmount(feeFlat));
+  if (feePercent) parts.push(`${feePercent}%`);
+  return parts.length ? `fee ${parts.join(" + ")}` : "no fee";
+}
+
+function withdrawablePayoutMethods(user) {
+  return savedPayoutMethods(user).filter((m) =>
+    ENABLED_PAYOUT_METHODS.includes(m.type)
+  );
+}
+
+function describeSavedPayoutMethods(user) {
+  const methods = savedPayoutMethods(user);
+  if (!methods.length) return "—";
+  const more = methods.length > 1 ? ` (+${methods.length - 1} more)` : "";
+  return payoutMethodLabel(defaultPayoutMethod(user)) + more;
+}
+
+function describePayoutMethodLimits(type) {
+  const limits = payoutMethodLimits(type);
+  return `min ${formatAmount(limits.min)}, ${describeFeeRule(limits)}`;
+}
+
+function describeWithdrawalDestination(w) {
+  const destination = w.payoutDestination || w.upi;
+  if (!destination) return "—";
+  const def = PAYOUT_METHODS[w.method || "upi"];
+  return `${def ? def.label : w.method} ${destination}`;
+}
+
 // ─────────────────────────────────────────────
 // INIT BOT + DB
 // ─────────────────────────────────────────────
 const bot = new Telegraf(BOT_TOKEN);
-let db,
+// A handler error must not escape: in webhook mode it would turn into a 500
+// and Telegram would redeliver the same update, stalling everything behind it.
+bot.catch((err, ctx) => {
+  logger.error(
+    `Unhandled error in ${ctx.updateType} update ${ctx.update?.update_id} from ${ctx.from?.id}: ${err.message}`
+  );
+});
+let mongoClient,
+  db,
   usersCol,
   pendingCol,
   withdrawalsCol,
   refsCol,
   tasksCol,
   supportCol,
-  requiredChannelsCol;
+  requiredChannelsCol,
+  ledgerCol,
+  settingsCol,
+  taskCompletionsCol,
+  badgesCol,
+  contestsCol,
+  broadcastsCol,
+  settlementsCol,
+  moderationCol,
+  adminRolesCol,
+  adminAuditCol;
 
 async function connectDB() {
-  const client = new MongoClient(MONGO_URI); // modern driver
-  await client.connect();
-  db = client.db(DB_NAME);
+  mongoClient = new MongoClient(MONGO_URI); // modern driver
+  await mongoClient.connect();
+  db = mongoClient.db(DB_NAME);
   usersCol = db.collection("users");
   pendingCol = db.collection("pending");
   withdrawalsCol = db.collection("withdrawals");
@@ -79,15 +350,686 @@ async function connectDB() {
   tasksCol = db.collection("tasks");
   supportCol = db.collection("support");
   requiredChannelsCol = db.collection("requiredChannels");
+  ledgerCol = db.collection("ledger");
+  settingsCol = db.collection("settings");
+  taskCompletionsCol = db.collection("taskCompletions");
+  badgesCol = db.collection("badges");
+  contestsCol = db.collection("contests");
+  broadcastsCol = db.collection("broadcasts");
+  settlementsCol = db.collection("settlements");
+  moderationCol = db.collection("moderation");
+  adminRolesCol = db.collection("adminRoles");
+  adminAuditCol = db.collection("admin_audit");
 
   await usersCol.createIndex({ telegramId: 1 }, { unique: true });
   await usersCol.createIndex({ referralCode: 1 }, { unique: true });
   await pendingCol.createIndex({ createdAt: 1 });
+  await pendingCol.createIndex({ referrerId: 1, createdAt: -1 });
+  await pendingCol.createIndex({ status: 1 });
   await withdrawalsCol.createIndex({ status: 1 });
+  await withdrawalsCol.createIndex({ userId: 1, requestedAt: -1 });
   await requiredChannelsCol.createIndex({ chatId: 1 }, { unique: true });
+  await ledgerCol.createIndex({ userId: 1, createdAt: -1 });
+  await refsCol.createIndex({ referredId: 1 });
+  await refsCol.createIndex({ referrerId: 1, confirmedAt: -1 });
+  await refsCol.createIndex({ confirmedAt: -1 });
+  await ledgerCol.createIndex({ refId: 1 });
+  await settingsCol.createIndex({ key: 1 }, { unique: true });
+  await tasksCol.createIndex({ active: 1, priority: -1 });
+  await taskCompletionsCol.createIndex(
+    { taskId: 1, userId: 1, periodKey: 1 },
+    { unique: true }
+  );
+  await taskCompletionsCol.createIndex({ status: 1, submittedAt: 1 });
+  await badgesCol.createIndex({ code: 1 }, { unique: true });
+  await contestsCol.createIndex({ status: 1, endAt: 1 });
+  await broadcastsCol.createIndex({ status: 1, queuedAt: 1 });
+  await withdrawalsCol.createIndex({ utr: 1 }, { sparse: true });
+  await withdrawalsCol.createIndex({ providerRef: 1 }, { sparse: true });
+  await settlementsCol.createIndex({ createdAt: -1 });
+  await moderationCol.createIndex({ targetId: 1, createdAt: -1 });
+  await adminRolesCol.createIndex({ telegramId: 1 }, { unique: true });
+  await adminAuditCol.createIndex({ createdAt: -1 });
+  await adminAuditCol.createIndex({ actorId: 1, createdAt: -1 });
+  await adminAuditCol.createIndex({ action: 1, createdAt: -1 });
+  await supportCol.createIndex({ userId: 1, status: 1 });
+  await supportCol.createIndex({ status: 1, updatedAt: 1 });
+  await supportCol.createIndex({
+    "adminMessages.chatId": 1,
+    "adminMessages.messageId": 1,
+  });
   logger.info("✅ MongoDB connected (modern driver)");
 }
 
+async function closeDB() {
+  if (mongoClient) await mongoClient.close();
+}
+
+// ─────────────────────────────────────────────
+// RUNTIME SETTINGS (stored overrides on top of env defaults)
+// ─────────────────────────────────────────────
+// Env values are only the defaults; an admin override in the `settings`
+// collection wins and takes effect without a restart.
+const SETTINGS_SCHEMA = {
+  referralReward: {
+    label: "Referral reward (₹)",
+    type: "number",
+    min: 0,
+    max: 1000,
+    default: REFERRAL_REWARD,
+  },
+  confirmDelayHours: {
+    label: "Confirmation delay (hours)",
+    type: "number",
+    min: 0,
+    max: 720,
+    default: CONFIRM_DELAY_HOURS,
+  },
+  minWithdrawal: {
+    label: "Minimum withdrawal (₹)",
+    type: "number",
+    min: 1,
+    max: 100000,
+    default: MIN_WITHDRAWAL,
+  },
+  maxWithdrawal: {
+    label: "Maximum per withdrawal (₹, 0 = off)",
+    type: "number",
+    min: 0,
+    max: 10000000,
+    default: MAX_WITHDRAWAL,
+  },
+  dailyWithdrawalCap: {
+    label: "Withdrawals per 24h (₹, 0 = off)",
+    type: "number",
+    min: 0,
+    max: 10000000,
+    default: DAILY_WITHDRAWAL_CAP,
+  },
+  weeklyWithdrawalCap: {
+    label: "Withdrawals per 7 days (₹, 0 = off)",
+    type: "number",
+    min: 0,
+    max: 10000000,
+    default: WEEKLY_WITHDRAWAL_CAP,
+  },
+  withdrawMinAccountAgeDays: {
+    label: "Account age to withdraw (days, 0 = off)",
+    type: "integer",
+    min: 0,
+    max: 365,
+    default: WITHDRAW_MIN_ACCOUNT_AGE_DAYS,
+  },
+  withdrawCooldownHours: {
+    label: "Withdrawal cooldown (hours, 0 = off)",
+    type: "number",
+    min: 0,
+    max: 720,
+    default: WITHDRAW_COOLDOWN_HOURS,
+  },
+  withdrawMinReferrals: {
+    label: "Referrals to withdraw (0 = off)",
+    type: "integer",
+    min: 0,
+    max: 100000,
+    default: WITHDRAW_MIN_REFERRALS,
+  },
+  reviewAmountMultiplier: {
+    label: "Review above N× largest payout (0 = off)",
+    type: "number",
+    min: 0,
+    max: 100,
+    default: PAYOUT_REVIEW_MULTIPLIER,
+  },
+  reviewAmountFloor: {
+    label: "Never review up to (₹)",
+    type: "number",
+    min: 0,
+    max: 10000000,
+    default: PAYOUT_REVIEW_FLOOR,
+  },
+  multiTierEnabled: {
+    label: "Multi-tier rewards",
+    type: "boolean",
+    default: MULTI_TIER_ENABLED,
+  },
+  tierRewards: {
+    label: "Tier rewards L2+ (₹)",
+    type: "numberList",
+    min: 0,
+    max: 1000,
+    maxItems: 4,
+    default: TIER_REWARDS,
+  },
+  fraudReviewThreshold: {
+    label: "Fraud review threshold",
+    type: "integer",
+    min: 1,
+    max: 1000,
+    default: FRAUD_REVIEW_THRESHOLD,
+  },
+  refLimitPerHour: {
+    label: "Referrals per hour (0 = off)",
+    type: "integer",
+    min: 0,
+    max: 100000,
+    default: REF_LIMIT_PER_HOUR,
+  },
+  refLimitPerDay: {
+    label: "Referrals per day (0 = off)",
+    type: "integer",
+    min: 0,
+    max: 100000,
+    default: REF_LIMIT_PER_DAY,
+  },
+  refLimitLifetime: {
+    label: "Lifetime referrals (0 = off)",
+    type: "integer",
+    min: 0,
+    max: 10000000,
+    default: REF_LIMIT_LIFETIME,
+  },
+  refBurstLimit: {
+    label: "Global burst limit (0 = off)",
+    type: "integer",
+    min: 0,
+    max: 1000000,
+    default: REF_BURST_LIMIT,
+  },
+  refBurstWindowMinutes: {
+    label: "Burst window (minutes)",
+    type: "integer",
+    min: 1,
+    max: 1440,
+    default: REF_BURST_WINDOW_MINUTES,
+  },
+  clawbackWindowDays: {
+    label: "Clawback window (days, 0 = off)",
+    type: "integer",
+    min: 0,
+    max: 90,
+    default: CLAWBACK_WINDOW_DAYS,
+  },
+};
+for (const type of ENABLED_PAYOUT_METHODS) {
+  const { label } = PAYOUT_METHODS[type];
+  SETTINGS_SCHEMA[`${type}MinWithdrawal`] = {
+    label: `${label} minimum (₹, 0 = global)`,
+    type: "number",
+    min: 0,
+    max: 100000,
+    default: 0,
+  };
+  SETTINGS_SCHEMA[`${type}Fee`] = {
+    label: `${label} flat fee (₹)`,
+    type: "number",
+    min: 0,
+    max: 10000,
+    default: 0,
+  };
+  SETTINGS_SCHEMA[`${type}FeePercent`] = {
+    label: `${label} fee (%)`,
+    type: "number",
+    min: 0,
+    max: 50,
+    default: 0,
+  };
+}
+const SETTINGS_HISTORY_LIMIT = 20;
+const runtimeSettings = {};
+
+async function loadRuntimeSettings() {
+  // A reset keeps the document for its history but drops `value`.
+  const docs = await settingsCol.find({ value: { $exists: true } }).toArray();
+  for (const doc of docs) {
+    if (doc.key in SETTINGS_SCHEMA) runtimeSettings[doc.key] = doc.value;
+  }
+  logger.info(`Loaded ${docs.length} runtime setting override(s)`);
+}
+
+function getSetting(key) {
+  const def = SETTINGS_SCHEMA[key];
+  if (!def) throw new Error(`Unknown setting ${key}`);
+  return key in runtimeSettings ? runtimeSettings[key] : def.default;
+}
+
+function parseSettingValue(key, raw) {
+  const def = SETTINGS_SCHEMA[key];
+  if (!def) return { ok: false, error: `Unknown setting ${key}.` };
+  const input = String(raw ?? "").trim();
+  if (def.type === "boolean") {
+    if (/^(on|true|yes|1)$/i.test(input)) return { ok: true, value: true };
+    if (/^(off|false|no|0)$/i.test(input)) return { ok: true, value: false };
+    return { ok: false, error: "Send on or off." };
+  }
+  if (def.type === "numberList") {
+    const values = input
+      ? input.split(",").map((part) => Number(part.trim()))
+      : [];
+    if (values.some((n) => !Number.isFinite(n)))
+      return {
+        ok: false,
+        error: "Send comma-separated numbers, e.g. 0.1,0.05.",
+      };
+    if (values.length > def.maxItems)
+      return { ok: false, error: `At most ${def.maxItems} values.` };
+    if (values.some((n) => n < def.min || n > def.max))
+      return {
+        ok: false,
+        error: `Each value must be between ${def.min} and ${def.max}.`,
+      };
+    return { ok: true, value: values };
+  }
+  const value = Number(input);
+  if (!input || !Number.isFinite(value))
+    return { ok: false, error: "Send a number." };
+  if (def.type === "integer" && !Number.isInteger(value))
+    return { ok: false, error: "Send a whole number." };
+  if (value < def.min || value > def.max)
+    return { ok: false, error: `Value must be between ${def.min} and ${def.max}.` };
+  return { ok: true, value };
+}
+
+async function updateSetting(key, value, adminId) {
+  if (!(key in SETTINGS_SCHEMA)) throw new Error(`Unknown setting ${key}`);
+  const previous = getSetting(key);
+  const now = new Date();
+  await settingsCol.updateOne(
+    { key },
+    {
+      $set: { key, value, updatedBy: adminId, updatedAt: now },
+      $push: {
+        history: {
+          $each: [{ value, previous, by: adminId, at: now }],
+          $slice: -SETTINGS_HISTORY_LIMIT,
+        },
+      },
+    },
+    { upsert: true }
+  );
+  runtimeSettings[key] = value;
+  logger.info(`Setting ${key} changed ${previous} → ${value} by ${adminId}`);
+  await recordAudit(adminId, "setting.update", {
+    targetType: "setting",
+    targetId: key,
+    before: { value: previous },
+    after: { value },
+  });
+}
+
+// Drops the override so the setting follows its env default again, including
+// later changes to that default.
+async function resetSetting(key, adminId) {
+  if (!(key in SETTINGS_SCHEMA)) throw new Error(`Unknown setting ${key}`);
+  const previous = getSetting(key);
+  const now = new Date();
+  await settingsCol.updateOne(
+    { key },
+    {
+      $set: { key, updatedBy: adminId, updatedAt: now },
+      $unset: { value: "" },
+      $push: {
+        history: {
+          $each: [{ reset: true, previous, by: adminId, at: now }],
+          $slice: -SETTINGS_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+  delete runtimeSettings[key];
+  logger.info(`Setting ${key} reset to its default by ${adminId}`);
+  await recordAudit(adminId, "setting.reset", {
+    targetType: "setting",
+    targetId: key,
+    before: { value: previous },
+    after: { value: getSetting(key), default: true },
+  });
+}
+
+function formatSettingValue(key, value = getSetting(key)) {
+  const def = SETTINGS_SCHEMA[key];
+  if (def.type === "boolean") return value ? "on" : "off";
+  if (def.type === "numberList")
+    return value.length ? value.join(", ") : "none";
+  return String(value);
+}
+
+function describeSettingInput(def) {
+  if (def.type === "boolean") return "on or off";
+  if (def.type === "numberList")
+    return `up to ${def.maxItems} comma-separated values between ${def.min} and ${def.max}`;
+  return `a value between ${def.min} and ${def.max}`;
+}
+
+async function showSettingsMenu(ctx) {
+  const keys = Object.keys(SETTINGS_SCHEMA);
+  const text =
+    "⚙️ Runtime settings\n\n" +
+    keys
+      .map((key) => `• ${SETTINGS_SCHEMA[key].label}: ${formatSettingValue(key)}`)
+      .join("\n") +
+    "\n\nTap a setting to view or change it.";
+  const rows = keys.map((key) => [
+    Markup.button.callback(SETTINGS_SCHEMA[key].label, `SETTINGS_VIEW:${key}`),
+  ]);
+  const extra = Markup.inlineKeyboard(rows);
+  if (ctx.updateType === "callback_query") {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(`editMessageText (settings) failed, replying: ${err.message}`);
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function showSettingDetail(ctx, key) {
+  const def = SETTINGS_SCHEMA[key];
+  const doc = await settingsCol.findOne({ key });
+  const lines = [
+    `⚙️ ${def.label}`,
+    `Key: ${key}`,
+    `Current: ${formatSettingValue(key)}${
+      key in runtimeSettings ? "" : " (default)"
+    }`,
+    `Default (env): ${formatSettingValue(key, def.default)}`,
+  ];
+  lines.push(`Allowed: ${describeSettingInput(def)}`);
+  if (doc?.updatedAt)
+    lines.push(
+      `Last changed by ${doc.updatedBy} at ${new Date(doc.updatedAt).toLocaleString()}`
+    );
+  const rows = [
+    [Markup.button.callback("✏️ Change", `SETTINGS_EDIT:${key}`)],
+    [Markup.button.callback("↩ Reset to default", `SETTINGS_RESET:${key}`)],
+    [Markup.button.callback("⬅ Back", "SETTINGS_MENU")],
+  ];
+  try {
+    await ctx.editMessageText(lines.join("\n"), Markup.inlineKeyboard(rows));
+  } catch (err) {
+    logger.debug(`editMessageText (setting detail) failed, replying: ${err.message}`);
+    await ctx.reply(lines.join("\n"), Markup.inlineKeyboard(rows));
+  }
+}
+
+// ─────────────────────────────────────────────
+// ADMIN ROLES (permissions per role, owners managed in Mongo)
+// ─────────────────────────────────────────────
+// ADMIN_IDS from env are always owners so a bad role edit can never lock
+// everyone out. Everyone else gets a role from the `adminRoles` collection,
+// cached in memory because permission checks run on every admin update.
+const ADMIN_ROLES = {
+  owner: { label: "Owner", permissions: ["*"] },
+  finance: {
+    label: "Finance",
+    permissions: ["withdrawals", "ledger", "exports", "users.view"],
+  },
+  moderator: {
+    label: "Moderator",
+    permissions: [
+      "referrals",
+      "users.view",
+      "users.moderate",
+      "tasks",
+      "rewards",
+      "channels",
+      "broadcast",
+    ],
+  },
+  support: { label: "Support", permissions: ["support", "users.view"] },
+};
+
+const adminRoleCache = new Map();
+
+async function loadAdminRoles() {
+  const docs = await adminRolesCol.find({}).toArray();
+  adminRoleCache.clear();
+  for (const doc of docs) {
+    if (ADMIN_ROLES[doc.role]) adminRoleCache.set(doc.telegramId, doc.role);
+    else
+      logger.warn(
+        `Ignoring unknown admin role ${doc.role} for ${doc.telegramId}`
+      );
+  }
+  logger.info(`Loaded ${adminRoleCache.size} admin role(s) from the database`);
+}
+
+function roleOf(id) {
+  const numericId = Number(id);
+  if (ADMIN_IDS.includes(numericId)) return "owner";
+  return adminRoleCache.get(numericId) || null;
+}
+
+function hasPermission(id, permission) {
+  const role = ADMIN_ROLES[roleOf(id)];
+  if (!role) return false;
+  return (
+    role.permissions.includes("*") || role.permissions.includes(permission)
+  );
+}
+
+// Everyone who should be pinged about work needing `permission`.
+function adminIdsWith(permission) {
+  const ids = new Set(ADMIN_IDS);
+  for (const id of adminRoleCache.keys()) ids.add(id);
+  return [...ids].filter((id) => hasPermission(id, permission));
+}
+
+async function setAdminRole(telegramId, role, grantedBy) {
+  if (!ADMIN_ROLES[role]) throw new Error(`Unknown role ${role}`);
+  const previous = adminRoleCache.get(telegramId) || null;
+  await adminRolesCol.updateOne(
+    { telegramId },
+    {
+      $set: { role, grantedBy, grantedAt: new Date() },
+      $setOnInsert: { telegramId },
+    },
+    { upsert: true }
+  );
+  adminRoleCache.set(telegramId, role);
+  logger.info(`Admin role ${role} granted to ${telegramId} by ${grantedBy}`);
+  await recordAudit(grantedBy, "role.set", {
+    targetType: "user",
+    targetId: telegramId,
+    before: { role: previous },
+    after: { role },
+  });
+}
+
+async function removeAdminRole(telegramId, removedBy) {
+  const result = await adminRolesCol.findOneAndDelete({ telegramId });
+  adminRoleCache.delete(telegramId);
+  if (!result.value) return false;
+  logger.info(`Admin role removed from ${telegramId} by ${removedBy}`);
+  await recordAudit(removedBy, "role.remove", {
+    targetType: "user",
+    targetId: telegramId,
+    before: { role: result.value.role },
+    after: { role: null },
+  });
+  return true;
+}
+
+// ─────────────────────────────────────────────
+// ADMIN AUDIT LOG (insert-only record of privileged actions)
+// ─────────────────────────────────────────────
+// Nothing in the bot updates or deletes `admin_audit`; entries are written
+// once after the action succeeds and optionally mirrored to AUDIT_CHANNEL_ID.
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_MIRROR_LIMIT = 3500;
+
+// Drops bulky bookkeeping arrays so snapshots stay readable.
+function auditSnapshot(doc, fields) {
+  if (!doc) return null;
+  if (fields)
+    return Object.fromEntries(
+      fields.map((field) => [field, doc[field] ?? null])
+    );
+  const { history, adminMessages, badgeLog, ...rest } = doc;
+  return rest;
+}
+
+function describeAuditChanges(entry) {
+  if (!entry.before || !entry.after) return [];
+  const keys = new Set([
+    ...Object.keys(entry.before),
+    ...Object.keys(entry.after),
+  ]);
+  const changes = [];
+  for (const key of keys) {
+    const before = JSON.stringify(entry.before[key] ?? null);
+    const after = JSON.stringify(entry.after[key] ?? null);
+    if (before !== after) changes.push(`${key}: ${before} → ${after}`);
+  }
+  return changes;
+}
+
+function formatAuditEntry(entry, { detailed = false } = {}) {
+  const when = new Date(entry.createdAt)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ");
+  const lines = [
+    `${when} ${entry.action} — admin ${entry.actorId}${
+      entry.targetId !== null ? ` → ${entry.targetType} ${entry.targetId}` : ""
+    }`,
+  ];
+  const changes = describeAuditChanges(entry);
+  if (detailed && entry.args) lines.push(`Args: ${JSON.stringify(entry.args)}`);
+  if (changes.length) lines.push(...changes.map((c) => `  ${c}`));
+  else if (detailed && entry.after)
+    lines.push(`After: ${JSON.stringify(entry.after)}`);
+  return lines.join("\n");
+}
+
+async function mirrorAuditEntry(entry) {
+  if (!AUDIT_CHANNEL_ID) return;
+  let text = `🧾 ${formatAuditEntry(entry, { detailed: true })}`;
+  if (text.length > AUDIT_MIRROR_LIMIT)
+    text = text.slice(0, AUDIT_MIRROR_LIMIT) + "…";
+  try {
+    await bot.telegram.sendMessage(AUDIT_CHANNEL_ID, text);
+  } catch (err) {
+    logger.warn(
+      `Could not mirror audit entry to ${AUDIT_CHANNEL_ID}: ${err.message}`
+    );
+  }
+}
+
+// The action has already happened by the time this runs, so a failed insert
+// is logged loudly rather than thrown back at the admin.
+async function recordAudit(actorId, action, details = {}) {
+  const entry = {
+    actorId: Number(actorId),
+    actorRole: roleOf(actorId),
+    action,
+    targetType: details.targetType || null,
+    targetId: details.targetId ?? null,
+    before: details.before ?? null,
+    after: details.after ?? null,
+    args: details.args ?? null,
+    createdAt: new Date(),
+  };
+  if (entry.targetId !== null) entry.targetId = String(entry.targetId);
+  try {
+    await adminAuditCol.insertOne(entry);
+  } catch (err) {
+    logger.error(
+      `Audit insert failed for ${action} by ${actorId}: ${err.message}`
+    );
+    return;
+  }
+  logger.info(
+    `Audit: ${action} by ${actorId}${
+      entry.targetId ? ` on ${entry.targetId}` : ""
+    }`
+  );
+  await mirrorAuditEntry(entry);
+}
+
+// `/audit admin=<id> action=<name|prefix> from=<date> to=<date>`; the parsed
+// filter is kept on the admin's profile so the page buttons stay short.
+function parseAuditFilter(args) {
+  const filter = {};
+  for (const token of args) {
+    const match = token.match(/^(admin|action|from|to)=(.+)$/i);
+    if (!match) throw new Error(`Unknown filter: ${token}`);
+    const key = match[1].toLowerCase();
+    const value = match[2];
+    if (key === "admin") {
+      if (!/^\d+$/.test(value)) throw new Error("admin must be a Telegram ID.");
+      filter.admin = Number(value);
+    } else if (key === "action") {
+      filter.action = value.toLowerCase();
+    } else {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime()))
+        throw new Error(`Invalid ${key} date: ${value}`);
+      filter[key] = date.toISOString();
+    }
+  }
+  return filter;
+}
+
+function buildAuditQuery(filter = {}) {
+  const query = {};
+  if (filter.admin) query.actorId = filter.admin;
+  if (filter.action)
+    query.action = new RegExp(`^${escapeRegex(filter.action)}(\\.|$)`);
+  if (filter.from || filter.to) {
+    query.createdAt = {};
+    if (filter.from) query.createdAt.$gte = new Date(filter.from);
+    if (filter.to) query.createdAt.$lt = new Date(filter.to);
+  }
+  return query;
+}
+
+function describeAuditFilter(filter = {}) {
+  const parts = [];
+  if (filter.admin) parts.push(`admin ${filter.admin}`);
+  if (filter.action) parts.push(`action ${filter.action}`);
+  if (filter.from) parts.push(`from ${filter.from.slice(0, 10)}`);
+  if (filter.to) parts.push(`to ${filter.to.slice(0, 10)}`);
+  return parts.length ? parts.join(", ") : "none";
+}
+
+async function replyAuditLog(ctx, filter, page = 0) {
+  const query = buildAuditQuery(filter);
+  const total = await adminAuditCol.countDocuments(query);
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const entries = await adminAuditCol
+    .find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(current * AUDIT_PAGE_SIZE)
+    .limit(AUDIT_PAGE_SIZE)
+    .toArray();
+  const lines = [
+    `🧾 Audit log — ${total} entr${
+      total === 1 ? "y" : "ies"
+    } (filters: ${describeAuditFilter(filter)})`,
+    "",
+  ];
+  if (!entries.length) lines.push("Nothing recorded for these filters.");
+  for (const entry of entries) lines.push(formatAuditEntry(entry), "");
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Newer", `AUDIT:${current - 1}`));
+  if (current < pages - 1)
+    nav.push(Markup.button.callback("Older ➡", `AUDIT:${current + 1}`));
+  const text = `${lines.join("\n").trim()}\n\nPage ${current + 1}/${pages}`;
+  const extra = nav.length ? Markup.inlineKeyboard([nav]) : {};
+  if (ctx.callbackQuery) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(`editMessageText (audit) failed, replying: ${err.message}`);
+    }
+  }
+  await ctx.reply(text, extra);
+}
 // ─────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────
@@ -95,7 +1037,7 @@ function makeReferralCode() {
   return "ref_" + uuidv4().split("-")[0];
 }
 function isAdmin(id) {
-  return ADMIN_IDS.includes(Number(id));
+  return roleOf(id) !== null;
 }
 async function ensureUserProfile(from) {
   if (!from) return null;
@@ -107,13 +1049,14 @@ async function ensureUserProfile(from) {
       telegramId: tgId,
       username: from.username || null,
       first_name: from.first_name || null,
+      is_premium: Boolean(from.is_premium),
       referralCode: code,
       balance: 0,
       confirmedReferrals: 0,
       createdAt: new Date(),
       badges: [],
-      primaryUPI: null,
-      needsUpiSetup: true,
+      payoutMethods: [],
+      defaultPayoutMethodId: null,
     };
     await usersCol.insertOne(u);
     logger.info(`New user created: ${tgId}`);
@@ -123,9 +1066,9 @@ async function ensureUserProfile(from) {
       updates.username = from.username;
     if (from.first_name && from.first_name !== u.first_name)
       updates.first_name = from.first_name;
-    if (typeof u.primaryUPI === "undefined") updates.primaryUPI = null;
-    if (typeof u.needsUpiSetup === "undefined")
-      updates.needsUpiSetup = !u.primaryUPI;
+    if (Boolean(from.is_premium) !== Boolean(u.is_premium))
+      updates.is_premium = Boolean(from.is_premium);
+    if (!Array.isArray(u.payoutMethods)) updates.payoutMethods = [];
     if (Object.keys(updates).length) {
       await usersCol.updateOne({ telegramId: tgId }, { $set: updates });
       Object.assign(u, updates);
@@ -238,30 +1181,30 @@ async function fetchRequiredChannels() {
   return requiredChannelsCol.find().sort({ createdAt: 1 }).toArray();
 }
 
+async function isChatMember(telegram, chatId, userId) {
+  const chatIdentifier =
+    typeof chatId === "string" && /^-?\d+$/.test(chatId)
+      ? Number(chatId)
+      : chatId;
+  const member = await telegram.getChatMember(chatIdentifier, userId);
+  const status = member?.status;
+  if (ALLOWED_MEMBER_STATUSES.has(status)) return true;
+  return status === "restricted" && Boolean(member?.is_member);
+}
+
 async function collectMissingChannels(ctx, userId) {
   const channels = await fetchRequiredChannels();
   if (!channels.length) return { channels, missing: [] };
   const missing = [];
   for (const [index, channel] of channels.entries()) {
     try {
-      const chatIdentifier =
-        typeof channel.chatId === "string" && /^-?\d+$/.test(channel.chatId)
-          ? Number(channel.chatId)
-          : channel.chatId;
-      const member = await ctx.telegram.getChatMember(
-        chatIdentifier,
-        userId
-      );
-      const status = member?.status;
-      if (!ALLOWED_MEMBER_STATUSES.has(status)) {
-        if (status === "restricted" && member?.is_member) continue;
+      if (!(await isChatMember(ctx.telegram, channel.chatId, userId)))
         missing.push({ channel, index });
-      }
     } catch (err) {
       logger.warn(
         `Failed to verify membership for ${userId} in ${channel.chatId}: ${err.message}`
       );
-      missing.push({ channel, index });
+      missing.push({ channel, index, error: err.message });
     }
   }
   return { channels, missing };
@@ -316,27 +1259,50 @@ async function enforceChannelRequirements(ctx, options = {}) {
 }
 
 function buildHelpText(isAdminUser) {
+  const confirmDelayHours = getSetting("confirmDelayHours");
+  const referralReward = getSetting("referralReward");
+  const minWithdrawal = getSetting("minWithdrawal");
   let text =
     "🤖 *Refer & Earn Bot Help*\n\n" +
     "• /start – receive your personal referral link and quick actions.\n" +
-    `• *How referrals work*: share your link; when a friend joins and stays ${CONFIRM_DELAY_HOURS}h, you earn ₹${REFERRAL_REWARD}. Self-referrals or duplicates are rejected.\n` +
-    "• Track progress: /balance shows earnings, /profile lists stats, /leaderboard shows the top promoters.\n" +
-  "• /setupi – register or update your payout UPI so withdrawals are faster.\n" +
+    `• *How referrals work*: share your link; when a friend joins and stays ${confirmDelayHours}h, you earn ₹${referralReward}. Self-referrals or duplicates are rejected.\n` +
+    "• Track progress: /balance shows earnings, /history lists every credit and debit, /profile lists stats, /leaderboard [day|week|month|all] shows the top promoters, /contests shows referral contests and past winners.\n" +
+  "• /payout – save UPI, bank, Paytm or crypto payout methods and pick your default (/setupi still works).\n" +
   "• /status – check the last few withdrawal requests and their status.\n" +
-    `• Payments: once you reach ₹${MIN_WITHDRAWAL}, run /withdraw. Enter a valid UPI ID; the amount is locked until an admin pays. You can type ‘cancel’ to abort before approval.\n` +
-    "• Bonus tasks (if any) appear under the Tasks button for extra rewards.\n";
+    "• /support – open a support ticket (text, photo or document); admin replies arrive here.\n" +
+    `• Payments: once you reach ₹${minWithdrawal}, run /withdraw, pick an amount (Min, 50%, All or type one) and a payout method; the fee is shown before you confirm, and the amount is locked until an admin pays. You can type ‘cancel’ to abort before approval.\n` +
+    "• Bonus tasks (/tasks or the Tasks button): join channels, visit links, submit proof or check in daily for extra rewards.\n";
   if (isAdminUser) {
     text +=
       "\n\n👮 *Admin tools*:\n" +
       "• /admin – verify admin status, view quick links.\n" +
       "• /adminpanel – open inline admin panel (withdrawals, confirm referrals).\n" +
+      "• /admin_roles [set <user> <role> | remove <user>] – owners grant finance, moderator, support or owner roles.\n" +
+      "• /audit [admin=<id>] [action=<name>] [from=YYYY-MM-DD] [to=YYYY-MM-DD] – browse the admin audit log.\n" +
       "• /admin_withdrawals – list pending payouts.\n" +
   "• /admin_channels – list required join targets.\n" +
   "• /admin_addchannel <chatId> [link] – require joining a channel before usage.\n" +
   "• /admin_removechannel <chatId> – drop a channel from the requirement list.\n" +
       "• /admin_confirm [force] – run referral confirmation now (add 'force' to ignore delay).\n" +
+      "• /admin_review – approve or reject referrals held by the fraud scorer.\n" +
+      "• /admin_clawback – re-check recently confirmed referrals now and reverse those whose user left or blocked the bot.\n" +
+      "• /settings – view and edit runtime settings (reward, delay, minimum withdrawal, limits).\n" +
+      "• /admin_limits [key value] – view or change referral velocity limits.\n" +
       "• /admin_credit <telegramId> <amount> [note] – manually credit a user.\n" +
+      "• /task_add <type> | <reward> | <title> | [description] | [target] | [once|daily] – create a bonus task.\n" +
+      "• /task_edit <taskId> field=value [| field=value] – edit a task; /task_disable <taskId> hides it.\n" +
+      "• /task_list – list all tasks; /task_reviews – approve or reject proof submissions.\n" +
+      "• /admin_export [csv|json|xlsx|bank] [status=…] [method=…] [from=…] [to=…] – download withdrawals as a file.\n" +
+      "• /admin_settle [dry] – upload a bank settlement CSV to mark matching withdrawals paid with their UTR.\n" +
+      "• /user <telegramId|@username|referralCode> – full profile with ban, freeze withdrawals, reset payout methods and reverse-referral buttons (each asks for a reason).\n" +
+      "• /payout_exempt <user> [age|cooldown|referrals|review|all] [on|off] – waive payout rules for one user, or show them with toggles.\n" +
+      "• /broadcast – compose a message (text/photo + link buttons), preview it and send it to a segment; /broadcasts shows progress.\n" +
+      "• /tickets [mine] – work through open support tickets, assign them to yourself or another support admin; reply to a forwarded ticket message to answer it.\n" +
+      "• /badges – list badge rules; /badge_add and /badge_disable|/badge_enable <code> manage them.\n" +
+      "• /contest_create <title> | <start> | <end> | <prizes> | [minAgeDays] | [guard] – start a referral contest; /contest_cancel and /contest_settle <id> manage it.\n" +
+      "• /admin_reconcile [seed] – recompute balances from the ledger and flag mismatches ('seed' records opening balances for pre-ledger users).\n" +
       "• /pay <withdrawalId> – mark a withdrawal as paid and notify the user.\n" +
+      "• /payouts – payout provider status; with the gateway provider, send approved withdrawals now.\n" +
       "• /cancelwithdraw <withdrawalId> – cancel and refund a withdrawal.\n" +
       "• Inline buttons also provide quick access to these actions.";
   }
@@ -349,31 +1315,301 @@ function logCommand(ctx, commandName) {
   logger.info(`${commandName} triggered by ${username} (${userId})`);
 }
 
-async function listPendingWithdrawalsReply(ctx) {
-  const pending = await withdrawalsCol.find({ status: "pending" }).toArray();
-  if (pending.length === 0) {
+function formatUserLabel(user) {
+  if (!user) return "unknown";
+  if (user.username) return "@" + user.username;
+  return user.first_name || String(user.telegramId);
+}
+
+function accountAgeDays(user) {
+  if (!user?.createdAt) return null;
+  return Math.floor((Date.now() - new Date(user.createdAt).getTime()) / 86400000);
+}
+
+const WITHDRAWAL_OUTCOME_LABELS = {
+  approved: "👍 Approved",
+  paid: "✅ Paid",
+  rejected: "🚫 Rejected",
+  cancelled: "❌ Cancelled",
+  failed: "⚠️ Failed",
+};
+
+async function buildWithdrawalCard(w) {
+  const user = await usersCol.findOne({ telegramId: w.userId });
+  const age = accountAgeDays(user);
+  const lines = [
+    `💸 Withdrawal ${formatAmount(w.amount)}`,
+    ...(w.manualReview ? [`🚩 Manual review: ${w.reviewReason}`] : []),
+    `User: ${user ? formatUserLabel(user) : "—"} (${w.userId})`,
+    `Name: ${user?.first_name || "—"}`,
+    `Referrals: ${user?.confirmedReferrals || 0}`,
+    `Account age: ${age === null ? "—" : `${age}d`}`,
+    `Payout: ${describeWithdrawalDestination(w)}`,
+    ...(w.fee
+      ? [`Fee: ${formatAmount(w.fee)} · Send: ${formatAmount(w.netAmount)}`]
+      : []),
+    `Requested: ${w.requestedAt ? new Date(w.requestedAt).toLocaleString() : "—"}`,
+    `ID: ${w._id}`,
+  ];
+  return lines.join("\n");
+}
+
+function buildWithdrawalActionRows(w, page = null) {
+  const suffix = page === null ? "" : `:${page}`;
+  // With an automatic provider admins approve and the provider pays.
+  const settle = payoutProvider.automatic
+    ? Markup.button.callback("👍 Approve", `WD_APPROVE:${w._id}${suffix}`)
+    : Markup.button.callback("✅ Mark paid", `WD_PAY:${w._id}${suffix}`);
+  return [
+    [settle, Markup.button.callback("🚫 Reject", `WD_REJECT:${w._id}${suffix}`)],
+    [Markup.button.callback("👤 Open user", `WD_USER:${w.userId}`)],
+  ];
+}
+
+async function listPendingWithdrawalsReply(ctx, page = 0) {
+  const total = await withdrawalsCol.countDocuments({ status: "pending" });
+  const isCallback = ctx.updateType === "callback_query";
+  if (total === 0) {
     logger.info("No pending withdrawals to display");
+    if (isCallback) {
+      try {
+        await ctx.editMessageText("No pending withdrawals.");
+        return;
+      } catch (err) {
+        logger.debug(`editMessageText (withdrawals) failed: ${err.message}`);
+      }
+    }
     await ctx.reply("No pending withdrawals.");
     return;
   }
-  logger.info(`Listing ${pending.length} pending withdrawals`);
-  let msg = "Pending withdrawals:\n\n";
-  for (const p of pending) {
-    msg += `ID:${p._id}\nUser:${p.userId}\nAmt:₹${p.amount}\nUPI:${p.upi}\n\n`;
+  const current = Math.min(Math.max(page, 0), total - 1);
+  const [w] = await withdrawalsCol
+    .find({ status: "pending" })
+    .sort({ requestedAt: 1 })
+    .skip(current)
+    .limit(1)
+    .toArray();
+  logger.info(`Showing pending withdrawal ${current + 1}/${total}`);
+  const text =
+    `📋 Pending withdrawal ${current + 1}/${total}\n\n` +
+    (await buildWithdrawalCard(w));
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Prev", `ADMIN_WITHDRAWALS:${current - 1}`));
+  nav.push(Markup.button.callback("🔄", `ADMIN_WITHDRAWALS:${current}`));
+  if (current < total - 1)
+    nav.push(Markup.button.callback("Next ➡", `ADMIN_WITHDRAWALS:${current + 1}`));
+  const extra = Markup.inlineKeyboard([
+    ...buildWithdrawalActionRows(w, current),
+    nav,
+  ]);
+  if (isCallback) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(`editMessageText (withdrawals) failed, replying: ${err.message}`);
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function notifyAdminsOfWithdrawal(w) {
+  const text = await buildWithdrawalCard(w);
+  const extra = Markup.inlineKeyboard(buildWithdrawalActionRows(w));
+  const sent = [];
+  for (const adminId of adminIdsWith("withdrawals")) {
+    try {
+      const msg = await bot.telegram.sendMessage(adminId, text, extra);
+      sent.push({ chatId: adminId, messageId: msg.message_id });
+    } catch (err) {
+      logger.debug(`Failed to notify admin ${adminId} of withdrawal: ${err.message}`);
+    }
+  }
+  if (sent.length) {
+    await withdrawalsCol.updateOne(
+      { _id: w._id },
+      { $push: { adminMessages: { $each: sent } } }
+    );
+  }
+}
+
+// Rewrites every admin's copy of the withdrawal notification with its outcome
+// and drops the buttons, so a second admin can't act on a settled request.
+async function finalizeAdminWithdrawalMessages(w, outcome) {
+  if (!w.adminMessages?.length) return;
+  const text = (await buildWithdrawalCard(w)) + `\n\n${outcome}`;
+  for (const { chatId, messageId } of w.adminMessages) {
+    try {
+      await bot.telegram.editMessageText(chatId, messageId, undefined, text);
+    } catch (err) {
+      logger.debug(`Could not update admin copy in ${chatId}: ${err.message}`);
+    }
+  }
+}
+
+function describeWithdrawalOutcome(w, admin) {
+  const label = WITHDRAWAL_OUTCOME_LABELS[w.status] || w.status;
+  let line = `${label} by ${formatUserLabel(admin)} at ${new Date().toLocaleString()}`;
+  if (w.rejectionReason) line += `\nReason: ${w.rejectionReason}`;
+  if (w.failureReason) line += `\nReason: ${w.failureReason}`;
+  return line;
+}
+
+// Withdrawal card buttons report their own failures, so the admin sees the
+// error instead of a button that never stops loading.
+async function answerActionError(ctx, action, err) {
+  logger.error(`${action} by ${ctx.from.id} failed: ${err.message}`);
+  const text = `⚠️ ${action} failed: ${err.message}`;
+  try {
+    await ctx.answerCbQuery(text.slice(0, 200), { show_alert: true });
+  } catch (answerErr) {
+    // Already answered before the failure; fall back to a message.
+    try {
+      await ctx.reply(text);
+    } catch (replyErr) {
+      logger.debug(`Could not report ${action} failure: ${replyErr.message}`);
+    }
+  }
+}
+
+async function notifyUserSafe(userId, text) {
+  try {
+    await bot.telegram.sendMessage(userId, text);
+  } catch (err) {
+    if (err.response?.error_code === 403) await markUserInactive(userId);
+    logger.debug(`Could not notify ${userId}: ${err.message}`);
   }
-  await ctx.reply(msg);
 }
 
+function withdrawalAuditDetails(result, args = {}) {
+  const w = result.withdrawal;
+  return {
+    targetType: "withdrawal",
+    targetId: w._id,
+    before: { status: result.from },
+    after: { status: w.status },
+    args: {
+      userId: w.userId,
+      amount: w.amount,
+      method: w.method || (w.upi ? "upi" : null),
+      destination: w.payoutDestination || w.upi || null,
+      ...args,
+    },
+  };
+}
+
+async function payWithdrawalAsAdmin(id, admin) {
+  const result = await markWithdrawalPaid(id, {
+    actor: adminActor(admin.id),
+    set: { paidBy: admin.id },
+  });
+  if (!result.ok) return result;
+  await recordAudit(admin.id, "withdrawal.pay", withdrawalAuditDetails(result));
+  await announceWithdrawalPaid(result.withdrawal, admin);
+  return result;
+}
+
+// Everything that follows a payout, whoever (or whatever) marked it paid.
+async function announceWithdrawalPaid(w, admin) {
+  let text = `✅ Withdrawal ₹${w.amount} has been paid.`;
+  if (w.fee)
+    text += `\nSent ${formatAmount(w.netAmount)} after the ${formatAmount(
+      w.fee
+    )} fee.`;
+  if (w.utr) text += `\nUTR: ${w.utr}`;
+  await notifyUserSafe(w.userId, text);
+  await finalizeAdminWithdrawalMessages(w, describeWithdrawalOutcome(w, admin));
+  await checkAchievements(w.userId, "withdrawal_paid");
+}
+
+async function rejectWithdrawalAsAdmin(id, admin, reason) {
+  const result = await transitionWithdrawal(id, WITHDRAWAL_STATUS.REJECTED, {
+    actor: adminActor(admin.id),
+    note: reason,
+    set: { rejectionReason: reason, rejectedBy: admin.id },
+  });
+  if (!result.ok) return result;
+  await recordAudit(
+    admin.id,
+    "withdrawal.reject",
+    withdrawalAuditDetails(result, { reason })
+  );
+  const w = result.withdrawal;
+  await notifyUserSafe(
+    w.userId,
+    `🚫 Your withdrawal of ${formatAmount(w.amount)} was rejected and refunded.\nReason: ${reason}`
+  );
+  await finalizeAdminWithdrawalMessages(w, describeWithdrawalOutcome(w, admin));
+  return result;
+}
+
+async function cancelWithdrawalAsAdmin(id, admin) {
+  const result = await transitionWithdrawal(id, WITHDRAWAL_STATUS.CANCELLED, {
+    actor: adminActor(admin.id),
+    note: "cancelled by admin",
+  });
+  if (!result.ok) return result;
+  await recordAudit(
+    admin.id,
+    "withdrawal.cancel",
+    withdrawalAuditDetails(result)
+  );
+  const w = result.withdrawal;
+  await notifyUserSafe(w.userId, "❌ Your withdrawal was cancelled and refunded.");
+  await finalizeAdminWithdrawalMessages(w, describeWithdrawalOutcome(w, admin));
+  return result;
+}
+
+async function buildUserSummary(user) {
+  const [pendingRefs, withdrawals] = await Promise.all([
+    pendingCol.countDocuments({ referrerId: user.telegramId, status: "pending" }),
+    withdrawalsCol
+      .aggregate([
+        { $match: { userId: user.telegramId } },
+        { $group: { _id: "$status", count: { $sum: 1 }, total: { $sum: "$amount" } } },
+      ])
+      .toArray(),
+  ]);
+  const age = accountAgeDays(user);
+  const paid = withdrawals.find((row) => row._id === WITHDRAWAL_STATUS.PAID);
+  return [
+    `👤 ${formatUserLabel(user)} (${user.telegramId})`,
+    `Name: ${user.first_name || "—"}`,
+    `Account age: ${age === null ? "—" : `${age}d`}`,
+    `Balance: ${formatAmount(user.balance)}`,
+    `Locked: ${formatAmount(user.balanceLocked)}`,
+    `Referrals: ${user.confirmedReferrals || 0} confirmed, ${pendingRefs} pending`,
+    `Withdrawals: ${withdrawals.reduce((n, row) => n + row.count, 0)} total, ${
+      paid ? `${paid.count} paid (${formatAmount(paid.total)})` : "none paid"
+    }`,
+    `Payout: ${describeSavedPayoutMethods(user)}`,
+  ].join("\n");
+}
+
+// Each button is shown only to roles holding its permission; null = any admin.
+const ADMIN_PANEL_BUTTONS = [
+  ["📋 Pending withdrawals", "ADMIN_WITHDRAWALS", "withdrawals"],
+  ["� Channel guard", "ADMIN_CHANNELS", "channels"],
+  ["�📖 Admin help", "ADMIN_HELP", null],
+  ["✅ Confirm referrals now", "ADMIN_CONFIRM", "referrals"],
+  ["🕵️ Referral reviews", "ADMIN_REVIEW", "referrals"],
+  ["🎯 Task reviews", "ADMIN_TASK_REVIEWS", "tasks"],
+  ["🆘 Support tickets", "ADMIN_TICKETS", "support"],
+  ["⚙️ Settings", "SETTINGS_MENU", "settings"],
+  ["👮 Admin roles", "ADMIN_ROLES", "roles"],
+  ["🧾 Audit log", "AUDIT:0", "audit"],
+];
+
 async function showAdminPanel(ctx) {
   logger.info(`Rendering admin panel for ${ctx.from.id}`);
+  const role = ADMIN_ROLES[roleOf(ctx.from.id)];
+  const rows = ADMIN_PANEL_BUTTONS.filter(
+    ([, , permission]) => !permission || hasPermission(ctx.from.id, permission)
+  ).map(([label, action]) => [Markup.button.callback(label, action)]);
   await ctx.reply(
-    "🛠 Admin panel actions:\nUse the buttons below or commands like /pay and /cancelwithdraw for specific withdrawals. 'Confirm referrals now' ignores the waiting period.",
-    Markup.inlineKeyboard([
-      [Markup.button.callback("📋 Pending withdrawals", "ADMIN_WITHDRAWALS")],
-      [Markup.button.callback("� Channel guard", "ADMIN_CHANNELS")],
-      [Markup.button.callback("�📖 Admin help", "ADMIN_HELP")],
-      [Markup.button.callback("✅ Confirm referrals now", "ADMIN_CONFIRM")],
-    ])
+    `🛠 Admin panel (${role.label}):\nUse the buttons below or commands like /pay and /cancelwithdraw for specific withdrawals. 'Confirm referrals now' ignores the waiting period.`,
+    Markup.inlineKeyboard(rows)
   );
 }
 
@@ -395,7 +1631,7 @@ function buildMainMenu(user, link, isAdminUser) {
     ],
     [
       Markup.button.callback("💸 Withdraw", "WITHDRAW"),
-      Markup.button.callback("🏦 Set UPI", "SETUP_UPI"),
+      Markup.button.callback("🏦 Payout methods", "PAYOUT_METHODS"),
     ],
     [
       Markup.button.callback("📊 Status", "STATUS"),
@@ -412,9 +1648,11 @@ function buildMainMenu(user, link, isAdminUser) {
 async function sendMainMenu(ctx, user) {
   const link = await buildReferralLink(user);
   const isAdminUser = isAdmin(ctx.from.id);
-  let greeting = `Hi ${ctx.from.first_name || ""} 👋\n\nYour referral link:\n${link}\nEarn ₹${REFERRAL_REWARD} per confirmed referral.`;
-  if (!user.primaryUPI) {
-    greeting += "\n\n📥 Tip: set your default UPI with the '🏦 Set UPI' button for faster payouts.";
+  let greeting = `Hi ${ctx.from.first_name || ""} 👋\n\nYour referral link:\n${link}\nEarn ₹${getSetting(
+    "referralReward"
+  )} per confirmed referral.`;
+  if (!savedPayoutMethods(user).length) {
+    greeting += "\n\n📥 Tip: save a payout method with the '🏦 Payout methods' button for faster payouts.";
   }
   if (isAdminUser) {
     greeting +=
@@ -435,96 +1673,897 @@ async function replyBalance(ctx) {
 async function replyProfile(ctx) {
   const u = await ensureUserProfile(ctx.from);
   const link = await buildReferralLink(u);
+  const levels = getTierRewards().length;
+  let downline = "";
+  if (levels > 1) {
+    const counts = await countDownlineByLevel(u.telegramId, levels);
+    downline =
+      "\nTeam by level: " +
+      counts.map((count, idx) => `L${idx + 1} ${count}`).join(" · ");
+  }
+  const badges = await describeUserBadges(u.badges);
   await ctx.reply(
     `🧾 Profile summary:\nName: ${u.first_name || "—"}\nUsername: ${
       u.username ? "@" + u.username : "—"
     }\nReferral link: ${link}\nBalance: ₹${(u.balance || 0).toFixed(2)}\nConfirmed referrals: ${
       u.confirmedReferrals || 0
-    }\nSaved UPI: ${u.primaryUPI || "—"}\nBadges: ${
-      u.badges?.length ? u.badges.join(", ") : "—"
-    }`
+    }${downline}\nPayout: ${describeSavedPayoutMethods(u)}\nBadges: ${badges}`
   );
 }
 
-async function replyLeaderboard(ctx) {
-  const top = await usersCol
-    .find()
-    .sort({ confirmedReferrals: -1, balance: -1 })
-    .limit(10)
-    .toArray();
-  if (!top.length) {
-    await ctx.reply("No referrers yet.");
-    return;
-  }
-  let text = "🏆 Leaderboard:\n";
-  top.forEach((entry, idx) => {
-    const label = entry.username
-      ? "@" + entry.username
-      : entry.first_name || entry.telegramId;
-    text += `${idx + 1}. ${label} — ${
-      entry.confirmedReferrals || 0
-    } referrals — ₹${(entry.balance || 0).toFixed(2)}\n`;
-  });
-  await ctx.reply(text);
-}
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARD_PERIODS = {
+  day: { label: "Today", short: "Day" },
+  week: { label: "This week", short: "Week" },
+  month: { label: "This month", short: "Month" },
+  all: { label: "All time", short: "All" },
+};
 
-async function startWithdrawFlow(ctx, user) {
+// Calendar windows in UTC: today, the week starting Monday, the month.
+function leaderboardSince(period, now = new Date()) {
+  const start = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+  if (period === "day") return start;
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (period === "month") {
+    start.setUTCDate(1);
+    return start;
+  }
+  return null;
+}
+
+function buildStandingsMatch({ from, to } = {}) {
+  const match = {
+    confirmedAt: { $exists: true },
+    reversedAt: { $exists: false },
+  };
+  if (from) match.confirmedAt.$gte = from;
+  if (to) match.confirmedAt.$lt = to;
+  return match;
+}
+
+// Ranks referrers by confirmed referrals in `refs` within [from, to). Ties go
+// to whoever reached the count first.
+async function aggregateReferralStandings(window = {}, options = {}) {
+  const { skip = 0, limit = LEADERBOARD_PAGE_SIZE } = options;
+  const [result] = await refsCol
+    .aggregate([
+      { $match: buildStandingsMatch(window) },
+      {
+        $group: {
+          _id: "$referrerId",
+          count: { $sum: 1 },
+          lastAt: { $max: "$confirmedAt" },
+        },
+      },
+      { $sort: { count: -1, lastAt: 1, _id: 1 } },
+      {
+        $facet: {
+          rows: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: "n" }],
+        },
+      },
+    ])
+    .toArray();
+  return { rows: result.rows, total: result.total[0]?.n || 0 };
+}
+
+async function countReferralStandings(window = {}) {
+  const referrers = await refsCol.distinct(
+    "referrerId",
+    buildStandingsMatch(window)
+  );
+  return referrers.length;
+}
+
+async function referralRankFor(telegramId, window = {}) {
+  const match = buildStandingsMatch(window);
+  const [mine] = await refsCol
+    .aggregate([
+      { $match: { ...match, referrerId: telegramId } },
+      {
+        $group: {
+          _id: "$referrerId",
+          count: { $sum: 1 },
+          lastAt: { $max: "$confirmedAt" },
+        },
+      },
+    ])
+    .toArray();
+  if (!mine) return null;
+  const [ahead] = await refsCol
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$referrerId",
+          count: { $sum: 1 },
+          lastAt: { $max: "$confirmedAt" },
+        },
+      },
+      {
+        $match: {
+          $or: [
+            { count: { $gt: mine.count } },
+            { count: mine.count, lastAt: { $lt: mine.lastAt } },
+          ],
+        },
+      },
+      { $count: "n" },
+    ])
+    .toArray();
+  return { rank: (ahead?.n || 0) + 1, count: mine.count };
+}
+
+function leaderboardLabel(user, telegramId) {
+  if (!user) return `User ${telegramId}`;
+  if (user.leaderboardOptOut) return "🙈 Anonymous";
+  return user.username ? "@" + user.username : user.first_name || telegramId;
+}
+
+async function replyLeaderboard(ctx, period = "week", page = 0) {
+  if (!LEADERBOARD_PERIODS[period]) period = "week";
+  const me = await ensureUserProfile(ctx.from);
+  const window = { from: leaderboardSince(period) };
+  const total = await countReferralStandings(window);
+  const pages = Math.max(Math.ceil(total / LEADERBOARD_PAGE_SIZE), 1);
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const { rows } = await aggregateReferralStandings(window, {
+    skip: current * LEADERBOARD_PAGE_SIZE,
+  });
+  const users = await usersCol
+    .find(
+      { telegramId: { $in: rows.map((row) => row._id) } },
+      {
+        projection: {
+          telegramId: 1,
+          username: 1,
+          first_name: 1,
+          leaderboardOptOut: 1,
+        },
+      }
+    )
+    .toArray();
+  const byId = new Map(users.map((user) => [user.telegramId, user]));
+
+  let text = `🏆 Leaderboard — ${LEADERBOARD_PERIODS[period].label}\n\n`;
+  if (!rows.length) {
+    text += "No confirmed referrals in this period yet.\n";
+  }
+  rows.forEach((row, idx) => {
+    const rank = current * LEADERBOARD_PAGE_SIZE + idx + 1;
+    const you = row._id === me.telegramId ? " (you)" : "";
+    text += `${rank}. ${leaderboardLabel(byId.get(row._id), row._id)}${you} — ${
+      row.count
+    } referrals\n`;
+  });
+  const mine = await referralRankFor(me.telegramId, window);
+  text += mine
+    ? `\nYour rank: #${mine.rank} of ${total} (${mine.count} referrals)`
+    : "\nYou have no confirmed referrals in this period.";
+  if (me.leaderboardOptOut) text += "\nYou are shown as anonymous.";
+
+  const periodRow = Object.entries(LEADERBOARD_PERIODS).map(([key, def]) =>
+    Markup.button.callback(
+      key === period ? `• ${def.short} •` : def.short,
+      `LB:${key}:0`
+    )
+  );
+  const rowsKb = [periodRow];
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Prev", `LB:${period}:${current - 1}`));
+  if (current < pages - 1)
+    nav.push(Markup.button.callback("Next ➡", `LB:${period}:${current + 1}`));
+  if (nav.length) rowsKb.push(nav);
+  rowsKb.push([
+    Markup.button.callback(
+      me.leaderboardOptOut ? "👁 Show my name" : "🙈 Hide my name",
+      `LB_PRIVACY:${period}:${current}`
+    ),
+    Markup.button.callback("🏁 Contests", "CONTESTS"),
+  ]);
+  const extra = Markup.inlineKeyboard(rowsKb);
+
+  if (ctx.updateType === "callback_query") {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (leaderboard) failed, replying: ${err.message}`
+      );
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+// Anti-abuse payout rules. Admins can exempt a user from any of them with
+// /payout_exempt; exemptions live in the user's `payoutExemptions` array.
+const PAYOUT_RULES = {
+  age: "Minimum account age",
+  cooldown: "Cooldown between withdrawals",
+  referrals: "Minimum confirmed referrals",
+  review: "Manual review of large amounts",
+};
+
+function isPayoutRuleExempt(user, rule) {
+  return (user.payoutExemptions || []).includes(rule);
+}
+
+function formatWaitTime(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [days && `${days}d`, hours && `${hours}h`];
+  if (!days) parts.push(minutes % 60 && `${minutes % 60}m`);
+  return parts.filter(Boolean).join(" ");
+}
+
+function formatEligibleAt(date) {
+  return `${formatContestDate(date)} (in ${formatWaitTime(date - Date.now())})`;
+}
+
+// Rules that stop this user from starting a withdrawal right now, each with
+// the moment it stops applying when that is only a matter of time.
+function checkPayoutHolds(user, now = new Date()) {
+  const holds = [];
+  const ageDays = getSetting("withdrawMinAccountAgeDays");
+  if (ageDays && user.createdAt && !isPayoutRuleExempt(user, "age")) {
+    const eligibleAt = new Date(
+      new Date(user.createdAt).getTime() + ageDays * 86400000
+    );
+    if (eligibleAt > now)
+      holds.push({
+        rule: "age",
+        eligibleAt,
+        text: `Accounts must be ${ageDays} day(s) old to withdraw.`,
+      });
+  }
+  const cooldownHours = getSetting("withdrawCooldownHours");
+  if (
+    cooldownHours &&
+    user.lastWithdrawAt &&
+    !isPayoutRuleExempt(user, "cooldown")
+  ) {
+    const eligibleAt = new Date(
+      new Date(user.lastWithdrawAt).getTime() + cooldownHours * 3600000
+    );
+    if (eligibleAt > now)
+      holds.push({
+        rule: "cooldown",
+        eligibleAt,
+        text: `Withdrawals need ${cooldownHours}h between them.`,
+      });
+  }
+  const minReferrals = getSetting("withdrawMinReferrals");
+  const referrals = user.confirmedReferrals || 0;
+  if (referrals < minReferrals && !isPayoutRuleExempt(user, "referrals"))
+    holds.push({
+      rule: "referrals",
+      eligibleAt: null,
+      text: `You need ${minReferrals} confirmed referrals to withdraw (you have ${referrals}).`,
+    });
+  return holds;
+}
+
+function describePayoutHolds(holds) {
+  const lines = ["⏳ You can't withdraw yet:"];
+  for (const hold of holds)
+    lines.push(
+      `• ${hold.text}${
+        hold.eligibleAt
+          ? ` Eligible from ${formatEligibleAt(hold.eligibleAt)}.`
+          : ""
+      }`
+    );
+  return lines.join("\n");
+}
+
+// Flags amounts far above what this user has been paid before; the first
+// withdrawal has no history, so only the floor applies to it.
+async function assessWithdrawalReview(user, amount) {
+  const multiplier = getSetting("reviewAmountMultiplier");
+  const floor = getSetting("reviewAmountFloor");
+  if (!multiplier || amount <= floor || isPayoutRuleExempt(user, "review"))
+    return null;
+  const [largest] = await withdrawalsCol
+    .find({ userId: user.telegramId, status: WITHDRAWAL_STATUS.PAID })
+    .sort({ amount: -1 })
+    .limit(1)
+    .project({ amount: 1 })
+    .toArray();
+  if (!largest) return `first withdrawal, above ${formatAmount(floor)}`;
+  if (amount > largest.amount * multiplier)
+    return `${(amount / largest.amount).toFixed(
+      1
+    )}× the largest paid withdrawal (${formatAmount(largest.amount)})`;
+  return null;
+}
+const WITHDRAWAL_CAP_WINDOWS = [
+  { key: "dailyWithdrawalCap", label: "24-hour", ms: 24 * 60 * 60 * 1000 },
+  { key: "weeklyWithdrawalCap", label: "7-day", ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+// The largest amount this user may withdraw right now and why it isn't more.
+// Caps are rolling windows over withdrawals that kept their money, so a
+// rejected or cancelled request frees its share again. When a cap leaves less
+// than the minimum, `eligibleAt` is when enough of it expires.
+async function withdrawalAmountBounds(user, session) {
+  const balance = roundMoney(user.balance || 0);
+  const bounds = {
+    min: getSetting("minWithdrawal"),
+    max: balance,
+    reason: `Your balance is ${formatAmount(balance)}.`,
+  };
+  const maxPerRequest = getSetting("maxWithdrawal");
+  if (maxPerRequest && maxPerRequest < bounds.max) {
+    bounds.max = maxPerRequest;
+    bounds.reason = `The maximum per withdrawal is ${formatAmount(
+      maxPerRequest
+    )}.`;
+  }
+  for (const window of WITHDRAWAL_CAP_WINDOWS) {
+    const cap = getSetting(window.key);
+    if (!cap) continue;
+    const recent = await withdrawalsCol
+      .find(
+        {
+          userId: user.telegramId,
+          status: { $nin: [...REFUNDING_STATUSES] },
+          createdAt: { $gte: new Date(Date.now() - window.ms) },
+        },
+        { session, projection: { amount: 1, createdAt: 1 } }
+      )
+      .sort({ createdAt: 1 })
+      .toArray();
+    let used = recent.reduce((sum, w) => sum + w.amount, 0);
+    const left = roundMoney(Math.max(0, cap - used));
+    if (left < bounds.max) {
+      bounds.max = left;
+      bounds.reason = `Your ${window.label} limit of ${formatAmount(
+        cap
+      )} leaves ${formatAmount(left)}.`;
+      bounds.eligibleAt = null;
+      for (const w of recent) {
+        if (cap - used >= bounds.min) break;
+        used -= w.amount;
+        bounds.eligibleAt = new Date(w.createdAt.getTime() + window.ms);
+      }
+    }
+  }
+  return bounds;
+}
+
+function checkWithdrawalAmount(bounds, amount) {
+  if (amount < bounds.min)
+    return `The minimum withdrawal is ${formatAmount(bounds.min)}.`;
+  if (amount > bounds.max) return bounds.reason;
+  return null;
+}
+
+function parseAmountInput(text) {
+  const cleaned = text.replace(/^(rs\.?|inr)/i, "").replace(/[₹,\s]/g, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+  const amount = roundMoney(Number(cleaned));
+  return amount > 0 ? amount : null;
+}
+
+async function startWithdrawFlow(ctx, user) {
+  if (user.withdrawalsFrozen) {
+    await ctx.reply(
+      "⏸ Withdrawals on your account are paused for review. Contact /support."
+    );
+    return;
+  }
   if (user.balanceLocked && user.balanceLocked > 0) {
     await ctx.reply("⚠️ You already have a pending withdrawal.");
     return;
   }
-  if ((user.balance || 0) < MIN_WITHDRAWAL) {
+  const holds = checkPayoutHolds(user);
+  if (holds.length) {
+    await ctx.reply(describePayoutHolds(holds));
+    return;
+  }
+  const bounds = await withdrawalAmountBounds(user);
+  if (bounds.max < bounds.min) {
     await ctx.reply(
-      `Minimum ₹${MIN_WITHDRAWAL}. Current ₹${(user.balance || 0).toFixed(2)}`
+      `Minimum ${formatAmount(bounds.min)}. ${bounds.reason}${
+        bounds.eligibleAt
+          ? ` You can withdraw again from ${formatEligibleAt(
+              bounds.eligibleAt
+            )}.`
+          : ""
+      }`
+    );
+    return;
+  }
+  await usersCol.updateOne(
+    { telegramId: user.telegramId },
+    { $set: { awaitingWithdrawAmount: true } }
+  );
+  await replyWithdrawalAmountChoice(ctx, user, bounds);
+}
+
+async function replyWithdrawalAmountChoice(ctx, user, bounds, note = "") {
+  const balance = roundMoney(user.balance || 0);
+  const options = [
+    ["Min", bounds.min],
+    ["50%", Math.floor(balance * 50) / 100],
+    [bounds.max === balance ? "All" : "Max", bounds.max],
+  ];
+  const seen = new Set();
+  const buttons = options
+    .filter(([, amount]) => !checkWithdrawalAmount(bounds, amount))
+    .filter(([, amount]) => !seen.has(amount) && seen.add(amount))
+    .map(([label, amount]) =>
+      Markup.button.callback(
+        `${label} ${formatAmount(amount)}`,
+        `WD_AMOUNT:${Math.round(amount * 100)}`
+      )
     );
+  const lines = note ? [note, ""] : [];
+  lines.push(
+    `💰 Balance: ${formatAmount(balance)}`,
+    `You can withdraw ${formatAmount(bounds.min)} – ${formatAmount(
+      bounds.max
+    )}.${bounds.max < balance ? ` ${bounds.reason}` : ""}`,
+    "",
+    "Tap an amount or type one (e.g. 120). Type 'cancel' to stop."
+  );
+  await ctx.reply(
+    lines.join("\n"),
+    Markup.inlineKeyboard([
+      buttons,
+      [Markup.button.callback("❌ Cancel", "WD_CANCEL")],
+    ])
+  );
+}
+
+async function chooseWithdrawalAmount(ctx, user, amount) {
+  const draft = await openWithdrawalDraft(user.telegramId, amount, {
+    awaitingWithdrawMethod: true,
+    draftPayoutMethodId: null,
+  });
+  if (!draft.ok) {
+    if (draft.reason === "locked") {
+      await ctx.reply("⚠️ You already have a pending withdrawal.");
+    } else if (draft.reason === "hold") {
+      await usersCol.updateOne(
+        { telegramId: user.telegramId },
+        { $unset: { awaitingWithdrawAmount: "" } }
+      );
+      await ctx.reply(describePayoutHolds(draft.holds));
+    } else if (draft.reason === "amount") {
+      await replyWithdrawalAmountChoice(ctx, user, draft.bounds, draft.error);
+    }
     return;
   }
-  const spendable = user.balance;
   logger.info(
-    `Locking ₹${spendable} for withdrawal request by ${user.telegramId}`
-  );
-  const setFields = {
-    awaitingWithdrawUPI: true,
-    balanceLocked: spendable,
-    lastWithdrawAt: new Date(),
-    awaitingWithdrawUPIConfirm: false,
-    draftWithdrawUPI: null,
+    `Locked ₹${draft.amount} for withdrawal ${draft.withdrawalId} by ${user.telegramId}`
+  );
+  const preferred = defaultPayoutMethod(user);
+  if (preferred && ENABLED_PAYOUT_METHODS.includes(preferred.type)) {
+    await selectWithdrawalMethod(ctx, user, preferred, draft.amount);
+    return;
+  }
+  await replyWithdrawalMethodChoice(ctx, user, draft.amount);
+}
+
+function withdrawalDraftButtons() {
+  return [
+    Markup.button.callback("✏️ Change amount", "WD_CHANGE_AMOUNT"),
+    Markup.button.callback("❌ Cancel", "WD_CANCEL"),
+  ];
+}
+
+async function replyWithdrawalMethodChoice(ctx, user, amount, note = "") {
+  const preferred = defaultPayoutMethod(user);
+  const rows = withdrawablePayoutMethods(user).map((method) => [
+    Markup.button.callback(
+      `${method.id === preferred?.id ? "⭐ " : ""}${payoutMethodLabel(method)}`,
+      `WD_METHOD:${method.id}`
+    ),
+  ]);
+  if (savedPayoutMethods(user).length < MAX_PAYOUT_METHODS)
+    rows.push([Markup.button.callback("➕ New payout method", "PM_ADD:wd")]);
+  rows.push(withdrawalDraftButtons());
+  await ctx.reply(
+    `${note ? `${note}\n\n` : ""}🔒 ${formatAmount(
+      amount
+    )} is locked for this withdrawal. Choose where to receive it, or type 'cancel' to abort.`,
+    Markup.inlineKeyboard(rows)
+  );
+}
+
+// Works out the fee when the locked amount clears the method's minimum and the
+// fee leaves something to send, otherwise a reason to show the user.
+function checkPayoutMethodAmount(method, amount) {
+  const { min, feeFlat, feePercent } = payoutMethodLimits(method.type);
+  const { label } = PAYOUT_METHODS[method.type];
+  if (amount < min)
+    return {
+      ok: false,
+      error: `${label} needs at least ${formatAmount(min)}.`,
+    };
+  const fee = roundMoney(feeFlat + (amount * feePercent) / 100);
+  if (fee >= amount)
+    return {
+      ok: false,
+      error: `The ${label} fee of ${formatAmount(
+        fee
+      )} would take the whole amount.`,
+    };
+  return {
+    ok: true,
+    fee,
+    feeFlat,
+    feePercent,
+    netAmount: roundMoney(amount - fee),
   };
-  let instructions =
-    "Reply with your UPI ID (e.g. name@bank). Type 'cancel' to abort.";
-  if (user.primaryUPI) {
-    setFields.draftWithdrawUPI = user.primaryUPI;
-    setFields.awaitingWithdrawUPIConfirm = true;
-    instructions = `Saved UPI: ${user.primaryUPI}. Reply 'confirm' to use it, send a different UPI to change, or type 'cancel' to abort.`;
+}
+
+async function selectWithdrawalMethod(ctx, user, method, amount) {
+  const check = checkPayoutMethodAmount(method, amount);
+  if (!check.ok) {
+    await replyWithdrawalMethodChoice(ctx, user, amount, check.error);
+    return;
   }
   await usersCol.updateOne(
     { telegramId: user.telegramId },
+    { $set: { draftPayoutMethodId: method.id } }
+  );
+  await ctx.reply(
+    [
+      `💸 Withdraw ${formatAmount(amount)} to ${payoutMethodLabel(method)}`,
+      check.fee
+        ? `Fee: ${formatAmount(check.fee)} (${describeFeeRule(
+            check
+          )}) · You receive: ${formatAmount(check.netAmount)}`
+        : "No fee for this method.",
+      "",
+      "Tap Confirm (or reply 'confirm') to submit.",
+    ].join("\n"),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback("✅ Confirm", "WD_CONFIRM"),
+        Markup.button.callback("🔁 Other method", "WD_METHODS"),
+      ],
+      withdrawalDraftButtons(),
+    ])
+  );
+}
+
+async function submitWithdrawal(ctx, user) {
+  const amount = user.balanceLocked || 0;
+  const method = findPayoutMethod(user, user.draftPayoutMethodId);
+  if (!method || !ENABLED_PAYOUT_METHODS.includes(method.type)) {
+    await replyWithdrawalMethodChoice(
+      ctx,
+      user,
+      amount,
+      "Pick a payout method before confirming."
+    );
+    return;
+  }
+  if (user.withdrawalsFrozen) {
+    await ctx.reply(
+      "⏸ Withdrawals on your account are paused for review. Type 'cancel' to unlock your balance."
+    );
+    return;
+  }
+  const check = checkPayoutMethodAmount(method, amount);
+  if (!check.ok) {
+    await replyWithdrawalMethodChoice(ctx, user, amount, check.error);
+    return;
+  }
+  const def = PAYOUT_METHODS[method.type];
+  const reviewReason = await assessWithdrawalReview(user, amount);
+  const now = new Date();
+  const result = await transitionWithdrawal(
+    user.draftWithdrawalId,
+    WITHDRAWAL_STATUS.PENDING,
+    {
+      actor: userActor(user.telegramId),
+      userSet: { lastWithdrawAt: now },
+      set: {
+        method: method.type,
+        payoutDetails: method.details,
+        payoutDestination: def.destination(method.details),
+        upi: method.type === "upi" ? method.details.vpa : null,
+        fee: check.fee,
+        feeFlat: check.feeFlat,
+        feePercent: check.feePercent,
+        netAmount: check.netAmount,
+        manualReview: Boolean(reviewReason),
+        reviewReason,
+        requestedAt: now,
+      },
+    }
+  );
+  if (!result.ok) {
+    await ctx.reply(describeTransitionFailure(result));
+    return;
+  }
+  await ctx.reply(
+    `✅ Withdrawal ${formatAmount(
+      result.withdrawal.amount
+    )} to ${payoutMethodLabel(method)} submitted${
+      check.fee
+        ? `; you receive ${formatAmount(
+            check.netAmount
+          )} after the ${formatAmount(check.fee)} fee`
+        : ""
+    }. ${
+      reviewReason
+        ? "It needs a manual review first, so it may take a little longer."
+        : "Admin will process soon."
+    }`
+  );
+  await notifyAdminsOfWithdrawal(result.withdrawal);
+  logger.info(`Withdrawal request stored for ${user.telegramId}`);
+}
+
+async function cancelWithdrawalDraft(ctx, user) {
+  if (!user.draftWithdrawalId) {
+    await usersCol.updateOne(
+      { telegramId: user.telegramId },
+      { $unset: { awaitingWithdrawAmount: "" } }
+    );
+    await ctx.reply("❌ Withdrawal cancelled.");
+    return;
+  }
+  const result = await transitionWithdrawal(
+    user.draftWithdrawalId,
+    WITHDRAWAL_STATUS.CANCELLED,
     {
-      $set: setFields,
-      $inc: { balance: -spendable },
+      actor: userActor(user.telegramId),
+      note: "cancelled by user before submission",
+    }
+  );
+  if (!result.ok) {
+    await ctx.reply(describeTransitionFailure(result));
+    return;
+  }
+  await ctx.reply("❌ Withdrawal cancelled. Balance restored.");
+}
+
+async function showPayoutMethods(ctx, user, note = "") {
+  const methods = savedPayoutMethods(user);
+  const preferred = defaultPayoutMethod(user);
+  const lines = note ? [note, ""] : [];
+  lines.push("🏦 Payout methods");
+  if (!methods.length) lines.push("No payout method saved yet.");
+  for (const method of methods)
+    lines.push(
+      `${method.id === preferred.id ? "⭐" : "•"} ${payoutMethodLabel(method)}`
+    );
+  lines.push(
+    "",
+    methods.length
+      ? "⭐ marks your default. Tap a method to change the default or remove it."
+      : "Add one so withdrawals only take a tap."
+  );
+  const rows = methods.map((method) => [
+    Markup.button.callback(payoutMethodLabel(method), `PM_VIEW:${method.id}`),
+  ]);
+  if (methods.length < MAX_PAYOUT_METHODS)
+    rows.push([Markup.button.callback("➕ Add payout method", "PM_ADD")]);
+  const text = lines.join("\n");
+  const extra = Markup.inlineKeyboard(rows);
+  if (ctx.updateType === "callback_query" && !note) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (payout methods) failed, replying: ${err.message}`
+      );
     }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function showPayoutMethodDetail(ctx, user, method) {
+  const def = PAYOUT_METHODS[method.type];
+  const isDefault = method.id === defaultPayoutMethod(user).id;
+  const lines = [
+    `${def.emoji} ${def.label}${isDefault ? " (default)" : ""}`,
+    def.destination(method.details),
+    ENABLED_PAYOUT_METHODS.includes(method.type)
+      ? `Withdrawals: ${describePayoutMethodLimits(method.type)}`
+      : "This method is not available for withdrawals right now.",
+  ];
+  const rows = [];
+  if (!isDefault)
+    rows.push([
+      Markup.button.callback("⭐ Make default", `PM_DEFAULT:${method.id}`),
+    ]);
+  rows.push(
+    [Markup.button.callback("🗑 Remove", `PM_REMOVE:${method.id}`)],
+    [Markup.button.callback("⬅ Back", "PAYOUT_METHODS")]
+  );
+  try {
+    await ctx.editMessageText(lines.join("\n"), Markup.inlineKeyboard(rows));
+  } catch (err) {
+    logger.debug(
+      `editMessageText (payout method) failed, replying: ${err.message}`
+    );
+    await ctx.reply(lines.join("\n"), Markup.inlineKeyboard(rows));
+  }
+}
+
+async function replyPayoutMethodTypes(ctx, forWithdrawal) {
+  const suffix = forWithdrawal ? ":wd" : "";
+  const rows = ENABLED_PAYOUT_METHODS.map((type) => [
+    Markup.button.callback(
+      `${PAYOUT_METHODS[type].emoji} ${PAYOUT_METHODS[type].label}`,
+      `PM_TYPE:${type}${suffix}`
+    ),
+  ]);
+  const limits = ENABLED_PAYOUT_METHODS.map(
+    (type) =>
+      `• ${PAYOUT_METHODS[type].label}: ${describePayoutMethodLimits(type)}`
+  );
+  await ctx.reply(
+    `Which payout method do you want to add?\n\n${limits.join("\n")}`,
+    Markup.inlineKeyboard(rows)
+  );
+}
+
+async function addPayoutMethod(telegramId, type, details) {
+  const def = PAYOUT_METHODS[type];
+  const user = await usersCol.findOne({ telegramId });
+  const duplicate = savedPayoutMethods(user).find(
+    (m) =>
+      m.type === type && def.destination(m.details) === def.destination(details)
+  );
+  if (duplicate) return { ok: true, method: duplicate, duplicate: true };
+  const method = {
+    id: String(new ObjectId()),
+    type,
+    details,
+    addedAt: new Date(),
+  };
+  const res = await usersCol.updateOne(
+    {
+      telegramId,
+      [`payoutMethods.${MAX_PAYOUT_METHODS - 1}`]: { $exists: false },
+    },
+    { $push: { payoutMethods: method } }
+  );
+  if (!res.modifiedCount) return { ok: false, reason: "limit" };
+  await usersCol.updateOne(
+    { telegramId, defaultPayoutMethodId: null },
+    { $set: { defaultPayoutMethodId: method.id } }
+  );
+  logger.info(`Payout method ${type} saved for ${telegramId}`);
+  return { ok: true, method, duplicate: false };
+}
+
+async function removePayoutMethod(telegramId, id) {
+  const res = await usersCol.findOneAndUpdate(
+    { telegramId, "payoutMethods.id": id },
+    { $pull: { payoutMethods: { id } } },
+    { returnDocument: "after" }
   );
-  await ctx.reply(instructions);
+  const user = res.value;
+  if (user && user.defaultPayoutMethodId === id) {
+    user.defaultPayoutMethodId = savedPayoutMethods(user)[0]?.id || null;
+    await usersCol.updateOne(
+      { telegramId },
+      { $set: { defaultPayoutMethodId: user.defaultPayoutMethodId } }
+    );
+  }
+  return user;
 }
 
-async function startUpiSetup(ctx, user) {
+async function handlePayoutMethodInput(ctx, user, text) {
+  const pending = user.awaitingPayoutMethod;
+  if (!pending) return false;
+  const def = PAYOUT_METHODS[pending.type];
+  const cancelled = text.toLowerCase() === "cancel";
+  let parsed = null;
+  if (def && !cancelled) {
+    parsed = def.parse(text);
+    if (!parsed.ok) {
+      await ctx.reply(`${parsed.error} Try again or type 'cancel'.`);
+      return true;
+    }
+  }
   await usersCol.updateOne(
     { telegramId: user.telegramId },
-    { $set: { awaitingUpiSetup: true, draftUpiSetup: null } }
+    { $unset: { awaitingPayoutMethod: "" } }
   );
-  const note = user.primaryUPI
-    ? `Your current saved UPI is ${user.primaryUPI}.`
-    : "No UPI saved yet.";
-  await ctx.reply(
-    `${note} Send a new UPI now. Reply 'confirm' to save it, or 'cancel' to exit.`,
-    { disable_web_page_preview: true }
+  const saved = parsed
+    ? await addPayoutMethod(user.telegramId, pending.type, parsed.details)
+    : null;
+  const fresh = await usersCol.findOne({ telegramId: user.telegramId });
+  let note = "Adding a payout method was cancelled.";
+  if (saved && !saved.ok)
+    note = `You can save up to ${MAX_PAYOUT_METHODS} payout methods. Remove one first.`;
+  else if (saved)
+    note = `${
+      saved.duplicate ? "Already saved" : "✅ Saved"
+    }: ${payoutMethodLabel(saved.method)}`;
+  if (pending.forWithdrawal && fresh.awaitingWithdrawMethod) {
+    if (saved?.ok) {
+      await ctx.reply(note);
+      await selectWithdrawalMethod(
+        ctx,
+        fresh,
+        saved.method,
+        fresh.balanceLocked
+      );
+    } else {
+      await replyWithdrawalMethodChoice(ctx, fresh, fresh.balanceLocked, note);
+    }
+    return true;
+  }
+  await showPayoutMethods(ctx, fresh, note);
+  return true;
+}
+
+// Saved UPI IDs from before payout methods existed become each user's default
+// UPI method, and withdrawals that were waiting for a UPI wait for a method.
+async function migrateLegacyPayoutMethods() {
+  const users = await usersCol
+    .find({
+      primaryUPI: { $type: "string" },
+      payoutMethods: { $exists: false },
+    })
+    .project({ telegramId: 1, primaryUPI: 1 })
+    .toArray();
+  for (const user of users) {
+    const method = {
+      id: String(new ObjectId()),
+      type: "upi",
+      details: { vpa: user.primaryUPI },
+      addedAt: new Date(),
+    };
+    await usersCol.updateOne(
+      { telegramId: user.telegramId, payoutMethods: { $exists: false } },
+      { $set: { payoutMethods: [method], defaultPayoutMethodId: method.id } }
+    );
+  }
+  await usersCol.updateMany(
+    {
+      $or: [
+        { primaryUPI: { $exists: true } },
+        { needsUpiSetup: { $exists: true } },
+      ],
+    },
+    { $unset: { primaryUPI: "", needsUpiSetup: "" } }
   );
+  await usersCol.updateMany(
+    { awaitingUpiSetup: { $exists: true } },
+    { $unset: { awaitingUpiSetup: "", draftUpiSetup: "" } }
+  );
+  const drafts = await usersCol.updateMany(
+    { awaitingWithdrawUPI: true },
+    {
+      $set: { awaitingWithdrawMethod: true, draftPayoutMethodId: null },
+      $unset: {
+        awaitingWithdrawUPI: "",
+        awaitingWithdrawUPIConfirm: "",
+        draftWithdrawUPI: "",
+      },
+    }
+  );
+  if (users.length || drafts.modifiedCount)
+    logger.info(
+      `Migrated ${users.length} saved UPI(s) and ${drafts.modifiedCount} open withdrawal(s) to payout methods`
+    );
 }
 
 async function replyStatus(ctx) {
   const u = await ensureUserProfile(ctx.from);
   const pending = await withdrawalsCol
-    .find({ userId: u.telegramId })
+    .find({ userId: u.telegramId, status: { $ne: WITHDRAWAL_STATUS.DRAFT } })
     .sort({ requestedAt: -1 })
     .limit(5)
     .toArray();
@@ -536,48 +2575,686 @@ async function replyStatus(ctx) {
   pending.forEach((w) => {
     const status = w.status.toUpperCase();
     const when = new Date(w.requestedAt).toLocaleString();
-    text += `• ₹${w.amount.toFixed(2)} — ${status} — ${
-      w.upi || "—"
-    } — ${when}\n`;
+    text += `• ₹${w.amount.toFixed(
+      2
+    )} — ${status} — ${describeWithdrawalDestination(w)} — ${when}\n`;
   });
   await ctx.reply(text.trim());
 }
 
 // ─────────────────────────────────────────────
-// START COMMAND
+// LEDGER (append-only record of every balance change)
 // ─────────────────────────────────────────────
-bot.use(async (ctx, next) => {
-  try {
-    const allowed = await enforceChannelRequirements(ctx);
-    if (!allowed) return;
-  } catch (err) {
-    logger.error(`Requirement guard failed: ${err.message}`);
-    // fall through to avoid locking users out if check fails unexpectedly
-  }
-  return next();
-});
+const LEDGER_TYPES = {
+  REFERRAL_REWARD: "referral_reward",
+  WITHDRAWAL_LOCK: "withdrawal_lock",
+  WITHDRAWAL_REFUND: "withdrawal_refund",
+  REFERRAL_TIER_REWARD: "referral_tier_reward",
+  ADMIN_CREDIT: "admin_credit",
+  TASK_REWARD: "task_reward",
+  BADGE_BONUS: "badge_bonus",
+  CONTEST_PRIZE: "contest_prize",
+  REFERRAL_REVERSAL: "referral_reversal",
+  OPENING_BALANCE: "opening_balance",
+};
+const LEDGER_TYPE_LABELS = {
+  [LEDGER_TYPES.REFERRAL_REWARD]: "Referral reward",
+  [LEDGER_TYPES.WITHDRAWAL_LOCK]: "Withdrawal",
+  [LEDGER_TYPES.WITHDRAWAL_REFUND]: "Withdrawal refund",
+  [LEDGER_TYPES.REFERRAL_TIER_REWARD]: "Team referral reward",
+  [LEDGER_TYPES.ADMIN_CREDIT]: "Admin adjustment",
+  [LEDGER_TYPES.TASK_REWARD]: "Task reward",
+  [LEDGER_TYPES.BADGE_BONUS]: "Badge bonus",
+  [LEDGER_TYPES.CONTEST_PRIZE]: "Contest prize",
+  [LEDGER_TYPES.REFERRAL_REVERSAL]: "Referral reversed",
+  [LEDGER_TYPES.OPENING_BALANCE]: "Opening balance",
+};
+const HISTORY_PAGE_SIZE = 10;
+const BALANCE_EPSILON = 0.005;
 
-bot.start(async (ctx) => {
-  try {
-    logCommand(ctx, "/start");
-    const raw = ctx.message.text.trim();
-    const parts = raw.split(" ");
-    const payload = parts[1] || "";
-    const user = await ensureUserProfile(ctx.from);
+function systemActor() {
+  return { type: "system", id: null };
+}
+function userActor(id) {
+  return { type: "user", id: Number(id) };
+}
+function adminActor(id) {
+  return { type: "admin", id: Number(id) };
+}
 
-    // Handle referral link
-    if (payload.startsWith("ref_")) {
-      const referrer = await usersCol.findOne({ referralCode: payload });
-      if (referrer && referrer.telegramId !== user.telegramId) {
-        const exists =
-          (await pendingCol.findOne({
-            referredId: user.telegramId,
-          })) ||
-          (await refsCol.findOne({ referredId: user.telegramId }));
-        if (!exists) {
-          logger.info(`Referral detected: referrer ${referrer.telegramId} -> referred ${user.telegramId}`);
-          await pendingCol.insertOne({
-            referredId: user.telegramId,
+function formatAmount(value) {
+  return `₹${Number(value || 0).toFixed(2)}`;
+}
+
+function formatSignedAmount(value) {
+  const num = Number(value || 0);
+  return `${num >= 0 ? "+" : "-"}${formatAmount(Math.abs(num))}`;
+}
+
+// Every write to users.balance goes through here so the ledger always
+// carries the reason and the balance it produced. `inc`, `set` and `unset`
+// let callers fold their own field changes into the same user update.
+async function applyBalanceChange({
+  userId,
+  amount,
+  type,
+  actor = systemActor(),
+  refType = null,
+  refId = null,
+  note = null,
+  filter = {},
+  inc = {},
+  set = null,
+  unset = null,
+  session,
+}) {
+  const update = { $inc: { balance: amount, ...inc } };
+  if (set && Object.keys(set).length) update.$set = set;
+  if (unset && Object.keys(unset).length) update.$unset = unset;
+  const result = await usersCol.findOneAndUpdate(
+    { telegramId: userId, ...filter },
+    update,
+    { returnDocument: "after", session }
+  );
+  const user = result.value;
+  if (!user) return null;
+  await ledgerCol.insertOne(
+    {
+      userId,
+      type,
+      amount,
+      actor,
+      refType,
+      refId,
+      note,
+      balanceAfter: user.balance,
+      createdAt: new Date(),
+    },
+    { session }
+  );
+  logger.debug(
+    `Ledger ${type} ${formatSignedAmount(amount)} for ${userId} (balance ${user.balance})`
+  );
+  return user;
+}
+
+function describeLedgerEntry(entry) {
+  const label = LEDGER_TYPE_LABELS[entry.type] || entry.type;
+  const when = new Date(entry.createdAt).toLocaleString();
+  let line = `• ${when} — ${label} ${formatSignedAmount(entry.amount)} → ${formatAmount(
+    entry.balanceAfter
+  )}`;
+  if (entry.note) line += `\n   ${entry.note}`;
+  return line;
+}
+
+async function replyHistory(ctx, page = 0) {
+  const u = await ensureUserProfile(ctx.from);
+  const total = await ledgerCol.countDocuments({ userId: u.telegramId });
+  if (!total) {
+    await ctx.reply("No balance history yet.");
+    return;
+  }
+  const pages = Math.ceil(total / HISTORY_PAGE_SIZE);
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const entries = await ledgerCol
+    .find({ userId: u.telegramId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(current * HISTORY_PAGE_SIZE)
+    .limit(HISTORY_PAGE_SIZE)
+    .toArray();
+  const text =
+    `📒 Balance history (page ${current + 1}/${pages}):\n\n` +
+    entries.map(describeLedgerEntry).join("\n");
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Newer", `HISTORY:${current - 1}`));
+  if (current < pages - 1)
+    nav.push(Markup.button.callback("Older ➡", `HISTORY:${current + 1}`));
+  const extra = nav.length ? Markup.inlineKeyboard([nav]) : {};
+
+  if (ctx.updateType === "callback_query") {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(`editMessageText (history) failed, replying: ${err.message}`);
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+// Recomputes every balance from the ledger. With `seed`, users that have no
+// ledger entries at all (balances from before the ledger existed) get an
+// opening_balance entry so later reconciliations can explain them.
+async function reconcileBalances(options = {}) {
+  const { seed = false, actor = systemActor() } = options;
+  const sums = await ledgerCol
+    .aggregate([{ $group: { _id: "$userId", total: { $sum: "$amount" } } }])
+    .toArray();
+  const ledgerTotals = new Map(sums.map((row) => [row._id, row.total]));
+  const report = { checked: 0, mismatched: [], seeded: 0 };
+  const cursor = usersCol.find(
+    {},
+    { projection: { telegramId: 1, username: 1, balance: 1 } }
+  );
+  for await (const user of cursor) {
+    report.checked += 1;
+    const stored = user.balance || 0;
+    if (!ledgerTotals.has(user.telegramId)) {
+      if (Math.abs(stored) < BALANCE_EPSILON) continue;
+      if (seed) {
+        await ledgerCol.insertOne({
+          userId: user.telegramId,
+          type: LEDGER_TYPES.OPENING_BALANCE,
+          amount: stored,
+          actor,
+          refType: null,
+          refId: null,
+          note: "balance carried over from before the ledger",
+          balanceAfter: stored,
+          createdAt: new Date(),
+        });
+        report.seeded += 1;
+        continue;
+      }
+    }
+    const computed = ledgerTotals.get(user.telegramId) || 0;
+    if (Math.abs(computed - stored) >= BALANCE_EPSILON) {
+      report.mismatched.push({
+        telegramId: user.telegramId,
+        username: user.username,
+        stored,
+        computed,
+      });
+    }
+  }
+  return report;
+}
+
+// ─────────────────────────────────────────────
+// WITHDRAWAL STATE MACHINE
+// ─────────────────────────────────────────────
+const WITHDRAWAL_STATUS = {
+  DRAFT: "draft",
+  PENDING: "pending",
+  APPROVED: "approved",
+  PROCESSING: "processing",
+  PAID: "paid",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+};
+const WITHDRAWAL_TRANSITIONS = {
+  draft: ["pending", "cancelled"],
+  pending: ["approved", "rejected", "cancelled"],
+  approved: ["processing", "rejected", "cancelled"],
+  processing: ["paid", "failed"],
+  paid: [],
+  rejected: [],
+  cancelled: [],
+  failed: [],
+};
+// Terminal states that hand the locked amount back to the user.
+const REFUNDING_STATUSES = new Set(["rejected", "cancelled", "failed"]);
+const PAY_PATH = ["pending", "approved", "processing", "paid"];
+const WITHDRAW_DRAFT_FIELDS = {
+  awaitingWithdrawAmount: "",
+  awaitingWithdrawMethod: "",
+  awaitingPayoutMethod: "",
+  draftPayoutMethodId: "",
+  draftWithdrawalId: "",
+};
+
+function canTransitionWithdrawal(from, to) {
+  return (WITHDRAWAL_TRANSITIONS[from] || []).includes(to);
+}
+
+async function runInTransaction(work) {
+  const session = mongoClient.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Moves one withdrawal one step inside an open session. The status filter on
+// the update makes a concurrent or repeated transition match nothing, and
+// any balance consequence is written in the same session.
+async function applyWithdrawalTransition(session, withdrawal, to, options = {}) {
+  const {
+    actor = systemActor(),
+    note = null,
+    set = {},
+    userSet = null,
+  } = options;
+  const from = withdrawal.status;
+  if (from === to) return { ok: false, reason: "already", withdrawal };
+  if (!canTransitionWithdrawal(from, to))
+    return { ok: false, reason: "invalid_transition", withdrawal };
+
+  const now = new Date();
+  const updated = await withdrawalsCol.findOneAndUpdate(
+    { _id: withdrawal._id, status: from },
+    {
+      $set: { ...set, status: to, updatedAt: now, [`${to}At`]: now },
+      $push: { history: { from, to, at: now, actor, note } },
+    },
+    { session, returnDocument: "after" }
+  );
+  if (!updated.value) return { ok: false, reason: "stale", withdrawal };
+
+  const userUnset = { balanceLocked: "" };
+  if (from === WITHDRAWAL_STATUS.DRAFT)
+    Object.assign(userUnset, WITHDRAW_DRAFT_FIELDS);
+  if (REFUNDING_STATUSES.has(to)) {
+    const refunded = await applyBalanceChange({
+      userId: withdrawal.userId,
+      amount: withdrawal.amount,
+      type: LEDGER_TYPES.WITHDRAWAL_REFUND,
+      actor,
+      refType: "withdrawal",
+      refId: withdrawal._id,
+      note: note || `withdrawal ${to}`,
+      set: userSet,
+      unset: userUnset,
+      session,
+    });
+    if (!refunded) throw new Error(`User ${withdrawal.userId} missing for refund`);
+  } else if (to === WITHDRAWAL_STATUS.PAID) {
+    await usersCol.updateOne(
+      { telegramId: withdrawal.userId },
+      { $unset: userUnset, ...(userSet ? { $set: userSet } : {}) },
+      { session }
+    );
+  } else if (from === WITHDRAWAL_STATUS.DRAFT) {
+    await usersCol.updateOne(
+      { telegramId: withdrawal.userId },
+      { $unset: WITHDRAW_DRAFT_FIELDS, ...(userSet ? { $set: userSet } : {}) },
+      { session }
+    );
+  } else if (userSet) {
+    await usersCol.updateOne(
+      { telegramId: withdrawal.userId },
+      { $set: userSet },
+      { session }
+    );
+  }
+  logger.info(`Withdrawal ${withdrawal._id}: ${from} → ${to}`);
+  return { ok: true, from, withdrawal: updated.value };
+}
+
+async function transitionWithdrawal(withdrawalId, to, options = {}) {
+  return runInTransaction(async (session) => {
+    const withdrawal = await withdrawalsCol.findOne(
+      { _id: new ObjectId(withdrawalId) },
+      { session }
+    );
+    if (!withdrawal) return { ok: false, reason: "not_found" };
+    return applyWithdrawalTransition(session, withdrawal, to, options);
+  });
+}
+
+// Manual payouts walk the remaining steps of pending → approved → processing
+// → paid in one transaction so the history stays complete.
+async function markWithdrawalPaid(withdrawalId, options = {}) {
+  return runInTransaction(async (session) => {
+    let withdrawal = await withdrawalsCol.findOne(
+      { _id: new ObjectId(withdrawalId) },
+      { session }
+    );
+    if (!withdrawal) return { ok: false, reason: "not_found" };
+    if (withdrawal.status === WITHDRAWAL_STATUS.PAID)
+      return { ok: false, reason: "already", withdrawal };
+    const start = PAY_PATH.indexOf(withdrawal.status);
+    if (start === -1)
+      return { ok: false, reason: "invalid_transition", withdrawal };
+    const from = withdrawal.status;
+    for (const step of PAY_PATH.slice(start + 1)) {
+      const result = await applyWithdrawalTransition(
+        session,
+        withdrawal,
+        step,
+        step === WITHDRAWAL_STATUS.PAID ? options : { actor: options.actor }
+      );
+      if (!result.ok) return result;
+      withdrawal = result.withdrawal;
+    }
+    return { ok: true, from, withdrawal };
+  });
+}
+
+// Locks `amount` into a new draft withdrawal. Re-reading the user in the
+// session and requiring no existing lock turns a double tap into a no-op, and
+// the amount is checked again against the balance, the limits and the caps.
+async function openWithdrawalDraft(telegramId, amount, setFields) {
+  return runInTransaction(async (session) => {
+    const user = await usersCol.findOne({ telegramId }, { session });
+    if (!user) return { ok: false, reason: "not_found" };
+    if (user.balanceLocked && user.balanceLocked > 0)
+      return { ok: false, reason: "locked" };
+    const holds = checkPayoutHolds(user);
+    if (holds.length) return { ok: false, reason: "hold", holds };
+    const bounds = await withdrawalAmountBounds(user, session);
+    const error = checkWithdrawalAmount(bounds, amount);
+    if (error) return { ok: false, reason: "amount", error, bounds };
+    // "All" takes the exact balance so no fraction of a paisa is left behind.
+    if (amount === roundMoney(user.balance || 0)) amount = user.balance;
+    const now = new Date();
+    const withdrawalId = new ObjectId();
+    await withdrawalsCol.insertOne(
+      {
+        _id: withdrawalId,
+        userId: telegramId,
+        amount,
+        upi: null,
+        status: WITHDRAWAL_STATUS.DRAFT,
+        createdAt: now,
+        updatedAt: now,
+        history: [
+          {
+            from: null,
+            to: WITHDRAWAL_STATUS.DRAFT,
+            at: now,
+            actor: userActor(telegramId),
+            note: null,
+          },
+        ],
+      },
+      { session }
+    );
+    const locked = await applyBalanceChange({
+      userId: telegramId,
+      amount: -amount,
+      type: LEDGER_TYPES.WITHDRAWAL_LOCK,
+      actor: userActor(telegramId),
+      refType: "withdrawal",
+      refId: withdrawalId,
+      filter: {
+        balance: { $gte: amount },
+        $or: [
+          { balanceLocked: { $exists: false } },
+          { balanceLocked: { $lte: 0 } },
+        ],
+      },
+      set: {
+        ...setFields,
+        balanceLocked: amount,
+        draftWithdrawalId: withdrawalId,
+      },
+      unset: { awaitingWithdrawAmount: "" },
+      session,
+    });
+    if (!locked) throw new Error(`Could not lock balance for ${telegramId}`);
+    return { ok: true, amount, withdrawalId };
+  });
+}
+
+// Drafts created before withdrawals had a draft state only lived on the user
+// document; give them a withdrawal record so they can be confirmed or cancelled.
+async function migrateLegacyWithdrawalDrafts() {
+  const users = await usersCol
+    .find({ awaitingWithdrawUPI: true, balanceLocked: { $gt: 0 } })
+    .toArray();
+  let migrated = 0;
+  for (const user of users) {
+    const id = user.draftWithdrawalId || new ObjectId();
+    const exists = await withdrawalsCol.findOne({ _id: id });
+    if (exists) continue;
+    const now = new Date();
+    await withdrawalsCol.insertOne({
+      _id: id,
+      userId: user.telegramId,
+      amount: user.balanceLocked,
+      upi: null,
+      status: WITHDRAWAL_STATUS.DRAFT,
+      createdAt: user.lastWithdrawAt || now,
+      updatedAt: now,
+      history: [
+        {
+          from: null,
+          to: WITHDRAWAL_STATUS.DRAFT,
+          at: now,
+          actor: systemActor(),
+          note: "migrated",
+        },
+      ],
+    });
+    await usersCol.updateOne(
+      { telegramId: user.telegramId },
+      { $set: { draftWithdrawalId: id } }
+    );
+    migrated += 1;
+  }
+  if (migrated) logger.info(`Migrated ${migrated} legacy withdrawal drafts`);
+}
+
+function describeTransitionFailure(result) {
+  switch (result.reason) {
+    case "not_found":
+      return "Not found.";
+    case "already":
+      return `Already ${result.withdrawal.status}.`;
+    case "invalid_transition":
+      return `Cannot change a ${result.withdrawal.status} withdrawal.`;
+    default:
+      return "Withdrawal changed meanwhile, try again.";
+  }
+}
+
+// ─────────────────────────────────────────────
+// REFERRAL VELOCITY LIMITS
+// ─────────────────────────────────────────────
+const REFERRAL_LIMIT_KEYS = [
+  "refLimitPerHour",
+  "refLimitPerDay",
+  "refLimitLifetime",
+  "refBurstLimit",
+  "refBurstWindowMinutes",
+];
+// Referrals turned away by a cap are still stored, with this status, so the
+// referred user can't be claimed again and admins can see what was dropped.
+const LIMITED_STATUS = "limited";
+
+// Returns null when the referral may be counted, otherwise the cap that was
+// hit. A limit of 0 disables that check.
+async function checkReferralVelocity(referrerId) {
+  const now = Date.now();
+  const counted = { status: { $ne: LIMITED_STATUS } };
+  const lifetime = getSetting("refLimitLifetime");
+  if (lifetime > 0) {
+    const total = await pendingCol.countDocuments({ referrerId, ...counted });
+    if (total >= lifetime)
+      return {
+        reason: "lifetime_cap",
+        message: `You've reached the lifetime limit of ${lifetime} referrals.`,
+      };
+  }
+  const perDay = getSetting("refLimitPerDay");
+  if (perDay > 0) {
+    const today = await pendingCol.countDocuments({
+      referrerId,
+      ...counted,
+      createdAt: { $gte: new Date(now - 24 * 3600 * 1000) },
+    });
+    if (today >= perDay)
+      return {
+        reason: "daily_cap",
+        message: `You've hit the daily limit of ${perDay} referrals. New referrals count again within 24h.`,
+      };
+  }
+  const perHour = getSetting("refLimitPerHour");
+  if (perHour > 0) {
+    const hour = await pendingCol.countDocuments({
+      referrerId,
+      ...counted,
+      createdAt: { $gte: new Date(now - 3600 * 1000) },
+    });
+    if (hour >= perHour)
+      return {
+        reason: "hourly_cap",
+        message: `You've hit the hourly limit of ${perHour} referrals. Try again in a little while.`,
+      };
+  }
+  const burst = getSetting("refBurstLimit");
+  const windowMinutes = getSetting("refBurstWindowMinutes");
+  if (burst > 0 && windowMinutes > 0) {
+    const recent = await pendingCol.countDocuments({
+      ...counted,
+      createdAt: { $gte: new Date(now - windowMinutes * 60 * 1000) },
+    });
+    if (recent >= burst) {
+      logger.warn(`Global referral burst limit hit (${recent} in ${windowMinutes}m)`);
+      return {
+        reason: "global_burst",
+        message: "Referrals are paused for a few minutes due to high traffic.",
+      };
+    }
+  }
+  return null;
+}
+
+function formatReferralLimits() {
+  const describe = (value) => (value > 0 ? value : "off");
+  return [
+    "🚦 Referral limits",
+    `refLimitPerHour: ${describe(getSetting("refLimitPerHour"))}`,
+    `refLimitPerDay: ${describe(getSetting("refLimitPerDay"))}`,
+    `refLimitLifetime: ${describe(getSetting("refLimitLifetime"))}`,
+    `refBurstLimit: ${describe(getSetting("refBurstLimit"))} per ${getSetting(
+      "refBurstWindowMinutes"
+    )} min (all referrers)`,
+    "",
+    "Change with /admin_limits <key> <value> (0 disables a limit).",
+  ].join("\n");
+}
+
+// ─────────────────────────────────────────────
+// START COMMAND
+// ─────────────────────────────────────────────
+// Records when a user last did anything besides /start; the fraud scorer uses
+// it to spot accounts that were created only to follow a referral link. Any
+// update also clears the `inactive` flag set when a message hit a block;
+// block/unblock updates themselves are handled below.
+bot.use(async (ctx, next) => {
+  const isStart = /^\/start\b/.test(ctx.message?.text || "");
+  if (ctx.from && usersCol && ctx.updateType !== "my_chat_member") {
+    const update = { $unset: { inactive: "", inactiveAt: "" } };
+    if (!isStart) {
+      update.$set = { lastInteractionAt: new Date() };
+      update.$inc = { interactionCount: 1 };
+    }
+    usersCol
+      .updateOne({ telegramId: ctx.from.id }, update)
+      .catch((err) => logger.debug(`interaction tracking failed: ${err.message}`));
+  }
+  return next();
+});
+
+async function markUserInactive(telegramId) {
+  try {
+    await usersCol.updateOne(
+      { telegramId, inactive: { $ne: true } },
+      { $set: { inactive: true, inactiveAt: new Date() } }
+    );
+  } catch (err) {
+    logger.debug(`Could not mark ${telegramId} inactive: ${err.message}`);
+  }
+}
+
+// Telegram reports a private chat block as our member status turning "kicked".
+bot.on("my_chat_member", async (ctx, next) => {
+  if (ctx.chat?.type !== "private") return next();
+  const status = ctx.myChatMember.new_chat_member.status;
+  logger.info(`Bot status in chat with ${ctx.from.id} is now ${status}`);
+  if (status === "kicked") await markUserInactive(ctx.from.id);
+  else
+    await usersCol.updateOne(
+      { telegramId: ctx.from.id },
+      { $unset: { inactive: "", inactiveAt: "" } }
+    );
+});
+
+// Banned users get one short notice per update and nothing else.
+bot.use(async (ctx, next) => {
+  if (!ctx.from || isAdmin(ctx.from.id) || !usersCol) return next();
+  try {
+    const user = await usersCol.findOne(
+      { telegramId: ctx.from.id },
+      { projection: { banned: 1 } }
+    );
+    if (user?.banned) {
+      logger.debug(`Ignoring update from banned user ${ctx.from.id}`);
+      if (ctx.callbackQuery)
+        await ctx.answerCbQuery("🚫 Your account is suspended.");
+      else if (ctx.chat?.type === "private")
+        await ctx.reply("🚫 Your account is suspended.");
+      return;
+    }
+  } catch (err) {
+    logger.error(`Ban check failed: ${err.message}`);
+  }
+  return next();
+});
+
+bot.use(async (ctx, next) => {
+  try {
+    const allowed = await enforceChannelRequirements(ctx);
+    if (!allowed) return;
+  } catch (err) {
+    logger.error(`Requirement guard failed: ${err.message}`);
+    // fall through to avoid locking users out if check fails unexpectedly
+  }
+  return next();
+});
+
+bot.start(async (ctx) => {
+  try {
+    logCommand(ctx, "/start");
+    const raw = ctx.message.text.trim();
+    const parts = raw.split(" ");
+    const payload = parts[1] || "";
+    const user = await ensureUserProfile(ctx.from);
+
+    // Handle referral link
+    if (payload.startsWith("ref_")) {
+      const referrer = await usersCol.findOne({ referralCode: payload });
+      if (referrer && referrer.telegramId !== user.telegramId) {
+        const exists =
+          (await pendingCol.findOne({
+            referredId: user.telegramId,
+          })) ||
+          (await refsCol.findOne({ referredId: user.telegramId }));
+        const limit = exists
+          ? null
+          : await checkReferralVelocity(referrer.telegramId);
+        if (!exists && limit) {
+          logger.warn(
+            `Referral over limit (${limit.reason}): referrer ${referrer.telegramId} -> referred ${user.telegramId}`
+          );
+          await pendingCol.insertOne({
+            referredId: user.telegramId,
+            referrerId: referrer.telegramId,
+            referralCode: payload,
+            createdAt: new Date(),
+            status: LIMITED_STATUS,
+            reason: limit.reason,
+          });
+          await notifyUserSafe(
+            referrer.telegramId,
+            `🚦 ${
+              ctx.from.username ? "@" + ctx.from.username : ctx.from.first_name
+            } joined with your link but wasn't counted. ${limit.message}`
+          );
+        } else if (!exists) {
+          logger.info(`Referral detected: referrer ${referrer.telegramId} -> referred ${user.telegramId}`);
+          await pendingCol.insertOne({
+            referredId: user.telegramId,
             referrerId: referrer.telegramId,
             referralCode: payload,
             createdAt: new Date(),
@@ -588,7 +3265,7 @@ bot.start(async (ctx) => {
               referrer.telegramId,
               `🎉 You referred ${
                 ctx.from.username ? "@" + ctx.from.username : ctx.from.first_name
-              }! Confirmation in ${CONFIRM_DELAY_HOURS}h.`
+              }! Confirmation in ${getSetting("confirmDelayHours")}h.`
             );
           } catch (notifyErr) {
             logger.debug(
@@ -623,6 +3300,16 @@ bot.command("balance", async (ctx) => {
   }
 });
 
+bot.command("history", async (ctx) => {
+  try {
+    logCommand(ctx, "/history");
+    await replyHistory(ctx);
+  } catch (e) {
+    ctx.reply("Error loading history.");
+    logger.error("/history: " + e.message);
+  }
+});
+
 bot.command("profile", async (ctx) => {
   try {
     logCommand(ctx, "/profile");
@@ -636,21 +3323,22 @@ bot.command("profile", async (ctx) => {
 bot.command("leaderboard", async (ctx) => {
   try {
     logCommand(ctx, "/leaderboard");
-    await replyLeaderboard(ctx);
+    const period = (ctx.message.text.split(" ")[1] || "week").toLowerCase();
+    await replyLeaderboard(ctx, period);
   } catch (e) {
     ctx.reply("Error loading leaderboard.");
     logger.error("/leaderboard: " + e.message);
   }
 });
 
-bot.command("setupi", async (ctx) => {
+bot.command(["payout", "setupi"], async (ctx) => {
   try {
-    logCommand(ctx, "/setupi");
+    logCommand(ctx, "/payout");
     const u = await ensureUserProfile(ctx.from);
-    await startUpiSetup(ctx, u);
+    await showPayoutMethods(ctx, u);
   } catch (e) {
-    ctx.reply("Could not start UPI setup.");
-    logger.error("/setupi: " + e.message);
+    ctx.reply("Could not load payout methods.");
+    logger.error("/payout: " + e.message);
   }
 });
 
@@ -689,155 +3377,107 @@ bot.on("text", async (ctx, next) => {
 
     const lower = text.toLowerCase();
 
-    // handle global UPI setup
-    if (u.awaitingUpiSetup) {
+    if (u.awaitingSettingKey && hasPermission(u.telegramId, "settings")) {
+      const key = u.awaitingSettingKey;
       if (lower === "cancel") {
         await usersCol.updateOne(
           { telegramId: u.telegramId },
-          { $unset: { awaitingUpiSetup: "", draftUpiSetup: "" } }
+          { $unset: { awaitingSettingKey: "" } }
         );
-        await ctx.reply("UPI setup cancelled.");
+        await ctx.reply("Setting left unchanged.");
         return;
       }
-      if (lower === "confirm") {
-        if (!u.draftUpiSetup) {
-          await ctx.reply("Send a UPI first, then reply 'confirm'.");
-          return;
-        }
-        await usersCol.updateOne(
-          { telegramId: u.telegramId },
-          {
-            $set: {
-              primaryUPI: u.draftUpiSetup,
-              needsUpiSetup: false,
-            },
-            $unset: { awaitingUpiSetup: "", draftUpiSetup: "" },
-          }
-        );
-        await ctx.reply(
-          `✅ Saved UPI ${u.draftUpiSetup}. You can update it anytime with /setupi.`
-        );
+      const parsed = parseSettingValue(key, text);
+      if (!parsed.ok) {
+        await ctx.reply(`${parsed.error} Or type 'cancel'.`);
         return;
       }
-      if (UPI_REGEX.test(text)) {
-        await usersCol.updateOne(
-          { telegramId: u.telegramId },
-          { $set: { draftUpiSetup: text } }
-        );
-        await ctx.reply(
-          `UPI captured: ${text}. Reply 'confirm' to save, send another to change, or 'cancel' to exit.`
-        );
+      await usersCol.updateOne(
+        { telegramId: u.telegramId },
+        { $unset: { awaitingSettingKey: "" } }
+      );
+      await updateSetting(key, parsed.value, u.telegramId);
+      await ctx.reply(
+        `✅ ${SETTINGS_SCHEMA[key].label} is now ${formatSettingValue(key)}.`,
+        Markup.inlineKeyboard([
+          [Markup.button.callback("⚙️ Back to settings", "SETTINGS_MENU")],
+        ])
+      );
+      return;
+    }
+
+    if (u.awaitingRejectReason && hasPermission(u.telegramId, "withdrawals")) {
+      const withdrawalId = u.awaitingRejectReason;
+      await usersCol.updateOne(
+        { telegramId: u.telegramId },
+        { $unset: { awaitingRejectReason: "" } }
+      );
+      if (lower === "cancel") {
+        await ctx.reply("Rejection aborted; the withdrawal stays pending.");
         return;
       }
+      const result = await rejectWithdrawalAsAdmin(withdrawalId, ctx.from, text);
       await ctx.reply(
-        "Please send a valid UPI (e.g. name@bank), 'confirm' to save, or 'cancel' to exit."
+        result.ok
+          ? "🚫 Withdrawal rejected and refunded."
+          : describeTransitionFailure(result)
       );
       return;
     }
 
-    // handle withdrawal UPI
-    if (u.awaitingWithdrawUPI) {
+    if (await handleModerationReason(ctx, u, text)) return;
+    if (await handleBroadcastInput(ctx, u)) return;
+
+    if (await handlePayoutMethodInput(ctx, u, text)) return;
+
+    if (u.awaitingWithdrawAmount) {
       if (lower === "cancel") {
-        await usersCol.updateOne(
-          { telegramId: u.telegramId },
-          {
-            $inc: { balance: u.balanceLocked || 0 },
-            $unset: {
-              awaitingWithdrawUPI: "",
-              awaitingWithdrawUPIConfirm: "",
-              draftWithdrawUPI: "",
-              balanceLocked: "",
-            },
-          }
-        );
-        await ctx.reply("❌ Withdrawal cancelled. Balance restored.");
+        await cancelWithdrawalDraft(ctx, u);
         return;
       }
-      if (lower === "confirm") {
-        if (!u.awaitingWithdrawUPIConfirm || !u.draftWithdrawUPI) {
-          await ctx.reply(
-            "Send your UPI first (or type a new one) before confirming."
-          );
-          return;
-        }
-        const amount = u.balanceLocked || 0;
-        const upi = u.draftWithdrawUPI;
-        await withdrawalsCol.insertOne({
-          userId: u.telegramId,
-          upi,
-          amount,
-          requestedAt: new Date(),
-          status: "pending",
-        });
-        await usersCol.updateOne(
-          { telegramId: u.telegramId },
-          {
-            $unset: {
-              awaitingWithdrawUPI: "",
-              awaitingWithdrawUPIConfirm: "",
-              draftWithdrawUPI: "",
-            },
-            $set: {
-              primaryUPI: upi,
-              needsUpiSetup: false,
-            },
-          }
-        );
+      const amount = parseAmountInput(text);
+      if (amount === null) {
         await ctx.reply(
-          `✅ Withdrawal ₹${amount.toFixed(
-            2
-          )} to ${upi}. Admin will process soon.`
+          "Send the amount in ₹ (e.g. 120), tap one of the buttons, or type 'cancel'."
         );
-        for (const a of ADMIN_IDS)
-          try {
-            await ctx.telegram.sendMessage(
-              a,
-              `💸 Withdrawal:\nUser:${u.telegramId}\nAmt:₹${amount}\nUPI:${upi}`
-            );
-          } catch {}
-        logger.info(`Withdrawal request stored for ${u.telegramId}`);
         return;
       }
-      if (UPI_REGEX.test(text)) {
+      await chooseWithdrawalAmount(ctx, u, amount);
+      return;
+    }
+
+    if (u.awaitingWithdrawMethod) {
+      if (lower === "cancel") {
+        await cancelWithdrawalDraft(ctx, u);
+        return;
+      }
+      if (lower === "confirm") {
+        await submitWithdrawal(ctx, u);
+        return;
+      }
+      await replyWithdrawalMethodChoice(
+        ctx,
+        u,
+        u.balanceLocked,
+        "Tap a payout method below, reply 'confirm' to submit, or 'cancel' to abort."
+      );
+      return;
+    }
+
+    if (u.awaitingTaskProof) {
+      if (lower === "cancel") {
         await usersCol.updateOne(
           { telegramId: u.telegramId },
-          {
-            $set: {
-              draftWithdrawUPI: text,
-              awaitingWithdrawUPIConfirm: true,
-            },
-          }
-        );
-        await ctx.reply(
-          `UPI noted: ${text}. Reply 'confirm' to submit, send another to change, or 'cancel' to abort.`
+          { $unset: { awaitingTaskProof: "" } }
         );
+        await ctx.reply("Proof submission cancelled.");
         return;
       }
-      await ctx.reply(
-        "Please send a valid UPI (e.g. name@bank), 'confirm' to submit, or 'cancel' to abort."
-      );
+      await submitTaskProof(ctx, u, { type: "text", text, fileId: null });
       return;
     }
 
-    if (u.awaitingSupportMessage) {
-      logger.info(`Support message received from ${u.telegramId}`);
-      await usersCol.updateOne(
-        { telegramId: u.telegramId },
-        { $unset: { awaitingSupportMessage: "" } }
-      );
-      for (const adminId of ADMIN_IDS) {
-        try {
-          await ctx.telegram.sendMessage(
-            adminId,
-            `🆘 Support request from ${u.telegramId} (${ctx.from.username ? "@" + ctx.from.username : ctx.from.first_name || ""}):\n${text}`
-          );
-        } catch (err) {
-          logger.debug(`Failed to forward support message to ${adminId}: ${err.message}`);
-        }
-      }
-      await ctx.reply("Thanks! An admin will reach out soon.");
-      return;
-    }
+    if (await handleTicketMessage(ctx, u)) return;
   } catch (e) {
     logger.error("text handler: " + e.message);
   }
@@ -853,6 +3493,12 @@ bot.action("BALANCE", async (ctx) => {
   await replyBalance(ctx);
 });
 
+bot.action(/^HISTORY:(\d+)$/, async (ctx) => {
+  logger.info(`HISTORY page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  await replyHistory(ctx, Number(ctx.match[1]));
+});
+
 bot.action("PROFILE", async (ctx) => {
   logger.info(`PROFILE button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
@@ -864,6 +3510,24 @@ bot.action("LEADERBOARD", async (ctx) => {
   await ctx.answerCbQuery();
   await replyLeaderboard(ctx);
 });
+bot.action(/^LB:(\w+):(\d+)$/, async (ctx) => {
+  logger.info(`LB ${ctx.match[1]} page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  await replyLeaderboard(ctx, ctx.match[1], Number(ctx.match[2]));
+});
+bot.action(/^LB_PRIVACY:(\w+):(\d+)$/, async (ctx) => {
+  const u = await ensureUserProfile(ctx.from);
+  const optOut = !u.leaderboardOptOut;
+  await usersCol.updateOne(
+    { telegramId: u.telegramId },
+    { $set: { leaderboardOptOut: optOut } }
+  );
+  logger.info(`Leaderboard opt-out set to ${optOut} by ${ctx.from.id}`);
+  await ctx.answerCbQuery(
+    optOut ? "You now appear as anonymous." : "Your name is visible again."
+  );
+  await replyLeaderboard(ctx, ctx.match[1], Number(ctx.match[2]));
+});
 bot.action("HELP", async (ctx) => {
   logger.info(`HELP button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
@@ -871,12 +3535,8 @@ bot.action("HELP", async (ctx) => {
 });
 bot.action("SUPPORT", async (ctx) => {
   logger.info(`SUPPORT button tapped by ${ctx.from.id}`);
-  await usersCol.updateOne(
-    { telegramId: ctx.from.id },
-    { $set: { awaitingSupportMessage: true } }
-  );
   await ctx.answerCbQuery();
-  await ctx.reply("Type your support message; admins will be notified.");
+  await startSupportMessage(ctx);
 });
 
 bot.action("CHECK_REQUIREMENTS", async (ctx) => {
@@ -893,38 +3553,145 @@ bot.action("CHECK_REQUIREMENTS", async (ctx) => {
   await sendMainMenu(ctx, user);
 });
 
-bot.action("TASKS", async (ctx) => {
-  logger.info(`TASKS button tapped by ${ctx.from.id}`);
+bot.action("WITHDRAW", async (ctx) => {
+  logger.info(`WITHDRAW button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  const available = await tasksCol
-    .find({ active: true })
-    .sort({ priority: -1, createdAt: -1 })
-    .toArray();
-  if (!available.length) {
-    await ctx.reply("No bonus tasks available right now. Check back soon!");
+  const u = await ensureUserProfile(ctx.from);
+  await startWithdrawFlow(ctx, u);
+});
+
+// SETUP_UPI is kept for menus sent before payout methods existed.
+bot.action(["PAYOUT_METHODS", "SETUP_UPI"], async (ctx) => {
+  logger.info(`PAYOUT_METHODS button tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  const u = await ensureUserProfile(ctx.from);
+  await showPayoutMethods(ctx, u);
+});
+
+bot.action(/^PM_VIEW:([a-f0-9]{24})$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = await ensureUserProfile(ctx.from);
+  const method = findPayoutMethod(u, ctx.match[1]);
+  if (!method) {
+    await showPayoutMethods(ctx, u);
     return;
   }
-  let msg = "🎯 Active tasks:\n";
-  available.forEach((task, idx) => {
-    msg += `${idx + 1}. ${task.title} — reward ₹${task.reward}\n${
-      task.description || ""
-    }\n\n`;
-  });
-  await ctx.reply(msg.trim());
+  await showPayoutMethodDetail(ctx, u, method);
 });
 
-bot.action("WITHDRAW", async (ctx) => {
-  logger.info(`WITHDRAW button tapped by ${ctx.from.id}`);
+bot.action(/^PM_DEFAULT:([a-f0-9]{24})$/, async (ctx) => {
+  const id = ctx.match[1];
+  const res = await usersCol.findOneAndUpdate(
+    { telegramId: ctx.from.id, "payoutMethods.id": id },
+    { $set: { defaultPayoutMethodId: id } },
+    { returnDocument: "after" }
+  );
+  await ctx.answerCbQuery(res.value ? "Default updated" : "Method not found");
+  if (res.value) await showPayoutMethods(ctx, res.value);
+});
+
+bot.action(/^PM_REMOVE:([a-f0-9]{24})$/, async (ctx) => {
+  const user = await removePayoutMethod(ctx.from.id, ctx.match[1]);
+  await ctx.answerCbQuery(user ? "Removed" : "Method not found");
+  if (user) {
+    logger.info(`Payout method ${ctx.match[1]} removed by ${ctx.from.id}`);
+    await showPayoutMethods(ctx, user);
+  }
+});
+
+bot.action(/^PM_ADD(:wd)?$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await replyPayoutMethodTypes(ctx, Boolean(ctx.match[1]));
+});
+
+bot.action(/^PM_TYPE:([a-z]+)(:wd)?$/, async (ctx) => {
+  const type = ctx.match[1];
+  if (!ENABLED_PAYOUT_METHODS.includes(type)) {
+    await ctx.answerCbQuery("That method is not available.");
+    return;
+  }
+  await ctx.answerCbQuery();
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    {
+      $set: {
+        awaitingPayoutMethod: { type, forWithdrawal: Boolean(ctx.match[2]) },
+      },
+    }
+  );
+  await ctx.reply(`${PAYOUT_METHODS[type].prompt} Type 'cancel' to stop.`);
+});
+
+async function loadWithdrawalDraftUser(ctx) {
+  const u = await ensureUserProfile(ctx.from);
+  if (u.awaitingWithdrawMethod && u.draftWithdrawalId) return u;
+  await ctx.reply("No withdrawal in progress. Tap 💸 Withdraw to start one.");
+  return null;
+}
+
+bot.action(/^WD_METHOD:([a-f0-9]{24})$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = await loadWithdrawalDraftUser(ctx);
+  if (!u) return;
+  const method = findPayoutMethod(u, ctx.match[1]);
+  if (!method || !ENABLED_PAYOUT_METHODS.includes(method.type)) {
+    await replyWithdrawalMethodChoice(
+      ctx,
+      u,
+      u.balanceLocked,
+      "That payout method is no longer available."
+    );
+    return;
+  }
+  await selectWithdrawalMethod(ctx, u, method, u.balanceLocked);
+});
+
+bot.action("WD_METHODS", async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = await loadWithdrawalDraftUser(ctx);
+  if (u) await replyWithdrawalMethodChoice(ctx, u, u.balanceLocked);
+});
+
+bot.action("WD_CONFIRM", async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = await loadWithdrawalDraftUser(ctx);
+  if (u) await submitWithdrawal(ctx, u);
+});
+
+bot.action(/^WD_AMOUNT:(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery();
   const u = await ensureUserProfile(ctx.from);
-  await startWithdrawFlow(ctx, u);
+  if (!u.awaitingWithdrawAmount) {
+    await ctx.reply("No withdrawal in progress. Tap 💸 Withdraw to start one.");
+    return;
+  }
+  await chooseWithdrawalAmount(ctx, u, Number(ctx.match[1]) / 100);
 });
 
-bot.action("SETUP_UPI", async (ctx) => {
-  logger.info(`SETUP_UPI button tapped by ${ctx.from.id}`);
+bot.action("WD_CHANGE_AMOUNT", async (ctx) => {
+  await ctx.answerCbQuery();
+  const u = await loadWithdrawalDraftUser(ctx);
+  if (!u) return;
+  const result = await transitionWithdrawal(
+    u.draftWithdrawalId,
+    WITHDRAWAL_STATUS.CANCELLED,
+    { actor: userActor(u.telegramId), note: "amount changed by user" }
+  );
+  if (!result.ok) {
+    await ctx.reply(describeTransitionFailure(result));
+    return;
+  }
+  await startWithdrawFlow(ctx, await ensureUserProfile(ctx.from));
+});
+
+bot.action("WD_CANCEL", async (ctx) => {
   await ctx.answerCbQuery();
   const u = await ensureUserProfile(ctx.from);
-  await startUpiSetup(ctx, u);
+  if (u.awaitingWithdrawAmount) {
+    await cancelWithdrawalDraft(ctx, u);
+    return;
+  }
+  if (await loadWithdrawalDraftUser(ctx)) await cancelWithdrawalDraft(ctx, u);
 });
 
 bot.action("STATUS", async (ctx) => {
@@ -941,9 +3708,11 @@ bot.command("admin", async (ctx) => {
   const id = ctx.from.id;
   const is = isAdmin(id);
   await ctx.reply(
-    `👮 Your ID: ${id}\nAdmins: ${ADMIN_IDS.join(
-      ", "
-    )}\nStatus: ${is ? "✅ You are admin" : "❌ Not admin"}`
+    `👮 Your ID: ${id}\nOwners: ${ADMIN_IDS.join(", ")}\nStatus: ${
+      is
+        ? `✅ You are admin (${ADMIN_ROLES[roleOf(id)].label})`
+        : "❌ Not admin"
+    }`
   );
   if (is) await ctx.reply(buildHelpText(true));
   if (is) await showAdminPanel(ctx);
@@ -951,7 +3720,8 @@ bot.command("admin", async (ctx) => {
 
 bot.command("admin_withdrawals", async (ctx) => {
   logCommand(ctx, "/admin_withdrawals");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
   await listPendingWithdrawalsReply(ctx);
 });
 
@@ -961,15 +3731,114 @@ bot.command("adminpanel", async (ctx) => {
   await showAdminPanel(ctx);
 });
 
+async function describeAdminRoles() {
+  const docs = await adminRolesCol.find({}).sort({ grantedAt: 1 }).toArray();
+  const lines = ["👮 Admin roles", ""];
+  for (const id of ADMIN_IDS) lines.push(`• ${id} — Owner (ADMIN_IDS)`);
+  for (const doc of docs) {
+    const role = ADMIN_ROLES[doc.role];
+    lines.push(
+      `• ${doc.telegramId} — ${role ? role.label : doc.role} (by ${
+        doc.grantedBy
+      }, ${new Date(doc.grantedAt).toISOString().slice(0, 10)})`
+    );
+  }
+  lines.push("", "Roles:");
+  for (const [key, role] of Object.entries(ADMIN_ROLES)) {
+    lines.push(`• ${key}: ${role.permissions.join(", ")}`);
+  }
+  lines.push(
+    "",
+    "Usage: /admin_roles set <telegramId|@username> <role>",
+    "       /admin_roles remove <telegramId|@username>"
+  );
+  return lines.join("\n");
+}
+
+async function resolveRoleTarget(query) {
+  if (/^\d+$/.test(query)) return Number(query);
+  const user = await findUserByQuery(query);
+  return user ? user.telegramId : null;
+}
+
+bot.command("admin_roles", async (ctx) => {
+  logCommand(ctx, "/admin_roles");
+  if (!hasPermission(ctx.from.id, "roles")) return ctx.reply("Unauthorized");
+  const [, action, query, roleKey] = ctx.message.text.split(/\s+/);
+  if (!action) return ctx.reply(await describeAdminRoles());
+  if (!["set", "remove"].includes(action) || !query)
+    return ctx.reply(
+      "Usage: /admin_roles [set <telegramId|@username> <role> | remove <telegramId|@username>]"
+    );
+  const targetId = await resolveRoleTarget(query);
+  if (!targetId) return ctx.reply(`No user found for ${query}.`);
+  if (ADMIN_IDS.includes(targetId))
+    return ctx.reply(
+      "That user is an owner via ADMIN_IDS; change the env to alter it."
+    );
+  if (action === "remove") {
+    const removed = await removeAdminRole(targetId, ctx.from.id);
+    return ctx.reply(
+      removed
+        ? `Removed admin role from ${targetId}.`
+        : `${targetId} has no role.`
+    );
+  }
+  const role = (roleKey || "").toLowerCase();
+  if (!ADMIN_ROLES[role])
+    return ctx.reply(
+      `Unknown role. Choose one of: ${Object.keys(ADMIN_ROLES).join(", ")}`
+    );
+  await setAdminRole(targetId, role, ctx.from.id);
+  await ctx.reply(`${targetId} is now ${ADMIN_ROLES[role].label}.`);
+  await notifyUserSafe(
+    targetId,
+    `👮 You were given the ${ADMIN_ROLES[role].label} admin role. Use /adminpanel to get started.`
+  );
+});
+
+bot.action("ADMIN_ROLES", async (ctx) => {
+  logger.info(`ADMIN_ROLES button tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "roles")) return ctx.reply("Unauthorized");
+  await ctx.reply(await describeAdminRoles());
+});
+
+bot.command("audit", async (ctx) => {
+  logCommand(ctx, "/audit");
+  if (!hasPermission(ctx.from.id, "audit")) return ctx.reply("Unauthorized");
+  let filter;
+  try {
+    filter = parseAuditFilter(ctx.message.text.split(/\s+/).slice(1));
+  } catch (err) {
+    return ctx.reply(
+      `${err.message}\nUsage: /audit [admin=<id>] [action=<name|prefix>] [from=YYYY-MM-DD] [to=YYYY-MM-DD]`
+    );
+  }
+  await ensureUserProfile(ctx.from);
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { auditFilter: filter } }
+  );
+  await replyAuditLog(ctx, filter);
+});
+
+bot.action(/^AUDIT:(\d+)$/, async (ctx) => {
+  logger.info(`AUDIT page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "audit")) return ctx.reply("Unauthorized");
+  const u = await usersCol.findOne({ telegramId: ctx.from.id });
+  await replyAuditLog(ctx, u?.auditFilter || {}, Number(ctx.match[1]));
+});
 bot.command("admin_channels", async (ctx) => {
   logCommand(ctx, "/admin_channels");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   await showAdminChannels(ctx, { forceReply: true });
 });
 
 bot.command("admin_addchannel", async (ctx) => {
   logCommand(ctx, "/admin_addchannel");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   const parts = ctx.message.text.split(" ").filter(Boolean);
   if (parts.length < 2)
     return ctx.reply(
@@ -1001,11 +3870,19 @@ bot.command("admin_addchannel", async (ctx) => {
     addedBy: ctx.from.id,
   };
 
+  const before = await requiredChannelsCol.findOne({ chatId: storedChatId });
   await requiredChannelsCol.updateOne(
     { chatId: storedChatId },
     { $set: doc, $setOnInsert: { createdAt: new Date() } },
     { upsert: true }
   );
+  await recordAudit(ctx.from.id, "channel.add", {
+    targetType: "channel",
+    targetId: storedChatId,
+    before: auditSnapshot(before),
+    after: doc,
+    args: { chatId: chatIdInput, joinLink },
+  });
 
   await ctx.reply(
     `Saved channel requirement for ${doc.title}.` +
@@ -1015,14 +3892,21 @@ bot.command("admin_addchannel", async (ctx) => {
 
 bot.command("admin_removechannel", async (ctx) => {
   logCommand(ctx, "/admin_removechannel");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   const parts = ctx.message.text.split(" ").filter(Boolean);
   if (parts.length < 2)
     return ctx.reply("Usage: /admin_removechannel <chatIdOrUsername>");
   const chatIdInput = parts[1];
   const storedChatId = String(chatIdInput);
-  const result = await requiredChannelsCol.deleteOne({ chatId: storedChatId });
-  if (!result.deletedCount) return ctx.reply("No matching channel requirement found.");
+  const result = await requiredChannelsCol.findOneAndDelete({
+    chatId: storedChatId,
+  });
+  if (!result.value) return ctx.reply("No matching channel requirement found.");
+  await recordAudit(ctx.from.id, "channel.remove", {
+    targetType: "channel",
+    targetId: storedChatId,
+    before: auditSnapshot(result.value),
+  });
   await ctx.reply(`Removed channel requirement for ${storedChatId}.`);
 });
 
@@ -1036,28 +3920,108 @@ bot.action("ADMIN_PANEL", async (ctx) => {
 bot.action("ADMIN_WITHDRAWALS", async (ctx) => {
   logger.info(`ADMIN_WITHDRAWALS button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
   await listPendingWithdrawalsReply(ctx);
 });
 
+bot.action(/^ADMIN_WITHDRAWALS:(\d+)$/, async (ctx) => {
+  logger.info(`ADMIN_WITHDRAWALS page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
+  await listPendingWithdrawalsReply(ctx, Number(ctx.match[1]));
+});
+
+bot.action(/^WD_PAY:([a-f0-9]{24})(?::(\d+))?$/i, async (ctx) => {
+  logger.info(`WD_PAY tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  try {
+    const result = await payWithdrawalAsAdmin(ctx.match[1], ctx.from);
+    if (!result.ok) {
+      await ctx.answerCbQuery(describeTransitionFailure(result), {
+        show_alert: true,
+      });
+    } else {
+      await ctx.answerCbQuery("✅ Marked paid.");
+    }
+    if (ctx.match[2] !== undefined)
+      await listPendingWithdrawalsReply(ctx, Number(ctx.match[2]));
+  } catch (err) {
+    await answerActionError(ctx, "WD_PAY", err);
+  }
+});
+
+bot.action(/^WD_REJECT:([a-f0-9]{24})(?::(\d+))?$/i, async (ctx) => {
+  logger.info(`WD_REJECT tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  try {
+    const w = await withdrawalsCol.findOne({
+      _id: new ObjectId(ctx.match[1]),
+    });
+    if (!w || !canTransitionWithdrawal(w.status, WITHDRAWAL_STATUS.REJECTED)) {
+      await ctx.answerCbQuery(
+        w ? `Already ${w.status}.` : "Withdrawal not found.",
+        { show_alert: true }
+      );
+      return;
+    }
+    await ctx.answerCbQuery();
+    await ensureUserProfile(ctx.from);
+    await usersCol.updateOne(
+      { telegramId: ctx.from.id },
+      { $set: { awaitingRejectReason: String(w._id) } }
+    );
+    await ctx.reply(
+      `Send the rejection reason for ${formatAmount(w.amount)} (${
+        w._id
+      }), or 'cancel' to keep it pending.`
+    );
+  } catch (err) {
+    await answerActionError(ctx, "WD_REJECT", err);
+  }
+});
+
+bot.action(/^WD_USER:(\d+)$/, async (ctx) => {
+  logger.info(`WD_USER tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "users.view"))
+    return ctx.reply("Unauthorized");
+  try {
+    const user = await usersCol.findOne({
+      telegramId: Number(ctx.match[1]),
+    });
+    if (!user) return ctx.reply("User not found.");
+    await replyUserManagementCard(ctx, user);
+  } catch (err) {
+    await answerActionError(ctx, "WD_USER", err);
+  }
+});
+
 bot.action("ADMIN_CHANNELS", async (ctx) => {
   logger.info(`ADMIN_CHANNELS button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   await showAdminChannels(ctx);
 });
 
 bot.action("ADMIN_CHANNELS_REFRESH", async (ctx) => {
   logger.info(`ADMIN_CHANNELS_REFRESH tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   await showAdminChannels(ctx);
 });
 
 bot.action(/^ADMIN_CHANNEL_DETAIL:(.+)$/i, async (ctx) => {
   logger.info(`ADMIN_CHANNEL_DETAIL tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "channels")) return ctx.reply("Unauthorized");
   const id = ctx.match[1];
   let objectId;
   try {
@@ -1094,7 +4058,7 @@ bot.action(/^ADMIN_CHANNEL_DETAIL:(.+)$/i, async (ctx) => {
 
 bot.action(/^ADMIN_CHANNEL_REMOVE:(.+)$/i, async (ctx) => {
   logger.info(`ADMIN_CHANNEL_REMOVE tapped by ${ctx.from.id}`);
-  if (!isAdmin(ctx.from.id)) {
+  if (!hasPermission(ctx.from.id, "channels")) {
     await ctx.answerCbQuery("Unauthorized", { show_alert: true });
     return;
   }
@@ -1108,14 +4072,19 @@ bot.action(/^ADMIN_CHANNEL_REMOVE:(.+)$/i, async (ctx) => {
     });
     return;
   }
-  const result = await requiredChannelsCol.deleteOne({ _id: objectId });
-  if (!result.deletedCount) {
+  const result = await requiredChannelsCol.findOneAndDelete({ _id: objectId });
+  if (!result.value) {
     await ctx.answerCbQuery("Channel not found or already removed.", {
       show_alert: true,
     });
     await showAdminChannels(ctx);
     return;
   }
+  await recordAudit(ctx.from.id, "channel.remove", {
+    targetType: "channel",
+    targetId: result.value.chatId,
+    before: auditSnapshot(result.value),
+  });
   await ctx.answerCbQuery("Channel requirement removed.");
   await showAdminChannels(ctx);
 });
@@ -1130,43 +4099,173 @@ bot.action("ADMIN_HELP", async (ctx) => {
 bot.action("ADMIN_CONFIRM", async (ctx) => {
   logger.info(`ADMIN_CONFIRM button tapped by ${ctx.from.id}`);
   await ctx.answerCbQuery();
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
   const result = await confirmPendingReferrals({ force: true });
   const confirmed = result?.confirmed?.length || 0;
   const invalidated = result?.invalidated?.length || 0;
+  const held = result?.review?.length || 0;
+  await recordAudit(ctx.from.id, "referrals.confirm", {
+    args: { force: true },
+    after: { confirmed, invalidated, review: held },
+  });
   const summary = confirmed
     ? `Confirmed ${confirmed} referrals${
         invalidated ? `, invalidated ${invalidated}` : ""
-      }.`
+      }${held ? `, held ${held} for review` : ""}.`
+    : held
+    ? `Held ${held} referrals for review.`
     : "No referrals ready for confirmation.";
   await ctx.reply(`Referral audit complete. ${summary}`);
 });
 
+bot.command("settings", async (ctx) => {
+  logCommand(ctx, "/settings");
+  if (!hasPermission(ctx.from.id, "settings")) return ctx.reply("Unauthorized");
+  await showSettingsMenu(ctx);
+});
+
+bot.action("SETTINGS_MENU", async (ctx) => {
+  logger.info(`SETTINGS_MENU tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "settings")) return ctx.reply("Unauthorized");
+  await showSettingsMenu(ctx);
+});
+
+bot.action(/^SETTINGS_VIEW:(\w+)$/, async (ctx) => {
+  logger.info(`SETTINGS_VIEW tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "settings")) return ctx.reply("Unauthorized");
+  const key = ctx.match[1];
+  if (!SETTINGS_SCHEMA[key]) return ctx.reply("Unknown setting.");
+  await showSettingDetail(ctx, key);
+});
+
+bot.action(/^SETTINGS_EDIT:(\w+)$/, async (ctx) => {
+  logger.info(`SETTINGS_EDIT tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "settings")) return ctx.reply("Unauthorized");
+  const key = ctx.match[1];
+  const def = SETTINGS_SCHEMA[key];
+  if (!def) return ctx.reply("Unknown setting.");
+  await ensureUserProfile(ctx.from);
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingSettingKey: key } }
+  );
+  await ctx.reply(
+    `Send the new value for "${def.label}" (${describeSettingInput(
+      def
+    )}), or 'cancel' to keep ${formatSettingValue(
+      key
+    )}.`
+  );
+});
+
+bot.action(/^SETTINGS_RESET:(\w+)$/, async (ctx) => {
+  logger.info(`SETTINGS_RESET tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "settings")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  const key = ctx.match[1];
+  if (!SETTINGS_SCHEMA[key]) {
+    await ctx.answerCbQuery("Unknown setting.", { show_alert: true });
+    return;
+  }
+  await resetSetting(key, ctx.from.id);
+  await ctx.answerCbQuery("Reset to default.");
+  await showSettingDetail(ctx, key);
+});
+
+bot.command("admin_limits", async (ctx) => {
+  logCommand(ctx, "/admin_limits");
+  if (!hasPermission(ctx.from.id, "settings")) return ctx.reply("Unauthorized");
+  const parts = ctx.message.text.split(" ").filter(Boolean);
+  if (parts.length === 1) return ctx.reply(formatReferralLimits());
+  const key = parts[1];
+  if (!REFERRAL_LIMIT_KEYS.includes(key))
+    return ctx.reply(`Unknown limit. Use one of: ${REFERRAL_LIMIT_KEYS.join(", ")}`);
+  const parsed = parseSettingValue(key, parts[2]);
+  if (!parsed.ok) return ctx.reply(parsed.error);
+  await updateSetting(key, parsed.value, ctx.from.id);
+  await ctx.reply(
+    `Updated ${key} to ${parsed.value}.\n\n${formatReferralLimits()}`
+  );
+});
+
+bot.command("admin_review", async (ctx) => {
+  logCommand(ctx, "/admin_review");
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
+  await listReferralReviewQueue(ctx);
+});
+
+bot.action("ADMIN_REVIEW", async (ctx) => {
+  logger.info(`ADMIN_REVIEW button tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
+  await listReferralReviewQueue(ctx);
+});
+
+bot.action(/^REF_REVIEW:(\d+)$/, async (ctx) => {
+  logger.info(`REF_REVIEW page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
+  await listReferralReviewQueue(ctx, Number(ctx.match[1]));
+});
+
+bot.action(/^REF_APPROVE:([a-f0-9]{24}):(\d+)$/i, async (ctx) => {
+  logger.info(`REF_APPROVE tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "referrals")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  const result = await approveReviewedReferral(ctx.match[1], ctx.from.id);
+  if (result.ok)
+    await recordAudit(ctx.from.id, "referral.approve", {
+      targetType: "pending",
+      targetId: ctx.match[1],
+    });
+  await ctx.answerCbQuery(
+    result.ok ? "✅ Referral credited." : "Already handled or missing.",
+    { show_alert: !result.ok }
+  );
+  await listReferralReviewQueue(ctx, Number(ctx.match[2]));
+});
+
+bot.action(/^REF_REJECT:([a-f0-9]{24}):(\d+)$/i, async (ctx) => {
+  logger.info(`REF_REJECT tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "referrals")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  const rejected = await rejectReviewedReferral(ctx.match[1], ctx.from.id);
+  if (rejected)
+    await recordAudit(ctx.from.id, "referral.reject", {
+      targetType: "pending",
+      targetId: ctx.match[1],
+    });
+  await ctx.answerCbQuery(
+    rejected ? "🚫 Referral rejected." : "Already handled or missing.",
+    { show_alert: !rejected }
+  );
+  await listReferralReviewQueue(ctx, Number(ctx.match[2]));
+});
+
 bot.command("pay", async (ctx) => {
   logCommand(ctx, "/pay");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
   const parts = ctx.message.text.split(" ");
   if (parts.length < 2) return ctx.reply("Usage: /pay <withdrawalId>");
   const id = parts[1];
   try {
-    const w = await withdrawalsCol.findOne({
-      _id: new ObjectId(id),
-      status: "pending",
-    });
-    if (!w) return ctx.reply("Not found.");
-    await withdrawalsCol.updateOne(
-      { _id: w._id },
-      { $set: { status: "paid", paidAt: new Date(), paidBy: ctx.from.id } }
-    );
-    await usersCol.updateOne(
-      { telegramId: w.userId },
-      { $unset: { balanceLocked: "" } }
-    );
+    const result = await payWithdrawalAsAdmin(id, ctx.from);
+    if (!result.ok) return ctx.reply(describeTransitionFailure(result));
     await ctx.reply("✅ Marked paid.");
-    await bot.telegram.sendMessage(
-      w.userId,
-      `✅ Withdrawal ₹${w.amount} has been paid.`
-    );
   } catch (e) {
     ctx.reply("Error: " + e.message);
   }
@@ -1174,101 +4273,4760 @@ bot.command("pay", async (ctx) => {
 
 bot.command("cancelwithdraw", async (ctx) => {
   logCommand(ctx, "/cancelwithdraw");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
   const parts = ctx.message.text.split(" ");
   if (parts.length < 2) return ctx.reply("Usage: /cancelwithdraw <id>");
   const id = parts[1];
-  const w = await withdrawalsCol.findOne({
-    _id: new ObjectId(id),
-    status: "pending",
-  });
-  if (!w) return ctx.reply("Not found.");
-  await withdrawalsCol.updateOne(
-    { _id: w._id },
-    { $set: { status: "cancelled", cancelledAt: new Date() } }
-  );
-  await usersCol.updateOne(
-    { telegramId: w.userId },
-    {
-      $inc: { balance: w.amount },
-      $unset: { balanceLocked: "" },
+  let result;
+  try {
+    result = await cancelWithdrawalAsAdmin(id, ctx.from);
+  } catch (e) {
+    return ctx.reply("Error: " + e.message);
+  }
+  if (!result.ok) return ctx.reply(describeTransitionFailure(result));
+  ctx.reply("❌ Cancelled and refunded.");
+});
+
+bot.command("admin_confirm", async (ctx) => {
+  logCommand(ctx, "/admin_confirm");
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
+  const force = ctx.message.text.toLowerCase().includes("force");
+  const result = await confirmPendingReferrals({ force });
+  const confirmedCount = result?.confirmed?.length || 0;
+  const invalidCount = result?.invalidated?.length || 0;
+  const reviewCount = result?.review?.length || 0;
+  await recordAudit(ctx.from.id, "referrals.confirm", {
+    args: { force },
+    after: {
+      confirmed: confirmedCount,
+      invalidated: invalidCount,
+      review: reviewCount,
+    },
+  });
+  await ctx.reply(
+    `Manual confirmation complete (${force ? "forced" : "standard"}). Confirmed: ${confirmedCount}, invalidated: ${invalidCount}, held for review: ${reviewCount}.`
+  );
+});
+
+bot.command("admin_clawback", async (ctx) => {
+  logCommand(ctx, "/admin_clawback");
+  if (!hasPermission(ctx.from.id, "referrals"))
+    return ctx.reply("Unauthorized");
+  if (!getSetting("clawbackWindowDays"))
+    return ctx.reply("The clawback window is 0 days, so retention checks are off.");
+  const summary = await runReferralClawback();
+  await recordAudit(ctx.from.id, "referrals.clawback", { after: summary });
+  await ctx.reply(
+    `Retention check complete. Checked: ${summary.checked}, reversed: ${summary.reversed}, inconclusive: ${summary.skipped}.`
+  );
+});
+
+bot.command("admin_credit", async (ctx) => {
+  logCommand(ctx, "/admin_credit");
+  if (!hasPermission(ctx.from.id, "ledger")) return ctx.reply("Unauthorized");
+  const parts = ctx.message.text.split(" ").filter(Boolean);
+  if (parts.length < 3)
+    return ctx.reply("Usage: /admin_credit <telegramId> <amount> [note]");
+
+  const targetId = Number(parts[1]);
+  const amount = Number(parts[2]);
+  const note = parts.slice(3).join(" ") || "manual adjustment";
+
+  if (!Number.isFinite(targetId))
+    return ctx.reply("telegramId must be a number.");
+  if (!Number.isFinite(amount))
+    return ctx.reply("amount must be a number.");
+  if (amount === 0) return ctx.reply("Amount cannot be zero.");
+
+  const user = await usersCol.findOne({ telegramId: targetId });
+  if (!user) return ctx.reply("User not found.");
+
+  const updated = await applyBalanceChange({
+    userId: targetId,
+    amount,
+    type: LEDGER_TYPES.ADMIN_CREDIT,
+    actor: adminActor(ctx.from.id),
+    note,
+  });
+  await recordAudit(ctx.from.id, "ledger.credit", {
+    targetType: "user",
+    targetId,
+    before: { balance: user.balance },
+    after: { balance: updated?.balance ?? null },
+    args: { amount, note },
+  });
+
+  logger.info(
+    `Admin ${ctx.from.id} credited ₹${amount} to ${targetId} (note: ${note})`
+  );
+
+  try {
+    await bot.telegram.sendMessage(
+      targetId,
+      `💸 Admin credited ₹${amount.toFixed(
+        2
+      )} to your account. Note: ${note}`
+    );
+  } catch (notifyErr) {
+    logger.debug(
+      `Could not notify user ${targetId} about credit: ${notifyErr.message}`
+    );
+  }
+
+  await ctx.reply(
+    `Credited ₹${amount.toFixed(2)} to ${
+      user.username ? "@" + user.username : targetId
+    }. Note stored: ${note}`
+  );
+});
+
+bot.command("admin_reconcile", async (ctx) => {
+  logCommand(ctx, "/admin_reconcile");
+  if (!hasPermission(ctx.from.id, "ledger")) return ctx.reply("Unauthorized");
+  const seed = ctx.message.text.toLowerCase().includes("seed");
+  try {
+    const report = await reconcileBalances({
+      seed,
+      actor: adminActor(ctx.from.id),
+    });
+    logger.info(
+      `Reconciliation by ${ctx.from.id}: checked ${report.checked}, mismatched ${report.mismatched.length}, seeded ${report.seeded}`
+    );
+    await recordAudit(ctx.from.id, "ledger.reconcile", {
+      args: { seed },
+      after: {
+        checked: report.checked,
+        mismatched: report.mismatched.length,
+        seeded: report.seeded,
+      },
+    });
+    let text = `🧮 Reconciliation complete.\nUsers checked: ${report.checked}\nMismatches: ${report.mismatched.length}`;
+    if (seed) text += `\nOpening balances recorded: ${report.seeded}`;
+    if (report.mismatched.length) {
+      text += "\n\n";
+      text += report.mismatched
+        .slice(0, 20)
+        .map(
+          (m) =>
+            `• ${m.username ? "@" + m.username : m.telegramId} — stored ${formatAmount(
+              m.stored
+            )}, ledger ${formatAmount(m.computed)}`
+        )
+        .join("\n");
+      if (report.mismatched.length > 20)
+        text += `\n…and ${report.mismatched.length - 20} more.`;
+    }
+    await ctx.reply(text);
+  } catch (e) {
+    ctx.reply("Error: " + e.message);
+    logger.error("/admin_reconcile: " + e.message);
+  }
+});
+bot.command("admin_export", async (ctx) => {
+  logCommand(ctx, "/admin_export");
+  if (!hasPermission(ctx.from.id, "exports")) return ctx.reply("Unauthorized");
+  let options;
+  try {
+    options = parseExportOptions(ctx.message.text.split(/\s+/).slice(1));
+  } catch (err) {
+    return ctx.reply(
+      `${err.message}\nUsage: /admin_export [csv|json|xlsx|bank] [status=paid,pending] [method=upi,bank] [from=YYYY-MM-DD] [to=YYYY-MM-DD]`
+    );
+  }
+  const fileName = defaultFileName(options.format);
+  const filePath = path.join(os.tmpdir(), `${uuidv4()}-${fileName}`);
+  let stream;
+  try {
+    stream = fs.createWriteStream(filePath);
+    const summary = await exportWithdrawals(db, options, stream);
+    stream.end();
+    await once(stream, "finish");
+    logger.info(
+      `Withdrawal export (${options.format}, ${summary.count} rows) by ${ctx.from.id}`
+    );
+    await recordAudit(ctx.from.id, "withdrawals.export", {
+      args: {
+        format: options.format,
+        status: options.status,
+        method: options.method,
+        from: options.from,
+        to: options.to,
+      },
+      after: { rows: summary.count, amount: summary.amount },
+    });
+    await ctx.replyWithDocument(
+      { source: filePath, filename: fileName },
+      { caption: describeSummary(summary).slice(0, 1000) }
+    );
+  } catch (e) {
+    stream?.destroy();
+    ctx.reply("Export failed: " + e.message);
+    logger.error("/admin_export: " + e.message);
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+});
+
+// ─────────────────────────────────────────────
+// BONUS TASKS
+// ─────────────────────────────────────────────
+const TASK_TYPES = {
+  join_channel: { label: "Join a channel", needsTarget: true },
+  visit_link: { label: "Visit a link", needsTarget: true },
+  proof: { label: "Submit proof", needsTarget: false },
+  daily_checkin: { label: "Daily check-in", needsTarget: false },
+};
+const TASK_EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "reward",
+  "target",
+  "link",
+  "repeat",
+  "priority",
+  "minSeconds",
+  "active",
+];
+const TASK_VISIT_MIN_SECONDS = 15;
+const TASK_REVIEW_STATUS = "review";
+
+// Tasks created before task types existed only had a title and reward; they
+// are treated as proof tasks so an admin decides whether to pay them.
+function taskType(task) {
+  return TASK_TYPES[task.type] ? task.type : "proof";
+}
+
+function todayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// One completion is allowed per period: "once" for one-time tasks, the UTC
+// date for repeatable ones. The unique index on completions enforces it.
+function taskPeriodKey(task) {
+  if (taskType(task) === "daily_checkin" || task.repeat === "daily")
+    return todayKey();
+  return "once";
+}
+
+function parseObjectId(id) {
+  try {
+    return new ObjectId(id);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function findCurrentCompletion(task, userId) {
+  return taskCompletionsCol.findOne({
+    taskId: task._id,
+    userId,
+    periodKey: taskPeriodKey(task),
+  });
+}
+
+async function nextCheckinStreak(userId, session) {
+  const user = await usersCol.findOne({ telegramId: userId }, { session });
+  const yesterday = todayKey(new Date(Date.now() - 86400000));
+  const streak =
+    user?.lastCheckinDate === yesterday ? (user.checkinStreak || 0) + 1 : 1;
+  return { lastCheckinDate: todayKey(), checkinStreak: streak };
+}
+
+// Marks the completion done and pays the reward through the ledger in one
+// transaction. `fromStatus` pins the completion state we expect to move from
+// (e.g. "review" for admin approval) so a second tap pays nothing.
+async function creditTaskCompletion(task, userId, options = {}) {
+  const {
+    fromStatus = null,
+    actor = userActor(userId),
+    periodKey = taskPeriodKey(task),
+    set = {},
+  } = options;
+  try {
+    return await runInTransaction(async (session) => {
+      const now = new Date();
+      const existing = await taskCompletionsCol.findOne(
+        { taskId: task._id, userId, periodKey },
+        { session }
+      );
+      if (existing?.status === "completed")
+        return { ok: false, reason: "already" };
+      if (fromStatus && existing?.status !== fromStatus)
+        return { ok: false, reason: "stale" };
+      let completionId;
+      if (existing) {
+        completionId = existing._id;
+        const updated = await taskCompletionsCol.updateOne(
+          { _id: existing._id, status: existing.status },
+          {
+            $set: {
+              ...set,
+              status: "completed",
+              reward: task.reward,
+              completedAt: now,
+            },
+          },
+          { session }
+        );
+        if (!updated.matchedCount) return { ok: false, reason: "stale" };
+      } else {
+        completionId = new ObjectId();
+        await taskCompletionsCol.insertOne(
+          {
+            _id: completionId,
+            taskId: task._id,
+            userId,
+            periodKey,
+            status: "completed",
+            reward: task.reward,
+            startedAt: now,
+            completedAt: now,
+            ...set,
+          },
+          { session }
+        );
+      }
+      const userSet =
+        taskType(task) === "daily_checkin"
+          ? await nextCheckinStreak(userId, session)
+          : null;
+      const user = await applyBalanceChange({
+        userId,
+        amount: task.reward,
+        type: LEDGER_TYPES.TASK_REWARD,
+        actor,
+        refType: "task_completion",
+        refId: completionId,
+        note: task.title,
+        inc: { tasksCompleted: 1 },
+        set: userSet,
+        session,
+      });
+      if (!user) throw new Error(`User ${userId} missing for task reward`);
+      return { ok: true, user, completionId };
+    });
+  } catch (err) {
+    if (err.code === 11000) return { ok: false, reason: "already" };
+    throw err;
+  }
+}
+
+async function announceTaskReward(task, result) {
+  let text = `🎯 Task complete: ${task.title}\nEarned ${formatAmount(
+    task.reward
+  )}. Balance: ${formatAmount(result.user.balance)}`;
+  if (taskType(task) === "daily_checkin" && result.user.checkinStreak > 1)
+    text += `\n🔥 Check-in streak: ${result.user.checkinStreak} days`;
+  await notifyUserSafe(result.user.telegramId, text);
+}
+
+function describeTaskStatus(completion) {
+  if (!completion) return null;
+  if (completion.status === "completed") return "✅ Done";
+  if (completion.status === TASK_REVIEW_STATUS) return "⏳ Proof under review";
+  if (completion.status === "rejected")
+    return "🚫 Proof rejected — you can resubmit";
+  return null;
+}
+
+async function replyTaskList(ctx) {
+  const available = await tasksCol
+    .find({ active: true })
+    .sort({ priority: -1, createdAt: -1 })
+    .toArray();
+  if (!available.length) {
+    await ctx.reply("No bonus tasks available right now. Check back soon!");
+    return;
+  }
+  const completions = await taskCompletionsCol
+    .find({ userId: ctx.from.id, taskId: { $in: available.map((t) => t._id) } })
+    .toArray();
+  const done = new Set(
+    completions
+      .filter((c) => c.status === "completed")
+      .filter((c) => {
+        const task = available.find((t) => t._id.equals(c.taskId));
+        return task && c.periodKey === taskPeriodKey(task);
+      })
+      .map((c) => String(c.taskId))
+  );
+  let msg = "🎯 Active tasks:\n";
+  const rows = [];
+  available.forEach((task, idx) => {
+    const mark = done.has(String(task._id)) ? "✅ " : "";
+    msg += `${idx + 1}. ${mark}${task.title} — reward ₹${task.reward}\n${
+      task.description || ""
+    }\n\n`;
+    rows.push([
+      Markup.button.callback(
+        `${mark}${idx + 1}. ${task.title}`,
+        `TASK_OPEN:${task._id}`
+      ),
+    ]);
+  });
+  await ctx.reply(msg.trim(), Markup.inlineKeyboard(rows));
+}
+
+async function replyTaskDetail(ctx, task) {
+  const type = taskType(task);
+  const completion = await findCurrentCompletion(task, ctx.from.id);
+  const lines = [
+    `🎯 ${task.title}`,
+    task.description || null,
+    `Type: ${TASK_TYPES[type].label}`,
+    `Reward: ${formatAmount(task.reward)}${
+      taskPeriodKey(task) === "once" ? "" : " (once per day)"
+    }`,
+  ].filter(Boolean);
+  const status = describeTaskStatus(completion);
+  if (status) lines.push(`Status: ${status}`);
+  const rows = [];
+  const finished =
+    completion?.status === "completed" ||
+    completion?.status === TASK_REVIEW_STATUS;
+  if (!finished) {
+    if (type === "join_channel") {
+      const link = buildChannelLink({ chatId: task.target, link: task.link });
+      if (link) rows.push([Markup.button.url("📣 Join", link)]);
+      rows.push([
+        Markup.button.callback("✅ I've joined", `TASK_VERIFY:${task._id}`),
+      ]);
+    } else if (type === "visit_link") {
+      if (!completion) {
+        await taskCompletionsCol.updateOne(
+          {
+            taskId: task._id,
+            userId: ctx.from.id,
+            periodKey: taskPeriodKey(task),
+          },
+          { $setOnInsert: { status: "started", startedAt: new Date() } },
+          { upsert: true }
+        );
+      }
+      rows.push([Markup.button.url("🔗 Open link", task.target)]);
+      rows.push([Markup.button.callback("✅ Done", `TASK_VERIFY:${task._id}`)]);
+    } else if (type === "proof") {
+      rows.push([
+        Markup.button.callback("📤 Submit proof", `TASK_PROOF:${task._id}`),
+      ]);
+    } else if (type === "daily_checkin") {
+      rows.push([
+        Markup.button.callback("✅ Check in", `TASK_VERIFY:${task._id}`),
+      ]);
+    }
+  }
+  await ctx.reply(lines.join("\n"), {
+    disable_web_page_preview: true,
+    ...Markup.inlineKeyboard(rows),
+  });
+}
+
+// Automatic checks for the task types the bot can verify on its own.
+async function verifyTask(ctx, task) {
+  const type = taskType(task);
+  const userId = ctx.from.id;
+  if (type === "join_channel") {
+    let member = false;
+    try {
+      member = await isChatMember(ctx.telegram, task.target, userId);
+    } catch (err) {
+      logger.warn(`Task ${task._id} membership check failed: ${err.message}`);
+    }
+    if (!member)
+      return { ok: false, message: "Join the channel first, then tap verify." };
+  } else if (type === "visit_link") {
+    const completion = await findCurrentCompletion(task, userId);
+    if (!completion?.startedAt)
+      return { ok: false, message: "Open the link first." };
+    const waitSeconds = task.minSeconds || TASK_VISIT_MIN_SECONDS;
+    const elapsed =
+      (Date.now() - new Date(completion.startedAt).getTime()) / 1000;
+    if (elapsed < waitSeconds)
+      return {
+        ok: false,
+        message: `Spend a little longer on the link (${Math.ceil(
+          waitSeconds - elapsed
+        )}s left).`,
+      };
+  } else if (type !== "daily_checkin") {
+    return { ok: false, message: "This task needs a proof submission." };
+  }
+  const result = await creditTaskCompletion(task, userId);
+  if (!result.ok)
+    return {
+      ok: false,
+      message:
+        result.reason === "already"
+          ? taskPeriodKey(task) === "once"
+            ? "You already completed this task."
+            : "Already done today. Come back tomorrow!"
+          : "Please try again.",
+    };
+  await announceTaskReward(task, result);
+  await checkAchievements(userId, "task_completed");
+  return { ok: true };
+}
+
+async function buildTaskProofCard(completion) {
+  const [task, user] = await Promise.all([
+    tasksCol.findOne({ _id: completion.taskId }),
+    usersCol.findOne({ telegramId: completion.userId }),
+  ]);
+  const lines = [
+    `📤 Task proof`,
+    `Task: ${task?.title || completion.taskId} (${formatAmount(task?.reward)})`,
+    `User: ${formatUserLabel(user)} (${completion.userId})`,
+    `Submitted: ${new Date(completion.submittedAt).toLocaleString()}`,
+  ];
+  if (completion.proof?.text) lines.push(`Proof: ${completion.proof.text}`);
+  if (completion.proof?.fileId) lines.push("Proof: screenshot attached");
+  lines.push(`ID: ${completion._id}`);
+  return lines.join("\n");
+}
+
+function buildTaskProofRows(completion, page = null) {
+  const suffix = page === null ? "" : `:${page}`;
+  const rows = [
+    [
+      Markup.button.callback(
+        "✅ Approve",
+        `TASK_APPROVE:${completion._id}${suffix}`
+      ),
+      Markup.button.callback(
+        "🚫 Reject",
+        `TASK_REJECT:${completion._id}${suffix}`
+      ),
+    ],
+  ];
+  if (completion.proof?.fileId && page !== null)
+    rows.push([
+      Markup.button.callback(
+        "🖼 View screenshot",
+        `TASK_PROOF_VIEW:${completion._id}`
+      ),
+    ]);
+  return rows;
+}
+
+async function submitTaskProof(ctx, u, proof) {
+  const task = await tasksCol.findOne({
+    _id: parseObjectId(u.awaitingTaskProof),
+  });
+  await usersCol.updateOne(
+    { telegramId: u.telegramId },
+    { $unset: { awaitingTaskProof: "" } }
+  );
+  if (!task || !task.active) {
+    await ctx.reply("That task is no longer available.");
+    return;
+  }
+  const periodKey = taskPeriodKey(task);
+  const existing = await taskCompletionsCol.findOne({
+    taskId: task._id,
+    userId: u.telegramId,
+    periodKey,
+  });
+  if (
+    existing?.status === "completed" ||
+    existing?.status === TASK_REVIEW_STATUS
+  ) {
+    await ctx.reply(describeTaskStatus(existing));
+    return;
+  }
+  const fields = {
+    status: TASK_REVIEW_STATUS,
+    proof,
+    submittedAt: new Date(),
+    adminMessages: [],
+  };
+  let completionId;
+  if (existing) {
+    completionId = existing._id;
+    await taskCompletionsCol.updateOne({ _id: existing._id }, { $set: fields });
+  } else {
+    completionId = new ObjectId();
+    try {
+      await taskCompletionsCol.insertOne({
+        _id: completionId,
+        taskId: task._id,
+        userId: u.telegramId,
+        periodKey,
+        startedAt: new Date(),
+        ...fields,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await ctx.reply("Your proof is already submitted.");
+      return;
+    }
+  }
+  logger.info(`Task proof for ${task._id} submitted by ${u.telegramId}`);
+  await ctx.reply("📤 Proof submitted! An admin will review it soon.");
+  const completion = await taskCompletionsCol.findOne({ _id: completionId });
+  const card = await buildTaskProofCard(completion);
+  const extra = Markup.inlineKeyboard(buildTaskProofRows(completion));
+  const sent = [];
+  for (const adminId of adminIdsWith("tasks")) {
+    try {
+      const msg = proof.fileId
+        ? await bot.telegram.sendPhoto(adminId, proof.fileId, {
+            caption: card,
+            ...extra,
+          })
+        : await bot.telegram.sendMessage(adminId, card, extra);
+      sent.push({
+        chatId: adminId,
+        messageId: msg.message_id,
+        photo: Boolean(proof.fileId),
+      });
+    } catch (err) {
+      logger.debug(`Failed to send task proof to ${adminId}: ${err.message}`);
+    }
+  }
+  if (sent.length)
+    await taskCompletionsCol.updateOne(
+      { _id: completionId },
+      { $set: { adminMessages: sent } }
+    );
+}
+
+async function finalizeTaskProofMessages(completion, outcome) {
+  if (!completion.adminMessages?.length) return;
+  const text = (await buildTaskProofCard(completion)) + `\n\n${outcome}`;
+  for (const { chatId, messageId, photo } of completion.adminMessages) {
+    try {
+      if (photo)
+        await bot.telegram.editMessageCaption(
+          chatId,
+          messageId,
+          undefined,
+          text
+        );
+      else
+        await bot.telegram.editMessageText(chatId, messageId, undefined, text);
+    } catch (err) {
+      logger.debug(
+        `Could not update task proof copy in ${chatId}: ${err.message}`
+      );
+    }
+  }
+}
+
+async function reviewTaskProof(completionId, admin, approve) {
+  const completion = await taskCompletionsCol.findOne({
+    _id: parseObjectId(completionId),
+  });
+  if (!completion || completion.status !== TASK_REVIEW_STATUS)
+    return { ok: false, message: "Already reviewed or missing." };
+  const task = await tasksCol.findOne({ _id: completion.taskId });
+  if (!task) return { ok: false, message: "Task no longer exists." };
+  const reviewed = { reviewedBy: admin.id, reviewedAt: new Date() };
+  if (approve) {
+    const result = await creditTaskCompletion(task, completion.userId, {
+      fromStatus: TASK_REVIEW_STATUS,
+      periodKey: completion.periodKey,
+      actor: adminActor(admin.id),
+      set: reviewed,
+    });
+    if (!result.ok) return { ok: false, message: "Already reviewed." };
+    await announceTaskReward(task, result);
+    await checkAchievements(completion.userId, "task_completed");
+  } else {
+    const updated = await taskCompletionsCol.updateOne(
+      { _id: completion._id, status: TASK_REVIEW_STATUS },
+      { $set: { status: "rejected", ...reviewed } }
+    );
+    if (!updated.matchedCount)
+      return { ok: false, message: "Already reviewed." };
+    await notifyUserSafe(
+      completion.userId,
+      `🚫 Your proof for "${task.title}" was rejected. You can submit a new one from the Tasks menu.`
+    );
+  }
+  logger.info(
+    `Task proof ${completion._id} ${approve ? "approved" : "rejected"} by ${
+      admin.id
+    }`
+  );
+  const fresh = await taskCompletionsCol.findOne({ _id: completion._id });
+  await finalizeTaskProofMessages(
+    fresh,
+    `${approve ? "✅ Approved" : "🚫 Rejected"} by ${formatUserLabel(admin)}`
+  );
+  return {
+    ok: true,
+    message: approve ? "✅ Approved and paid." : "🚫 Rejected.",
+  };
+}
+
+async function listTaskReviewQueue(ctx, page = 0) {
+  const total = await taskCompletionsCol.countDocuments({
+    status: TASK_REVIEW_STATUS,
+  });
+  const isCallback = ctx.updateType === "callback_query";
+  if (!total) {
+    if (isCallback) {
+      try {
+        await ctx.editMessageText("No task proofs waiting for review.");
+        return;
+      } catch (err) {
+        logger.debug(`editMessageText (task reviews) failed: ${err.message}`);
+      }
+    }
+    await ctx.reply("No task proofs waiting for review.");
+    return;
+  }
+  const current = Math.min(Math.max(page, 0), total - 1);
+  const [completion] = await taskCompletionsCol
+    .find({ status: TASK_REVIEW_STATUS })
+    .sort({ submittedAt: 1 })
+    .skip(current)
+    .limit(1)
+    .toArray();
+  const text =
+    `Task review ${current + 1}/${total}\n\n` +
+    (await buildTaskProofCard(completion));
+  const rows = buildTaskProofRows(completion, current);
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Prev", `TASK_REVIEWS:${current - 1}`));
+  if (current < total - 1)
+    nav.push(Markup.button.callback("Next ➡", `TASK_REVIEWS:${current + 1}`));
+  if (nav.length) rows.push(nav);
+  const extra = Markup.inlineKeyboard(rows);
+  if (isCallback) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (task reviews) failed, replying: ${err.message}`
+      );
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+function parseTaskFieldValue(field, raw) {
+  const value = raw.trim();
+  if (field === "reward") {
+    const num = Number(value);
+    if (!Number.isFinite(num) || num < 0)
+      return { error: "reward must be a number ≥ 0." };
+    return { value: num };
+  }
+  if (field === "priority" || field === "minSeconds") {
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 0)
+      return { error: `${field} must be a whole number ≥ 0.` };
+    return { value: num };
+  }
+  if (field === "repeat") {
+    if (!["once", "daily"].includes(value))
+      return { error: "repeat must be once or daily." };
+    return { value };
+  }
+  if (field === "active") {
+    if (!/^(true|false|on|off|yes|no)$/i.test(value))
+      return { error: "active must be true or false." };
+    return { value: /^(true|on|yes)$/i.test(value) };
+  }
+  if (field === "title" && !value) return { error: "title cannot be empty." };
+  return { value: value || null };
+}
+
+function validateTaskTarget(type, target) {
+  if (type === "visit_link" && !/^https?:\/\/\S+$/i.test(target || ""))
+    return "visit_link tasks need an http(s) URL as target.";
+  if (type === "join_channel" && !/^(@\w{4,}|-?\d+)$/.test(target || ""))
+    return "join_channel tasks need a @username or numeric chat id as target.";
+  return null;
+}
+
+function formatTaskAdminLine(task) {
+  return `${task.active ? "🟢" : "⚪"} ${task.title} — ${taskType(
+    task
+  )} — ${formatAmount(task.reward)} — ${task.repeat || "once"}\nID: ${
+    task._id
+  }${task.target ? `\nTarget: ${task.target}` : ""}`;
+}
+
+bot.action("TASKS", async (ctx) => {
+  logger.info(`TASKS button tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  await replyTaskList(ctx);
+});
+
+bot.command("tasks", async (ctx) => {
+  try {
+    logCommand(ctx, "/tasks");
+    await replyTaskList(ctx);
+  } catch (e) {
+    ctx.reply("Error loading tasks.");
+    logger.error("/tasks: " + e.message);
+  }
+});
+
+bot.action(/^TASK_OPEN:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`TASK_OPEN tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  const task = await tasksCol.findOne({
+    _id: new ObjectId(ctx.match[1]),
+    active: true,
+  });
+  if (!task) return ctx.reply("That task is no longer available.");
+  await replyTaskDetail(ctx, task);
+});
+
+bot.action(/^TASK_VERIFY:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`TASK_VERIFY tapped by ${ctx.from.id}`);
+  const task = await tasksCol.findOne({
+    _id: new ObjectId(ctx.match[1]),
+    active: true,
+  });
+  if (!task) {
+    await ctx.answerCbQuery("That task is no longer available.", {
+      show_alert: true,
+    });
+    return;
+  }
+  await ensureUserProfile(ctx.from);
+  const result = await verifyTask(ctx, task);
+  await ctx.answerCbQuery(result.ok ? "✅ Task complete!" : result.message, {
+    show_alert: !result.ok,
+  });
+});
+
+bot.action(/^TASK_PROOF:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`TASK_PROOF tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  const task = await tasksCol.findOne({
+    _id: new ObjectId(ctx.match[1]),
+    active: true,
+  });
+  if (!task) return ctx.reply("That task is no longer available.");
+  await ensureUserProfile(ctx.from);
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingTaskProof: String(task._id) } }
+  );
+  await ctx.reply(
+    `Send a screenshot or a text proof for "${task.title}", or type 'cancel'.`
+  );
+});
+
+bot.on("photo", async (ctx, next) => {
+  try {
+    const u = await usersCol.findOne({ telegramId: ctx.from.id });
+    if (u && (await handleBroadcastInput(ctx, u))) return;
+    if (u?.awaitingTaskProof) {
+      const photos = ctx.message.photo;
+      await submitTaskProof(ctx, u, {
+        type: "photo",
+        fileId: photos[photos.length - 1].file_id,
+        text: ctx.message.caption || null,
+      });
+      return;
+    }
+    if (u && (await handleTicketMessage(ctx, u))) return;
+  } catch (e) {
+    logger.error("photo handler: " + e.message);
+  }
+  return next();
+});
+
+bot.command("task_add", async (ctx) => {
+  logCommand(ctx, "/task_add");
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  const usage =
+    "Usage: /task_add <type> | <reward> | <title> | [description] | [target] | [once|daily]\n" +
+    `Types: ${Object.keys(TASK_TYPES).join(", ")}\n` +
+    "Target: @channel or chat id (join_channel, optionally followed by an invite link) or URL (visit_link).";
+  const body = ctx.message.text.replace(/^\/task_add(@\w+)?\s*/i, "");
+  const [type, rewardRaw, title, description, targetRaw, repeatRaw] = body
+    .split("|")
+    .map((part) => part.trim());
+  if (!TASK_TYPES[type] || !title) return ctx.reply(usage);
+  const reward = parseTaskFieldValue("reward", rewardRaw || "");
+  if (reward.error) return ctx.reply(reward.error);
+  const [target = null, link = null] = (targetRaw || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const targetError = validateTaskTarget(type, target);
+  if (targetError) return ctx.reply(targetError);
+  const repeat = type === "daily_checkin" ? "daily" : repeatRaw || "once";
+  if (!["once", "daily"].includes(repeat))
+    return ctx.reply("repeat must be once or daily.");
+  const doc = {
+    type,
+    title,
+    description: description || null,
+    reward: reward.value,
+    target: TASK_TYPES[type].needsTarget ? target : null,
+    link: type === "join_channel" ? link : null,
+    repeat,
+    priority: 0,
+    minSeconds: type === "visit_link" ? TASK_VISIT_MIN_SECONDS : null,
+    active: true,
+    createdBy: ctx.from.id,
+    createdAt: new Date(),
+  };
+  const result = await tasksCol.insertOne(doc);
+  logger.info(`Task ${result.insertedId} (${type}) created by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "task.create", {
+    targetType: "task",
+    targetId: result.insertedId,
+    after: doc,
+  });
+  await ctx.reply(
+    `✅ Task created.\n\n${formatTaskAdminLine({
+      ...doc,
+      _id: result.insertedId,
+    })}`
+  );
+});
+
+bot.command("task_edit", async (ctx) => {
+  logCommand(ctx, "/task_edit");
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  const body = ctx.message.text.replace(/^\/task_edit(@\w+)?\s*/i, "");
+  const [idRaw, ...rest] = body.split(/\s+/);
+  const taskId = parseObjectId(idRaw);
+  const assignments = rest
+    .join(" ")
+    .split("|")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (!taskId || !assignments.length)
+    return ctx.reply(
+      `Usage: /task_edit <taskId> field=value [| field=value]\nFields: ${TASK_EDITABLE_FIELDS.join(
+        ", "
+      )}`
+    );
+  const task = await tasksCol.findOne({ _id: taskId });
+  if (!task) return ctx.reply("Task not found.");
+  const updates = {};
+  for (const assignment of assignments) {
+    const eq = assignment.indexOf("=");
+    const field = eq === -1 ? assignment : assignment.slice(0, eq).trim();
+    if (!TASK_EDITABLE_FIELDS.includes(field))
+      return ctx.reply(`Unknown field ${field}.`);
+    const parsed = parseTaskFieldValue(
+      field,
+      eq === -1 ? "" : assignment.slice(eq + 1)
+    );
+    if (parsed.error) return ctx.reply(parsed.error);
+    updates[field] = parsed.value;
+  }
+  const type = taskType(task);
+  if ("target" in updates) {
+    const targetError = validateTaskTarget(type, updates.target);
+    if (targetError) return ctx.reply(targetError);
+  }
+  if (type === "daily_checkin") updates.repeat = "daily";
+  updates.updatedAt = new Date();
+  updates.updatedBy = ctx.from.id;
+  await tasksCol.updateOne({ _id: taskId }, { $set: updates });
+  logger.info(
+    `Task ${taskId} edited by ${ctx.from.id}: ${Object.keys(updates).join(
+      ", "
+    )}`
+  );
+  const fresh = await tasksCol.findOne({ _id: taskId });
+  await recordAudit(ctx.from.id, "task.edit", {
+    targetType: "task",
+    targetId: taskId,
+    before: auditSnapshot(task, Object.keys(updates)),
+    after: auditSnapshot(fresh, Object.keys(updates)),
+  });
+  await ctx.reply(`✅ Task updated.\n\n${formatTaskAdminLine(fresh)}`);
+});
+
+bot.command("task_disable", async (ctx) => {
+  logCommand(ctx, "/task_disable");
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  const parts = ctx.message.text.split(" ").filter(Boolean);
+  const taskId = parseObjectId(parts[1]);
+  if (!taskId) return ctx.reply("Usage: /task_disable <taskId>");
+  const result = await tasksCol.updateOne(
+    { _id: taskId },
+    { $set: { active: false, updatedAt: new Date(), updatedBy: ctx.from.id } }
+  );
+  if (!result.matchedCount) return ctx.reply("Task not found.");
+  logger.info(`Task ${taskId} disabled by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "task.disable", {
+    targetType: "task",
+    targetId: taskId,
+    after: { active: false },
+  });
+  await ctx.reply(
+    "Task disabled. Re-enable it with /task_edit <taskId> active=true."
+  );
+});
+
+bot.command("task_list", async (ctx) => {
+  logCommand(ctx, "/task_list");
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  const tasks = await tasksCol
+    .find()
+    .sort({ active: -1, priority: -1, createdAt: -1 })
+    .toArray();
+  if (!tasks.length)
+    return ctx.reply("No tasks yet. Create one with /task_add.");
+  await ctx.reply(
+    `🎯 Tasks\n\n${tasks.map(formatTaskAdminLine).join("\n\n")}`,
+    {
+      disable_web_page_preview: true,
+    }
+  );
+});
+
+bot.command("task_reviews", async (ctx) => {
+  logCommand(ctx, "/task_reviews");
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  await listTaskReviewQueue(ctx);
+});
+
+bot.action("ADMIN_TASK_REVIEWS", async (ctx) => {
+  logger.info(`ADMIN_TASK_REVIEWS tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  await listTaskReviewQueue(ctx);
+});
+
+bot.action(/^TASK_REVIEWS:(\d+)$/, async (ctx) => {
+  logger.info(`TASK_REVIEWS page tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  await listTaskReviewQueue(ctx, Number(ctx.match[1]));
+});
+
+bot.action(
+  /^TASK_(APPROVE|REJECT):([a-f0-9]{24})(?::(\d+))?$/i,
+  async (ctx) => {
+    logger.info(`TASK_${ctx.match[1]} tapped by ${ctx.from.id}`);
+    if (!hasPermission(ctx.from.id, "tasks")) {
+      await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+      return;
+    }
+    const approve = ctx.match[1].toUpperCase() === "APPROVE";
+    const result = await reviewTaskProof(ctx.match[2], ctx.from, approve);
+    if (result.ok)
+      await recordAudit(
+        ctx.from.id,
+        approve ? "task.approve" : "task.reject",
+        { targetType: "taskCompletion", targetId: ctx.match[2] }
+      );
+    await ctx.answerCbQuery(result.message, { show_alert: !result.ok });
+    if (ctx.match[3] !== undefined)
+      await listTaskReviewQueue(ctx, Number(ctx.match[3]));
+  }
+);
+
+bot.action(/^TASK_PROOF_VIEW:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`TASK_PROOF_VIEW tapped by ${ctx.from.id}`);
+  await ctx.answerCbQuery();
+  if (!hasPermission(ctx.from.id, "tasks")) return ctx.reply("Unauthorized");
+  const completion = await taskCompletionsCol.findOne({
+    _id: new ObjectId(ctx.match[1]),
+  });
+  if (!completion?.proof?.fileId)
+    return ctx.reply("No screenshot on this proof.");
+  await ctx.replyWithPhoto(completion.proof.fileId, {
+    caption: await buildTaskProofCard(completion),
+  });
+});
+// ─────────────────────────────────────────────
+// ACHIEVEMENTS
+// ─────────────────────────────────────────────
+// Badge definitions live in the `badges` collection so admins can add more;
+// each rule type knows how to measure a user and which events re-check it.
+const BADGE_RULES = {
+  confirmed_referrals: {
+    label: "confirmed referrals ≥ N",
+    triggers: ["referral_confirmed"],
+    async measure(user) {
+      return user.confirmedReferrals || 0;
+    },
+  },
+  paid_withdrawals: {
+    label: "paid withdrawals ≥ N",
+    triggers: ["withdrawal_paid"],
+    async measure(user) {
+      return withdrawalsCol.countDocuments({
+        userId: user.telegramId,
+        status: WITHDRAWAL_STATUS.PAID,
+      });
+    },
+  },
+  checkin_streak: {
+    label: "daily check-in streak ≥ N days",
+    triggers: ["task_completed"],
+    async measure(user) {
+      return user.checkinStreak || 0;
+    },
+  },
+  tasks_completed: {
+    label: "tasks completed ≥ N",
+    triggers: ["task_completed"],
+    async measure(user) {
+      return user.tasksCompleted || 0;
+    },
+  },
+  weekly_rank: {
+    label: "weekly leaderboard rank ≤ N",
+    triggers: ["referral_confirmed"],
+    lowerIsBetter: true,
+    async measure(user) {
+      return weeklyReferralRank(user.telegramId);
+    },
+  },
+};
+const DEFAULT_BADGES = [
+  {
+    code: "first_referral",
+    emoji: "🌱",
+    name: "First referral",
+    rule: { type: "confirmed_referrals", threshold: 1 },
+    bonus: 0,
+  },
+  {
+    code: "referrals_10",
+    emoji: "🥉",
+    name: "10 referrals",
+    rule: { type: "confirmed_referrals", threshold: 10 },
+    bonus: 0,
+  },
+  {
+    code: "referrals_50",
+    emoji: "🥈",
+    name: "50 referrals",
+    rule: { type: "confirmed_referrals", threshold: 50 },
+    bonus: 0,
+  },
+  {
+    code: "referrals_100",
+    emoji: "🥇",
+    name: "100 referrals",
+    rule: { type: "confirmed_referrals", threshold: 100 },
+    bonus: 0,
+  },
+  {
+    code: "first_payout",
+    emoji: "💸",
+    name: "First payout",
+    rule: { type: "paid_withdrawals", threshold: 1 },
+    bonus: 0,
+  },
+  {
+    code: "streak_7",
+    emoji: "🔥",
+    name: "7-day streak",
+    rule: { type: "checkin_streak", threshold: 7 },
+    bonus: 0,
+  },
+  {
+    code: "weekly_top3",
+    emoji: "🏆",
+    name: "Weekly top 3",
+    rule: { type: "weekly_rank", threshold: 3 },
+    bonus: 0,
+  },
+];
+
+async function seedDefaultBadges() {
+  for (const badge of DEFAULT_BADGES) {
+    await badgesCol.updateOne(
+      { code: badge.code },
+      { $setOnInsert: { ...badge, active: true, createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
+
+async function weeklyReferralRank(telegramId) {
+  const mine = await referralRankFor(telegramId, {
+    from: leaderboardSince("week"),
+  });
+  return mine ? mine.rank : null;
+}
+
+function formatBadge(badge) {
+  return `${badge.emoji || "🏅"} ${badge.name}`;
+}
+
+// Adds the badge only if the user doesn't have it yet, and pays the optional
+// bonus in the same transaction, so re-running a check never double-awards.
+async function awardBadge(telegramId, badge) {
+  return runInTransaction(async (session) => {
+    const added = await usersCol.updateOne(
+      { telegramId, badges: { $ne: badge.code } },
+      {
+        $addToSet: { badges: badge.code },
+        $push: { badgeLog: { code: badge.code, awardedAt: new Date() } },
+      },
+      { session }
+    );
+    if (!added.modifiedCount) return { awarded: false };
+    let user = null;
+    if (badge.bonus > 0) {
+      user = await applyBalanceChange({
+        userId: telegramId,
+        amount: badge.bonus,
+        type: LEDGER_TYPES.BADGE_BONUS,
+        refType: "badge",
+        refId: badge.code,
+        note: badge.name,
+        session,
+      });
+    }
+    return { awarded: true, user };
+  });
+}
+
+async function checkAchievements(telegramId, trigger) {
+  try {
+    const ruleTypes = Object.keys(BADGE_RULES).filter((type) =>
+      BADGE_RULES[type].triggers.includes(trigger)
+    );
+    const user = await usersCol.findOne({ telegramId });
+    if (!user || !ruleTypes.length) return [];
+    const owned = new Set(user.badges || []);
+    const candidates = await badgesCol
+      .find({ active: true, "rule.type": { $in: ruleTypes } })
+      .toArray();
+    const awarded = [];
+    const measured = {};
+    for (const badge of candidates) {
+      if (owned.has(badge.code)) continue;
+      const rule = BADGE_RULES[badge.rule.type];
+      if (!(badge.rule.type in measured))
+        measured[badge.rule.type] = await rule.measure(user);
+      const value = measured[badge.rule.type];
+      if (value === null || value === undefined) continue;
+      const met = rule.lowerIsBetter
+        ? value <= badge.rule.threshold
+        : value >= badge.rule.threshold;
+      if (!met) continue;
+      const result = await awardBadge(telegramId, badge);
+      if (!result.awarded) continue;
+      awarded.push(badge.code);
+      logger.info(`Badge ${badge.code} awarded to ${telegramId} (${trigger})`);
+      let text = `🏅 New badge unlocked: ${formatBadge(badge)}!`;
+      if (result.user)
+        text += `\nBonus ${formatAmount(
+          badge.bonus
+        )} added. Balance: ${formatAmount(result.user.balance)}`;
+      await notifyUserSafe(telegramId, text);
+    }
+    return awarded;
+  } catch (err) {
+    logger.error(`Achievement check failed for ${telegramId}: ${err.message}`);
+    return [];
+  }
+}
+
+async function describeUserBadges(codes = []) {
+  if (!codes.length) return "—";
+  const defs = await badgesCol.find({ code: { $in: codes } }).toArray();
+  const byCode = new Map(defs.map((badge) => [badge.code, badge]));
+  return codes
+    .map((code) => (byCode.has(code) ? formatBadge(byCode.get(code)) : code))
+    .join(", ");
+}
+
+function formatBadgeAdminLine(badge) {
+  return `${badge.active ? "🟢" : "⚪"} ${formatBadge(badge)} [${
+    badge.code
+  }] — ${badge.rule.type} ${
+    BADGE_RULES[badge.rule.type]?.lowerIsBetter ? "≤" : "≥"
+  } ${badge.rule.threshold}${
+    badge.bonus > 0 ? ` — bonus ${formatAmount(badge.bonus)}` : ""
+  }`;
+}
+
+bot.command("badges", async (ctx) => {
+  logCommand(ctx, "/badges");
+  if (!hasPermission(ctx.from.id, "rewards")) {
+    const u = await ensureUserProfile(ctx.from);
+    return ctx.reply(`🏅 Your badges: ${await describeUserBadges(u.badges)}`);
+  }
+  const badges = await badgesCol.find().sort({ createdAt: 1 }).toArray();
+  const rules = Object.entries(BADGE_RULES)
+    .map(([type, rule]) => `• ${type} – ${rule.label}`)
+    .join("\n");
+  await ctx.reply(
+    `🏅 Badges\n\n${badges
+      .map(formatBadgeAdminLine)
+      .join("\n")}\n\nRule types:\n${rules}\n\n` +
+      "Add with /badge_add <code> | <emoji> | <name> | <ruleType> | <threshold> | [bonus]\n" +
+      "Toggle with /badge_disable <code> or /badge_enable <code>."
+  );
+});
+
+bot.command("badge_add", async (ctx) => {
+  logCommand(ctx, "/badge_add");
+  if (!hasPermission(ctx.from.id, "rewards")) return ctx.reply("Unauthorized");
+  const body = ctx.message.text.replace(/^\/badge_add(@\w+)?\s*/i, "");
+  const [code, emoji, name, ruleType, thresholdRaw, bonusRaw] = body
+    .split("|")
+    .map((part) => part.trim());
+  const usage =
+    "Usage: /badge_add <code> | <emoji> | <name> | <ruleType> | <threshold> | [bonus]";
+  if (!code || !name || !ruleType) return ctx.reply(usage);
+  if (!/^[a-z0-9_]{2,32}$/.test(code))
+    return ctx.reply("code must be 2–32 lowercase letters, digits or _.");
+  if (!BADGE_RULES[ruleType])
+    return ctx.reply(
+      `Unknown rule type. Use: ${Object.keys(BADGE_RULES).join(", ")}`
+    );
+  const threshold = Number(thresholdRaw);
+  if (!Number.isInteger(threshold) || threshold < 1)
+    return ctx.reply("threshold must be a whole number ≥ 1.");
+  const bonus = bonusRaw ? Number(bonusRaw) : 0;
+  if (!Number.isFinite(bonus) || bonus < 0)
+    return ctx.reply("bonus must be a number ≥ 0.");
+  const doc = {
+    code,
+    emoji: emoji || "🏅",
+    name,
+    rule: { type: ruleType, threshold },
+    bonus,
+    active: true,
+    createdBy: ctx.from.id,
+    createdAt: new Date(),
+  };
+  try {
+    await badgesCol.insertOne(doc);
+  } catch (err) {
+    if (err.code === 11000) return ctx.reply(`Badge ${code} already exists.`);
+    throw err;
+  }
+  logger.info(`Badge ${code} created by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "badge.create", {
+    targetType: "badge",
+    targetId: code,
+    after: doc,
+  });
+  await ctx.reply(`✅ Badge created.\n${formatBadgeAdminLine(doc)}`);
+});
+
+bot.command(["badge_disable", "badge_enable"], async (ctx) => {
+  const enable = /^\/badge_enable/i.test(ctx.message.text);
+  logCommand(ctx, enable ? "/badge_enable" : "/badge_disable");
+  if (!hasPermission(ctx.from.id, "rewards")) return ctx.reply("Unauthorized");
+  const code = ctx.message.text.split(" ").filter(Boolean)[1];
+  if (!code)
+    return ctx.reply(`Usage: /badge_${enable ? "enable" : "disable"} <code>`);
+  const result = await badgesCol.updateOne(
+    { code },
+    { $set: { active: enable } }
+  );
+  if (!result.matchedCount) return ctx.reply("Badge not found.");
+  logger.info(
+    `Badge ${code} ${enable ? "enabled" : "disabled"} by ${ctx.from.id}`
+  );
+  await recordAudit(ctx.from.id, enable ? "badge.enable" : "badge.disable", {
+    targetType: "badge",
+    targetId: code,
+    after: { active: enable },
+  });
+  await ctx.reply(`Badge ${code} ${enable ? "enabled" : "disabled"}.`);
+});
+// ─────────────────────────────────────────────
+// CONTESTS
+// ─────────────────────────────────────────────
+// Time-boxed referral contests ranked like the leaderboard (refs confirmed in
+// [startAt, endAt)). Eligibility is checked at settlement; ineligible
+// referrers are skipped and the next in line takes the prize.
+const CONTEST_STATUS = {
+  ACTIVE: "active",
+  SETTLED: "settled",
+  CANCELLED: "cancelled",
+};
+const CONTEST_STANDINGS_SIZE = 10;
+
+// Accepts "YYYY-MM-DD", "YYYY-MM-DD HH:mm" (UTC) or a full ISO timestamp.
+function parseContestDate(raw) {
+  if (!raw) return null;
+  let text = raw.trim().replace(" ", "T");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += "T00:00";
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) text += "Z";
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatContestDate(date) {
+  return new Date(date).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
+function describeContestRules(contest) {
+  const rules = [];
+  if (contest.rules?.minAccountAgeDays)
+    rules.push(`account at least ${contest.rules.minAccountAgeDays} days old`);
+  if (contest.rules?.requireChannelGuard)
+    rules.push("member of all required channels");
+  return rules.length ? rules.join(", ") : "none";
+}
+
+function describeContestHeader(contest) {
+  const prizes = contest.prizes
+    .map((prize, idx) => `#${idx + 1} ${formatAmount(prize)}`)
+    .join(" · ");
+  return (
+    `🏁 ${contest.title}\n` +
+    `${formatContestDate(contest.startAt)} → ${formatContestDate(
+      contest.endAt
+    )}\n` +
+    `Prizes: ${prizes}\nEligibility: ${describeContestRules(contest)}`
+  );
+}
+
+async function checkContestEligibility(contest, telegramId) {
+  const user = await usersCol.findOne({ telegramId });
+  if (!user) return { ok: false, reason: "unknown user" };
+  const minAge = contest.rules?.minAccountAgeDays || 0;
+  if (minAge && (accountAgeDays(user) ?? 0) < minAge)
+    return { ok: false, reason: `account younger than ${minAge} days` };
+  if (contest.rules?.requireChannelGuard) {
+    const { missing } = await collectMissingChannels(bot, telegramId);
+    if (missing.length) return { ok: false, reason: "channel guard failed" };
+  }
+  return { ok: true, user };
+}
+
+async function pickContestWinners(contest) {
+  const window = { from: contest.startAt, to: contest.endAt };
+  const winners = [];
+  const skipped = [];
+  let skip = 0;
+  while (winners.length < contest.prizes.length) {
+    const { rows } = await aggregateReferralStandings(window, {
+      skip,
+      limit: CONTEST_STANDINGS_SIZE,
+    });
+    if (!rows.length) break;
+    skip += rows.length;
+    for (const row of rows) {
+      if (winners.length >= contest.prizes.length) break;
+      const eligibility = await checkContestEligibility(contest, row._id);
+      if (!eligibility.ok) {
+        skipped.push({
+          telegramId: row._id,
+          count: row.count,
+          reason: eligibility.reason,
+        });
+        continue;
+      }
+      const rank = winners.length + 1;
+      winners.push({
+        rank,
+        telegramId: row._id,
+        count: row.count,
+        prize: contest.prizes[rank - 1],
+      });
+    }
+  }
+  return { winners, skipped };
+}
+
+// Credits every prize and flips the contest to settled in one transaction,
+// so a contest is paid exactly once even if the job runs twice.
+async function settleContest(contest) {
+  const { winners, skipped } = await pickContestWinners(contest);
+  const settled = await runInTransaction(async (session) => {
+    const claim = await contestsCol.updateOne(
+      { _id: contest._id, status: CONTEST_STATUS.ACTIVE },
+      {
+        $set: {
+          status: CONTEST_STATUS.SETTLED,
+          results: winners,
+          skipped,
+          settledAt: new Date(),
+        },
+      },
+      { session }
+    );
+    if (!claim.modifiedCount) return false;
+    for (const winner of winners) {
+      if (!(winner.prize > 0)) continue;
+      await applyBalanceChange({
+        userId: winner.telegramId,
+        amount: winner.prize,
+        type: LEDGER_TYPES.CONTEST_PRIZE,
+        refType: "contest",
+        refId: contest._id,
+        note: `${contest.title} #${winner.rank}`,
+        session,
+      });
+    }
+    return true;
+  });
+  if (!settled) return null;
+  logger.info(
+    `Contest ${contest._id} settled with ${winners.length} winner(s), ${skipped.length} skipped`
+  );
+  await announceContestResults({ ...contest, results: winners, skipped });
+  return winners;
+}
+
+async function describeContestResults(contest) {
+  if (!contest.results?.length) return "No eligible participants.";
+  const users = await usersCol
+    .find({ telegramId: { $in: contest.results.map((r) => r.telegramId) } })
+    .toArray();
+  const byId = new Map(users.map((user) => [user.telegramId, user]));
+  return contest.results
+    .map(
+      (winner) =>
+        `${winner.rank}. ${leaderboardLabel(
+          byId.get(winner.telegramId),
+          winner.telegramId
+        )} — ${winner.count} referrals — ${formatAmount(winner.prize)}`
+    )
+    .join("\n");
+}
+
+async function announceContestResults(contest) {
+  const text = `🏁 Contest finished: ${
+    contest.title
+  }\n\n${await describeContestResults(contest)}`;
+  for (const winner of contest.results) {
+    await notifyUserSafe(
+      winner.telegramId,
+      `🎉 You placed #${winner.rank} in "${
+        contest.title
+      }" and won ${formatAmount(
+        winner.prize
+      )}! It has been added to your balance.`
+    );
+  }
+  for (const adminId of adminIdsWith("rewards")) {
+    let adminText = text;
+    if (contest.skipped?.length)
+      adminText += `\n\nSkipped (ineligible): ${contest.skipped
+        .map((s) => `${s.telegramId} (${s.reason})`)
+        .join(", ")}`;
+    await notifyUserSafe(adminId, adminText);
+  }
+  if (CONTEST_ANNOUNCE_CHAT_ID)
+    await notifyUserSafe(CONTEST_ANNOUNCE_CHAT_ID, text);
+}
+
+async function settleEndedContests() {
+  const due = await contestsCol
+    .find({ status: CONTEST_STATUS.ACTIVE, endAt: { $lte: new Date() } })
+    .toArray();
+  for (const contest of due) {
+    try {
+      await settleContest(contest);
+    } catch (err) {
+      logger.error(`Contest ${contest._id} settlement failed: ${err.message}`);
+    }
+  }
+}
+
+async function replyContestStandings(ctx, contest) {
+  const me = await ensureUserProfile(ctx.from);
+  let text = describeContestHeader(contest) + "\n\n";
+  if (contest.status === CONTEST_STATUS.SETTLED) {
+    text += `Final results:\n${await describeContestResults(contest)}`;
+  } else if (contest.status === CONTEST_STATUS.CANCELLED) {
+    text += "This contest was cancelled.";
+  } else if (contest.startAt > new Date()) {
+    text += "Not started yet.";
+  } else {
+    const window = { from: contest.startAt, to: contest.endAt };
+    const { rows } = await aggregateReferralStandings(window, {
+      limit: CONTEST_STANDINGS_SIZE,
+    });
+    const users = await usersCol
+      .find({ telegramId: { $in: rows.map((row) => row._id) } })
+      .toArray();
+    const byId = new Map(users.map((user) => [user.telegramId, user]));
+    text += "Live standings:\n";
+    text += rows.length
+      ? rows
+          .map(
+            (row, idx) =>
+              `${idx + 1}. ${leaderboardLabel(byId.get(row._id), row._id)} — ${
+                row.count
+              } referrals`
+          )
+          .join("\n")
+      : "No confirmed referrals yet.";
+    const mine = await referralRankFor(me.telegramId, window);
+    text += mine
+      ? `\n\nYour rank: #${mine.rank} (${mine.count} referrals)`
+      : "\n\nRefer friends to enter the contest!";
+    text += "\nEligibility is checked when the contest ends.";
+  }
+  const extra = Markup.inlineKeyboard([
+    [Markup.button.callback("⬅ All contests", "CONTESTS")],
+  ]);
+  if (ctx.updateType === "callback_query") {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (contest) failed, replying: ${err.message}`
+      );
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function replyContestList(ctx) {
+  const running = await contestsCol
+    .find({ status: CONTEST_STATUS.ACTIVE })
+    .sort({ endAt: 1 })
+    .toArray();
+  const past = await contestsCol
+    .find({ status: CONTEST_STATUS.SETTLED })
+    .sort({ settledAt: -1 })
+    .limit(5)
+    .toArray();
+  if (!running.length && !past.length) {
+    await ctx.reply("No contests yet.");
+    return;
+  }
+  const now = new Date();
+  const lines = ["🏁 Contests"];
+  const rows = [];
+  if (running.length) lines.push("", "Running / upcoming:");
+  for (const contest of running) {
+    const when =
+      contest.startAt > now
+        ? `starts ${formatContestDate(contest.startAt)}`
+        : `ends ${formatContestDate(contest.endAt)}`;
+    lines.push(`• ${contest.title} — ${when}`);
+    rows.push([
+      Markup.button.callback(`📈 ${contest.title}`, `CONTEST:${contest._id}`),
+    ]);
+  }
+  if (past.length) lines.push("", "Past results:");
+  for (const contest of past) {
+    lines.push(
+      `• ${contest.title} — ended ${formatContestDate(contest.endAt)}`
+    );
+    rows.push([
+      Markup.button.callback(`🏆 ${contest.title}`, `CONTEST:${contest._id}`),
+    ]);
+  }
+  const text = lines.join("\n");
+  const extra = Markup.inlineKeyboard(rows);
+  if (ctx.updateType === "callback_query") {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (contests) failed, replying: ${err.message}`
+      );
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+bot.command("contests", async (ctx) => {
+  logCommand(ctx, "/contests");
+  await replyContestList(ctx);
+});
+
+bot.action("CONTESTS", async (ctx) => {
+  await ctx.answerCbQuery();
+  await replyContestList(ctx);
+});
+
+bot.action(/^CONTEST:([a-f0-9]{24})$/, async (ctx) => {
+  const contest = await contestsCol.findOne({
+    _id: parseObjectId(ctx.match[1]),
+  });
+  if (!contest) return ctx.answerCbQuery("Contest not found");
+  await ctx.answerCbQuery();
+  await replyContestStandings(ctx, contest);
+});
+
+bot.command("contest_create", async (ctx) => {
+  logCommand(ctx, "/contest_create");
+  if (!hasPermission(ctx.from.id, "rewards")) return ctx.reply("Unauthorized");
+  const body = ctx.message.text.replace(/^\/contest_create(@\w+)?\s*/i, "");
+  const [title, startRaw, endRaw, prizesRaw, minAgeRaw, guardRaw] = body
+    .split("|")
+    .map((part) => part.trim());
+  const usage =
+    "Usage: /contest_create <title> | <start> | <end> | <prize1,prize2,...> | [minAccountAgeDays] | [guard]\n" +
+    "Dates are UTC, e.g. 2026-11-01 or 2026-11-01 18:00.";
+  if (!title || !startRaw || !endRaw || !prizesRaw) return ctx.reply(usage);
+  const startAt = parseContestDate(startRaw);
+  const endAt = parseContestDate(endRaw);
+  if (!startAt || !endAt) return ctx.reply("Invalid date.\n" + usage);
+  if (endAt <= startAt) return ctx.reply("End must be after start.");
+  if (endAt <= new Date()) return ctx.reply("End must be in the future.");
+  const prizes = prizesRaw.split(",").map((part) => Number(part.trim()));
+  if (!prizes.length || prizes.some((p) => !Number.isFinite(p) || p < 0))
+    return ctx.reply("Prizes must be a comma-separated list of amounts ≥ 0.");
+  const minAccountAgeDays = minAgeRaw ? Number(minAgeRaw) : 0;
+  if (!Number.isInteger(minAccountAgeDays) || minAccountAgeDays < 0)
+    return ctx.reply("minAccountAgeDays must be a whole number ≥ 0.");
+  const requireChannelGuard = /^(guard|yes|true|1)$/i.test(guardRaw || "");
+  const contest = {
+    title,
+    startAt,
+    endAt,
+    prizes,
+    rules: { minAccountAgeDays, requireChannelGuard },
+    status: CONTEST_STATUS.ACTIVE,
+    createdBy: ctx.from.id,
+    createdAt: new Date(),
+  };
+  const { insertedId } = await contestsCol.insertOne(contest);
+  logger.info(`Contest ${insertedId} created by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "contest.create", {
+    targetType: "contest",
+    targetId: insertedId,
+    after: contest,
+  });
+  await ctx.reply(
+    `✅ Contest created (${insertedId}).\n\n${describeContestHeader(contest)}`
+  );
+});
+
+bot.command("contest_cancel", async (ctx) => {
+  logCommand(ctx, "/contest_cancel");
+  if (!hasPermission(ctx.from.id, "rewards")) return ctx.reply("Unauthorized");
+  const id = parseObjectId(ctx.message.text.split(" ").filter(Boolean)[1]);
+  if (!id) return ctx.reply("Usage: /contest_cancel <contestId>");
+  const result = await contestsCol.updateOne(
+    { _id: id, status: CONTEST_STATUS.ACTIVE },
+    {
+      $set: {
+        status: CONTEST_STATUS.CANCELLED,
+        cancelledBy: ctx.from.id,
+        cancelledAt: new Date(),
+      },
+    }
+  );
+  if (!result.modifiedCount)
+    return ctx.reply("No running contest with that id.");
+  logger.info(`Contest ${id} cancelled by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "contest.cancel", {
+    targetType: "contest",
+    targetId: id,
+    before: { status: CONTEST_STATUS.ACTIVE },
+    after: { status: CONTEST_STATUS.CANCELLED },
+  });
+  await ctx.reply("Contest cancelled. No prizes will be paid.");
+});
+
+bot.command("contest_settle", async (ctx) => {
+  logCommand(ctx, "/contest_settle");
+  if (!hasPermission(ctx.from.id, "rewards")) return ctx.reply("Unauthorized");
+  const id = parseObjectId(ctx.message.text.split(" ").filter(Boolean)[1]);
+  if (!id) return ctx.reply("Usage: /contest_settle <contestId>");
+  const contest = await contestsCol.findOne({ _id: id });
+  if (!contest || contest.status !== CONTEST_STATUS.ACTIVE)
+    return ctx.reply("No running contest with that id.");
+  if (contest.endAt > new Date())
+    return ctx.reply(
+      `The contest ends ${formatContestDate(
+        contest.endAt
+      )}; it can't be settled early.`
+    );
+  const winners = await settleContest(contest);
+  if (winners)
+    await recordAudit(ctx.from.id, "contest.settle", {
+      targetType: "contest",
+      targetId: id,
+      before: { status: CONTEST_STATUS.ACTIVE },
+      after: { status: CONTEST_STATUS.SETTLED },
+      args: {
+        winners: winners.map((w) => ({
+          telegramId: w.telegramId,
+          rank: w.rank,
+          prize: w.prize,
+        })),
+      },
+    });
+  await ctx.reply(
+    winners
+      ? `Contest settled with ${winners.length} winner(s).`
+      : "Already settled."
+  );
+});
+// ─────────────────────────────────────────────
+// SUPPORT TICKETS
+// ─────────────────────────────────────────────
+// One open ticket per user; every user and admin message is appended to its
+// `messages` thread. Copies sent to admins are remembered in `adminMessages`
+// so a plain Telegram reply to any of them answers the ticket.
+const TICKET_STATUS = {
+  OPEN: "open",
+  ANSWERED: "answered",
+  CLOSED: "closed",
+};
+const TICKET_THREAD_PREVIEW = 8;
+
+function ticketRef(ticket) {
+  return "#" + String(ticket._id).slice(-6);
+}
+
+function extractTicketContent(message) {
+  const text = (message.text || message.caption || "").trim() || null;
+  if (message.photo?.length) {
+    const photo = message.photo[message.photo.length - 1];
+    return { text, attachment: { type: "photo", fileId: photo.file_id } };
+  }
+  if (message.document) {
+    return {
+      text,
+      attachment: {
+        type: "document",
+        fileId: message.document.file_id,
+        fileName: message.document.file_name || null,
+      },
+    };
+  }
+  return { text, attachment: null };
+}
+
+// Sends text plus an optional photo/document; captions are capped by Telegram.
+async function sendTicketContent(chatId, text, attachment, extra = {}) {
+  if (!attachment) return bot.telegram.sendMessage(chatId, text, extra);
+  const options = { caption: text.slice(0, 1000), ...extra };
+  if (attachment.type === "photo")
+    return bot.telegram.sendPhoto(chatId, attachment.fileId, options);
+  return bot.telegram.sendDocument(chatId, attachment.fileId, options);
+}
+
+function describeTicketMessage(entry) {
+  const who = entry.from === "admin" ? "🛠 Admin" : "👤 User";
+  const parts = [];
+  if (entry.text) parts.push(entry.text);
+  if (entry.attachment)
+    parts.push(
+      entry.attachment.type === "photo"
+        ? "[photo]"
+        : `[file${
+            entry.attachment.fileName ? ": " + entry.attachment.fileName : ""
+          }]`
+    );
+  return `${who} (${new Date(entry.at).toLocaleString()}): ${parts.join(" ")}`;
+}
+
+async function buildTicketCard(ticket, options = {}) {
+  const { thread = false } = options;
+  const user = await usersCol.findOne({ telegramId: ticket.userId });
+  const lines = [
+    `🎫 Ticket ${ticketRef(ticket)} — ${ticket.status}`,
+    `User: ${formatUserLabel(user)} (${ticket.userId})`,
+    `Opened: ${new Date(ticket.createdAt).toLocaleString()}`,
+    `Assigned: ${ticket.assignedTo ? ticket.assignedTo : "nobody"}`,
+  ];
+  if (thread) {
+    const recent = ticket.messages.slice(-TICKET_THREAD_PREVIEW);
+    const hidden = ticket.messages.length - recent.length;
+    lines.push("");
+    if (hidden) lines.push(`… ${hidden} earlier message(s)`);
+    lines.push(...recent.map(describeTicketMessage));
+  }
+  return lines.join("\n");
+}
+
+// Queue cards carry the scope and page so acting on a ticket re-lists the
+// same queue.
+function buildTicketAdminRows(ticket, page, scope = "all") {
+  const suffix = page === undefined ? "" : `:${scope}:${page}`;
+  return [
+    [
+      Markup.button.callback("↩️ Reply", `TICKET_REPLY:${ticket._id}`),
+      Markup.button.callback(
+        "🙋 Assign to me",
+        `TICKET_ASSIGN:${ticket._id}${suffix}`
+      ),
+    ],
+    [
+      Markup.button.callback("👥 Assign to…", `TICKET_PICK:${ticket._id}`),
+      Markup.button.callback("✅ Close", `TICKET_CLOSE:${ticket._id}${suffix}`),
+    ],
+  ];
+}
+
+// Hands an open ticket to `adminId`; someone else's pick is forwarded to them
+// with the thread so they can answer straight away.
+async function assignTicket(ticketId, adminId, assignedBy) {
+  const { value: ticket } = await supportCol.findOneAndUpdate(
+    { _id: ticketId, status: { $ne: TICKET_STATUS.CLOSED } },
+    { $set: { assignedTo: adminId, assignedAt: new Date(), assignedBy } },
+    { returnDocument: "after" }
+  );
+  if (!ticket) return null;
+  logger.info(`Ticket ${ticketId} assigned to ${adminId} by ${assignedBy}`);
+  if (adminId !== assignedBy) {
+    const by = await usersCol.findOne({ telegramId: assignedBy });
+    try {
+      await bot.telegram.sendMessage(
+        adminId,
+        `🎫 ${formatUserLabel(by)} assigned you a ticket.\n\n` +
+          (await buildTicketCard(ticket, { thread: true })),
+        Markup.inlineKeyboard(buildTicketAdminRows(ticket))
+      );
+    } catch (err) {
+      logger.debug(`Could not notify ${adminId} of assignment: ${err.message}`);
+    }
+  }
+  return ticket;
+}
+
+async function notifyAdminsOfTicketMessage(ticket, content) {
+  const header = (await buildTicketCard(ticket)).split("\n").slice(0, 2);
+  const text = `${header.join("\n")}\n\n${
+    content.text || "(attachment)"
+  }\n\nReply to this message to answer.`;
+  const recipients = ticket.assignedTo
+    ? [ticket.assignedTo]
+    : adminIdsWith("support");
+  const sent = [];
+  for (const adminId of recipients) {
+    try {
+      const msg = await sendTicketContent(
+        adminId,
+        text,
+        content.attachment,
+        Markup.inlineKeyboard(buildTicketAdminRows(ticket))
+      );
+      sent.push({ chatId: adminId, messageId: msg.message_id });
+    } catch (err) {
+      logger.debug(`Failed to forward ticket to ${adminId}: ${err.message}`);
+    }
+  }
+  if (sent.length)
+    await supportCol.updateOne(
+      { _id: ticket._id },
+      { $push: { adminMessages: { $each: sent } } }
+    );
+}
+
+async function submitUserTicketMessage(ctx, u, content) {
+  await usersCol.updateOne(
+    { telegramId: u.telegramId },
+    { $unset: { awaitingSupportMessage: "" } }
+  );
+  const now = new Date();
+  const entry = { from: "user", ...content, at: now };
+  const existing = await supportCol.findOneAndUpdate(
+    {
+      userId: u.telegramId,
+      status: { $in: [TICKET_STATUS.OPEN, TICKET_STATUS.ANSWERED] },
+    },
+    {
+      $push: { messages: entry },
+      $set: { status: TICKET_STATUS.OPEN, updatedAt: now },
+    },
+    { returnDocument: "after" }
+  );
+  let ticket = existing.value;
+  if (!ticket) {
+    ticket = {
+      userId: u.telegramId,
+      status: TICKET_STATUS.OPEN,
+      messages: [entry],
+      adminMessages: [],
+      assignedTo: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await supportCol.insertOne(ticket);
+    ticket._id = insertedId;
+  }
+  logger.info(`Support message on ticket ${ticket._id} from ${u.telegramId}`);
+  await ctx.reply(
+    `Thanks! Your message was added to ticket ${ticketRef(
+      ticket
+    )}. An admin will reply here.`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback("✅ Close ticket", `TICKET_CLOSE:${ticket._id}`)],
+    ])
+  );
+  await notifyAdminsOfTicketMessage(ticket, content);
+}
+
+async function answerTicket(ticketId, admin, content) {
+  const now = new Date();
+  const result = await supportCol.findOneAndUpdate(
+    { _id: ticketId, status: { $ne: TICKET_STATUS.CLOSED } },
+    {
+      $push: {
+        messages: { from: "admin", adminId: admin.id, ...content, at: now },
+      },
+      $set: { status: TICKET_STATUS.ANSWERED, updatedAt: now },
+    },
+    { returnDocument: "after" }
+  );
+  const ticket = result.value;
+  if (!ticket)
+    return { ok: false, message: "That ticket is closed or missing." };
+  if (!ticket.assignedTo)
+    await supportCol.updateOne(
+      { _id: ticket._id, assignedTo: null },
+      { $set: { assignedTo: admin.id } }
+    );
+  logger.info(`Ticket ${ticket._id} answered by ${admin.id}`);
+  try {
+    await sendTicketContent(
+      ticket.userId,
+      `💬 Support reply (ticket ${ticketRef(ticket)}):\n${content.text || ""}`,
+      content.attachment,
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback("↩️ Reply", `SUPPORT_REPLY:${ticket._id}`),
+          Markup.button.callback(
+            "✅ Close ticket",
+            `TICKET_CLOSE:${ticket._id}`
+          ),
+        ],
+      ])
+    );
+  } catch (err) {
+    logger.warn(
+      `Could not deliver ticket reply to ${ticket.userId}: ${err.message}`
+    );
+    return {
+      ok: true,
+      message: `Saved on ticket ${ticketRef(
+        ticket
+      )}, but the user could not be reached.`,
+    };
+  }
+  return { ok: true, message: `✅ Reply sent on ticket ${ticketRef(ticket)}.` };
+}
+
+async function closeTicket(ticketId, closer) {
+  const result = await supportCol.findOneAndUpdate(
+    { _id: ticketId, status: { $ne: TICKET_STATUS.CLOSED } },
+    {
+      $set: {
+        status: TICKET_STATUS.CLOSED,
+        closedAt: new Date(),
+        closedBy: closer.id,
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  const ticket = result.value;
+  if (!ticket) return null;
+  logger.info(`Ticket ${ticket._id} closed by ${closer.id}`);
+  if (closer.id === ticket.userId) {
+    const recipients = ticket.assignedTo
+      ? [ticket.assignedTo]
+      : adminIdsWith("support");
+    for (const adminId of recipients)
+      await notifyUserSafe(
+        adminId,
+        `🎫 Ticket ${ticketRef(ticket)} was closed by the user.`
+      );
+  } else {
+    await notifyUserSafe(
+      ticket.userId,
+      `🎫 Ticket ${ticketRef(
+        ticket
+      )} was closed. Tap 🆘 Support to open a new one.`
+    );
+  }
+  return ticket;
+}
+
+// Handles ticket traffic for text, photo and document messages. Returns true
+// when the message was consumed.
+async function handleTicketMessage(ctx, u) {
+  const message = ctx.message;
+  const content = extractTicketContent(message);
+  const lower = (message.text || "").trim().toLowerCase();
+  if (hasPermission(u.telegramId, "support") && message.reply_to_message) {
+    const ticket = await supportCol.findOne({
+      adminMessages: {
+        $elemMatch: {
+          chatId: ctx.chat.id,
+          messageId: message.reply_to_message.message_id,
+        },
+      },
+    });
+    if (ticket) {
+      const result = await answerTicket(ticket._id, ctx.from, content);
+      await ctx.reply(result.message);
+      return true;
+    }
+  }
+  if (u.awaitingTicketReply && hasPermission(u.telegramId, "support")) {
+    await usersCol.updateOne(
+      { telegramId: u.telegramId },
+      { $unset: { awaitingTicketReply: "" } }
+    );
+    if (lower === "cancel") {
+      await ctx.reply("Reply discarded.");
+      return true;
+    }
+    const result = await answerTicket(
+      parseObjectId(u.awaitingTicketReply),
+      ctx.from,
+      content
+    );
+    await ctx.reply(result.message);
+    return true;
+  }
+  if (u.awaitingSupportMessage) {
+    if (lower === "cancel") {
+      await usersCol.updateOne(
+        { telegramId: u.telegramId },
+        { $unset: { awaitingSupportMessage: "" } }
+      );
+      await ctx.reply("Support message cancelled.");
+      return true;
+    }
+    await submitUserTicketMessage(ctx, u, content);
+    return true;
+  }
+  return false;
+}
+
+async function listTicketQueue(ctx, page = 0, scope = "all") {
+  const filter = {
+    status: { $in: [TICKET_STATUS.OPEN, TICKET_STATUS.ANSWERED] },
+  };
+  if (scope === "mine") filter.assignedTo = ctx.from.id;
+  const total = await supportCol.countDocuments(filter);
+  const isCallback = ctx.updateType === "callback_query";
+  if (!total) {
+    const empty =
+      scope === "mine" ? "No tickets assigned to you." : "No open tickets. 🎉";
+    if (isCallback) {
+      try {
+        await ctx.editMessageText(empty);
+        return;
+      } catch (err) {
+        logger.debug(`editMessageText (tickets) failed: ${err.message}`);
+      }
+    }
+    await ctx.reply(empty);
+    return;
+  }
+  const current = Math.min(Math.max(page, 0), total - 1);
+  const [ticket] = await supportCol
+    .find(filter)
+    .sort({ status: -1, updatedAt: 1 })
+    .skip(current)
+    .limit(1)
+    .toArray();
+  const text =
+    `Ticket ${current + 1}/${total}${scope === "mine" ? " (mine)" : ""}\n\n` +
+    (await buildTicketCard(ticket, { thread: true }));
+  const rows = buildTicketAdminRows(ticket, current, scope);
+  const nav = [];
+  if (current > 0)
+    nav.push(
+      Markup.button.callback("⬅ Prev", `TICKETS:${scope}:${current - 1}`)
+    );
+  if (current < total - 1)
+    nav.push(
+      Markup.button.callback("Next ➡", `TICKETS:${scope}:${current + 1}`)
+    );
+  if (nav.length) rows.push(nav);
+  const extra = Markup.inlineKeyboard(rows);
+  if (isCallback) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(
+        `editMessageText (tickets) failed, replying: ${err.message}`
+      );
+    }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function startSupportMessage(ctx) {
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingSupportMessage: true } }
+  );
+  const open = await supportCol.findOne({
+    userId: ctx.from.id,
+    status: { $ne: TICKET_STATUS.CLOSED },
+  });
+  await ctx.reply(
+    open
+      ? `Send your message for ticket ${ticketRef(
+          open
+        )} (text, photo or document). Type 'cancel' to abort.`
+      : "Describe your issue (text, photo or document); admins will be notified. Type 'cancel' to abort."
+  );
+}
+
+bot.command("support", async (ctx) => {
+  logCommand(ctx, "/support");
+  await startSupportMessage(ctx);
+});
+
+bot.command("tickets", async (ctx) => {
+  logCommand(ctx, "/tickets");
+  if (!hasPermission(ctx.from.id, "support")) return ctx.reply("Unauthorized");
+  const scope = ctx.message.text.split(" ")[1] === "mine" ? "mine" : "all";
+  await listTicketQueue(ctx, 0, scope);
+});
+
+bot.action("ADMIN_TICKETS", async (ctx) => {
+  logger.info(`ADMIN_TICKETS tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "support"))
+    return ctx.answerCbQuery("Unauthorized");
+  await ctx.answerCbQuery();
+  await listTicketQueue(ctx, 0);
+});
+
+bot.action(/^TICKETS:(all|mine):(\d+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "support"))
+    return ctx.answerCbQuery("Unauthorized");
+  await ctx.answerCbQuery();
+  await listTicketQueue(ctx, Number(ctx.match[2]), ctx.match[1]);
+});
+
+bot.action(/^TICKET_REPLY:([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "support"))
+    return ctx.answerCbQuery("Unauthorized");
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingTicketReply: ctx.match[1] } }
+  );
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    "Send your reply (text, photo or document). Type 'cancel' to abort."
+  );
+});
+
+bot.action(
+  /^TICKET_ASSIGN:([a-f0-9]{24})(?::(all|mine):(\d+))?$/,
+  async (ctx) => {
+    if (!hasPermission(ctx.from.id, "support"))
+      return ctx.answerCbQuery("Unauthorized");
+    const ticket = await assignTicket(
+      parseObjectId(ctx.match[1]),
+      ctx.from.id,
+      ctx.from.id
+    );
+    if (!ticket) return ctx.answerCbQuery("Ticket is closed.");
+    await ctx.answerCbQuery("Assigned to you.");
+    if (ctx.match[3] !== undefined)
+      await listTicketQueue(ctx, Number(ctx.match[3]), ctx.match[2]);
+  }
+);
+
+bot.action(/^TICKET_PICK:([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "support"))
+    return ctx.answerCbQuery("Unauthorized");
+  const ticket = await supportCol.findOne({ _id: parseObjectId(ctx.match[1]) });
+  if (!ticket || ticket.status === TICKET_STATUS.CLOSED)
+    return ctx.answerCbQuery("Ticket is closed.");
+  const adminIds = adminIdsWith("support");
+  const admins = await usersCol
+    .find({ telegramId: { $in: adminIds } })
+    .toArray();
+  const byId = new Map(admins.map((u) => [u.telegramId, u]));
+  const rows = adminIds.map((id) => [
+    Markup.button.callback(
+      `${id === ticket.assignedTo ? "✅ " : ""}${
+        byId.has(id) ? formatUserLabel(byId.get(id)) : id
+      }`,
+      `TICKET_ASSIGN_TO:${ticket._id}:${id}`
+    ),
+  ]);
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `Assign ticket ${ticketRef(ticket)} to:`,
+    Markup.inlineKeyboard(rows)
+  );
+});
+
+bot.action(/^TICKET_ASSIGN_TO:([a-f0-9]{24}):(\d+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "support"))
+    return ctx.answerCbQuery("Unauthorized");
+  const adminId = Number(ctx.match[2]);
+  if (!hasPermission(adminId, "support"))
+    return ctx.answerCbQuery("That admin can't handle support tickets.", {
+      show_alert: true,
+    });
+  const ticket = await assignTicket(
+    parseObjectId(ctx.match[1]),
+    adminId,
+    ctx.from.id
+  );
+  if (!ticket) return ctx.answerCbQuery("Ticket is closed.");
+  const assignee = await usersCol.findOne({ telegramId: adminId });
+  const label = assignee ? formatUserLabel(assignee) : String(adminId);
+  await ctx.answerCbQuery(`Assigned to ${label}.`);
+  try {
+    await ctx.editMessageText(
+      `🎫 Ticket ${ticketRef(ticket)} assigned to ${label}.`
+    );
+  } catch (err) {
+    logger.debug(`editMessageText (ticket assign) failed: ${err.message}`);
+  }
+});
+
+bot.action(
+  /^TICKET_CLOSE:([a-f0-9]{24})(?::(all|mine):(\d+))?$/,
+  async (ctx) => {
+    const id = parseObjectId(ctx.match[1]);
+    const ticket = await supportCol.findOne({ _id: id });
+    if (
+      !ticket ||
+      (ticket.userId !== ctx.from.id && !hasPermission(ctx.from.id, "support"))
+    )
+      return ctx.answerCbQuery("Ticket not found.");
+    const closed = await closeTicket(id, ctx.from);
+    await ctx.answerCbQuery(closed ? "Ticket closed." : "Already closed.");
+    if (ctx.match[3] !== undefined)
+      await listTicketQueue(ctx, Number(ctx.match[3]), ctx.match[2]);
+    else if (closed && ticket.userId === ctx.from.id)
+      await ctx.reply(`🎫 Ticket ${ticketRef(ticket)} closed. Thanks!`);
+  }
+);
+
+bot.action(/^SUPPORT_REPLY:([a-f0-9]{24})$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await startSupportMessage(ctx);
+});
+
+bot.on("document", async (ctx, next) => {
+  try {
+    const u = await usersCol.findOne({ telegramId: ctx.from.id });
+    if (u && (await handleSettlementUpload(ctx, u))) return;
+    if (u && (await handleTicketMessage(ctx, u))) return;
+  } catch (e) {
+    logger.error("document handler: " + e.message);
+  }
+  return next();
+});
+// ─────────────────────────────────────────────
+// BROADCASTS
+// ─────────────────────────────────────────────
+// A broadcast is a document in `broadcasts`; the sender walks users in
+// telegramId order and saves its cursor after every message, so a restart
+// resumes where it stopped. Only a crash between a send and its cursor write
+// can message one user twice; shutdown lets the current message finish.
+const BROADCAST_STATUS = {
+  DRAFT: "draft",
+  SENDING: "sending",
+  DONE: "done",
+  CANCELLED: "cancelled",
+};
+const BROADCAST_BATCH_SIZE = 100;
+const BROADCAST_SEGMENTS = {
+  all: { label: "All users" },
+  balance: {
+    label: "Balance ≥ X",
+    prompt: "Send the minimum balance (₹).",
+    parse: (raw) => {
+      const value = Number(raw);
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    },
+    describe: (value) => `Balance ≥ ${formatAmount(value)}`,
+  },
+  noupi: { label: "No payout method saved" },
+  inactive: {
+    label: "Inactive N days",
+    prompt: "Send the number of days without activity.",
+    parse: (raw) => {
+      const value = Number(raw);
+      return Number.isInteger(value) && value > 0 ? value : null;
+    },
+    describe: (value) => `Inactive for ${value}+ days`,
+  },
+  top: {
+    label: "Top referrers",
+    prompt: "How many top referrers (by confirmed referrals)?",
+    parse: (raw) => {
+      const value = Number(raw);
+      return Number.isInteger(value) && value > 0 && value <= 1000
+        ? value
+        : null;
+    },
+    describe: (value) => `Top ${value} referrers`,
+  },
+};
+
+let broadcastWorker = null;
+let broadcastStopRequested = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Trailing lines shaped like "Label | https://link" become URL buttons.
+function parseBroadcastContent(message) {
+  const raw = message.text || message.caption || "";
+  const lines = raw.split("\n");
+  const buttons = [];
+  while (lines.length) {
+    const match = lines[lines.length - 1].match(
+      /^\s*(.+?)\s*\|\s*(https?:\/\/\S+)\s*$/
+    );
+    if (!match) break;
+    buttons.unshift({ text: match[1], url: match[2] });
+    lines.pop();
+  }
+  const photos = message.photo || [];
+  return {
+    text: lines.join("\n").trim(),
+    photoFileId: photos.length ? photos[photos.length - 1].file_id : null,
+    buttons,
+  };
+}
+
+async function sendBroadcastContent(chatId, content) {
+  const extra = content.buttons.length
+    ? Markup.inlineKeyboard(
+        content.buttons.map((button) => [
+          Markup.button.url(button.text, button.url),
+        ])
+      )
+    : {};
+  if (content.photoFileId)
+    return bot.telegram.sendPhoto(chatId, content.photoFileId, {
+      caption: content.text || undefined,
+      ...extra,
+    });
+  return bot.telegram.sendMessage(chatId, content.text, extra);
+}
+
+// Freezes a segment's parameters. Time- and rank-based segments are pinned
+// when the broadcast is queued so a resumed run targets the same set; only
+// plain values are stored, the query is built by broadcastSegmentFilter.
+async function resolveBroadcastSegment(type, value) {
+  const segment = { type, value: value ?? null };
+  if (type === "inactive")
+    segment.cutoff = new Date(Date.now() - value * 86400000);
+  else if (type === "top") {
+    const top = await usersCol
+      .find(
+        { confirmedReferrals: { $gt: 0 } },
+        { projection: { telegramId: 1 } }
+      )
+      .sort({ confirmedReferrals: -1 })
+      .limit(value)
+      .toArray();
+    segment.ids = top.map((u) => u.telegramId);
+  }
+  return segment;
+}
+
+function broadcastSegmentFilter(segment) {
+  // Broadcasts queued before segments stored parameters carry the query.
+  if (segment.filter) return segment.filter;
+  if (segment.type === "balance") return { balance: { $gte: segment.value } };
+  if (segment.type === "noupi")
+    return { "payoutMethods.0": { $exists: false } };
+  if (segment.type === "inactive")
+    return {
+      $or: [
+        { lastInteractionAt: { $lt: segment.cutoff } },
+        {
+          lastInteractionAt: { $exists: false },
+          createdAt: { $lt: segment.cutoff },
+        },
+      ],
+    };
+  if (segment.type === "top") return { telegramId: { $in: segment.ids } };
+  return {};
+}
+
+function broadcastRecipientFilter(broadcast, afterId) {
+  const filter = {
+    $and: [
+      broadcastSegmentFilter(broadcast.segment),
+      { inactive: { $ne: true } },
+    ],
+  };
+  if (afterId !== null && afterId !== undefined)
+    filter.$and.push({ telegramId: { $gt: afterId } });
+  return filter;
+}
+
+function describeBroadcastSegment(segment) {
+  const def = BROADCAST_SEGMENTS[segment.type];
+  return def.describe ? def.describe(segment.value) : def.label;
+}
+
+function describeBroadcastProgress(broadcast) {
+  const stats = broadcast.stats || {};
+  const done = (stats.sent || 0) + (stats.failed || 0) + (stats.blocked || 0);
+  return (
+    `📣 Broadcast ${String(broadcast._id).slice(-6)} — ${broadcast.status}\n` +
+    `Segment: ${describeBroadcastSegment(broadcast.segment)}\n` +
+    `Progress: ${done}/${broadcast.total}\n` +
+    `✅ Sent ${stats.sent || 0} · 🚫 Blocked ${
+      stats.blocked || 0
+    } · ⚠️ Failed ${stats.failed || 0}`
+  );
+}
+
+async function updateBroadcastProgress(broadcast, final = false) {
+  const text = describeBroadcastProgress(broadcast);
+  const extra = final
+    ? {}
+    : Markup.inlineKeyboard([
+        [Markup.button.callback("⏹ Stop", `BC_CANCEL:${broadcast._id}`)],
+      ]);
+  const target = broadcast.progressMessage;
+  if (target) {
+    try {
+      await bot.telegram.editMessageText(
+        target.chatId,
+        target.messageId,
+        undefined,
+        text,
+        extra
+      );
+      return;
+    } catch (err) {
+      logger.debug(`Broadcast progress edit failed: ${err.message}`);
+    }
+  }
+  if (final) await notifyUserSafe(broadcast.createdBy, text);
+}
+
+// Sends one message, waiting out 429s. Returns "sent", "blocked" or "failed".
+async function deliverBroadcastMessage(telegramId, content) {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      await sendBroadcastContent(telegramId, content);
+      return "sent";
+    } catch (err) {
+      const code = err.response?.error_code;
+      if (code === 429) {
+        const wait = (err.response.parameters?.retry_after || 5) + 1;
+        logger.warn(`Broadcast rate limited, waiting ${wait}s`);
+        await sleep(wait * 1000);
+        continue;
+      }
+      if (code === 403) {
+        await markUserInactive(telegramId);
+        return "blocked";
+      }
+      logger.debug(`Broadcast to ${telegramId} failed: ${err.message}`);
+      return "failed";
+    }
+  }
+  return "failed";
+}
+
+async function runBroadcast(broadcastId) {
+  const delay = Math.ceil(1000 / Math.max(BROADCAST_RATE_PER_SECOND, 1));
+  for (;;) {
+    const broadcast = await broadcastsCol.findOne({ _id: broadcastId });
+    if (!broadcast || broadcast.status !== BROADCAST_STATUS.SENDING) {
+      if (broadcast) await updateBroadcastProgress(broadcast, true);
+      return;
+    }
+    const batch = await usersCol
+      .find(broadcastRecipientFilter(broadcast, broadcast.cursor), {
+        projection: { telegramId: 1 },
+      })
+      .sort({ telegramId: 1 })
+      .limit(BROADCAST_BATCH_SIZE)
+      .toArray();
+    if (!batch.length) {
+      const finished = await broadcastsCol.findOneAndUpdate(
+        { _id: broadcastId, status: BROADCAST_STATUS.SENDING },
+        { $set: { status: BROADCAST_STATUS.DONE, finishedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (finished.value) {
+        logger.info(`Broadcast ${broadcastId} finished`);
+        await updateBroadcastProgress(finished.value, true);
+        await notifyUserSafe(
+          broadcast.createdBy,
+          "📣 Broadcast finished.\n\n" +
+            describeBroadcastProgress(finished.value)
+        );
+      }
+      return;
+    }
+    for (const user of batch) {
+      if (broadcastStopRequested) return;
+      const outcome = await deliverBroadcastMessage(
+        user.telegramId,
+        broadcast.content
+      );
+      await broadcastsCol.updateOne(
+        { _id: broadcastId },
+        {
+          $set: { cursor: user.telegramId },
+          $inc: { [`stats.${outcome}`]: 1 },
+        }
+      );
+      await sleep(delay);
+    }
+    const updated = await broadcastsCol.findOne({ _id: broadcastId });
+    await updateBroadcastProgress(updated);
+  }
+}
+
+// Runs every `sending` broadcast in queue order. An error ends the run; the
+// background job starts it again, resuming from the saved cursor.
+function runBroadcastQueue() {
+  if (!broadcastWorker && !broadcastStopRequested)
+    broadcastWorker = drainBroadcastQueue().finally(() => {
+      broadcastWorker = null;
+    });
+  return broadcastWorker;
+}
+
+async function drainBroadcastQueue() {
+  try {
+    while (!broadcastStopRequested) {
+      const next = await broadcastsCol.findOne(
+        { status: BROADCAST_STATUS.SENDING },
+        { sort: { queuedAt: 1 } }
+      );
+      if (!next) break;
+      logger.info(
+        `Broadcast ${next._id} sending (cursor ${next.cursor ?? "start"})`
+      );
+      await runBroadcast(next._id);
+    }
+  } catch (err) {
+    logger.error(`Broadcast worker error: ${err.message}`);
+  }
+}
+
+// Lets the message being sent finish and its cursor be saved.
+async function stopBroadcastWorker() {
+  broadcastStopRequested = true;
+  if (broadcastWorker) await broadcastWorker;
+}
+
+function buildBroadcastSegmentRows(broadcast) {
+  return [
+    ...Object.entries(BROADCAST_SEGMENTS).map(([type, def]) => [
+      Markup.button.callback(def.label, `BC_SEG:${broadcast._id}:${type}`),
+    ]),
+    [Markup.button.callback("❌ Discard", `BC_CANCEL:${broadcast._id}`)],
+  ];
+}
+
+async function showBroadcastConfirm(ctx, broadcast) {
+  const total = await usersCol.countDocuments(
+    broadcastRecipientFilter(broadcast)
+  );
+  await broadcastsCol.updateOne({ _id: broadcast._id }, { $set: { total } });
+  await ctx.reply(
+    `Segment: ${describeBroadcastSegment(
+      broadcast.segment
+    )}\nRecipients: ${total}\n\nSend now?`,
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback("🚀 Send", `BC_SEND:${broadcast._id}`),
+        Markup.button.callback(
+          "🎯 Change segment",
+          `BC_SEGMENTS:${broadcast._id}`
+        ),
+      ],
+      [Markup.button.callback("❌ Discard", `BC_CANCEL:${broadcast._id}`)],
+    ])
+  );
+}
+
+// Admin draft input (text or photo) and segment values. Returns true when the
+// message was consumed.
+async function handleBroadcastInput(ctx, u) {
+  if (!hasPermission(u.telegramId, "broadcast")) return false;
+  const lower = (ctx.message.text || "").trim().toLowerCase();
+  if (u.awaitingBroadcastContent) {
+    const id = parseObjectId(u.awaitingBroadcastContent);
+    await usersCol.updateOne(
+      { telegramId: u.telegramId },
+      { $unset: { awaitingBroadcastContent: "" } }
+    );
+    if (lower === "cancel") {
+      await broadcastsCol.updateOne(
+        { _id: id, status: BROADCAST_STATUS.DRAFT },
+        { $set: { status: BROADCAST_STATUS.CANCELLED } }
+      );
+      await ctx.reply("Broadcast discarded.");
+      return true;
+    }
+    const content = parseBroadcastContent(ctx.message);
+    if (!content.text && !content.photoFileId) {
+      await ctx.reply(
+        "The broadcast needs text or a photo. Run /broadcast again."
+      );
+      return true;
+    }
+    const result = await broadcastsCol.findOneAndUpdate(
+      { _id: id, status: BROADCAST_STATUS.DRAFT },
+      { $set: { content } },
+      { returnDocument: "after" }
+    );
+    if (!result.value) {
+      await ctx.reply("That draft is gone. Run /broadcast again.");
+      return true;
+    }
+    await ctx.reply("👀 Preview:");
+    await sendBroadcastContent(ctx.chat.id, content);
+    await ctx.reply(
+      "Who should receive it?",
+      Markup.inlineKeyboard(buildBroadcastSegmentRows(result.value))
+    );
+    return true;
+  }
+  if (u.awaitingBroadcastSegment) {
+    const [rawId, type] = u.awaitingBroadcastSegment.split(":");
+    await usersCol.updateOne(
+      { telegramId: u.telegramId },
+      { $unset: { awaitingBroadcastSegment: "" } }
+    );
+    if (lower === "cancel") {
+      await ctx.reply("Segment not changed.");
+      return true;
+    }
+    const value = BROADCAST_SEGMENTS[type].parse(lower);
+    if (value === null) {
+      await ctx.reply("That value isn't valid. Pick the segment again.");
+      return true;
+    }
+    const segment = await resolveBroadcastSegment(type, value);
+    const result = await broadcastsCol.findOneAndUpdate(
+      { _id: parseObjectId(rawId), status: BROADCAST_STATUS.DRAFT },
+      { $set: { segment } },
+      { returnDocument: "after" }
+    );
+    if (!result.value) {
+      await ctx.reply("That draft is gone. Run /broadcast again.");
+      return true;
+    }
+    await showBroadcastConfirm(ctx, result.value);
+    return true;
+  }
+  return false;
+}
+
+bot.command("broadcast", async (ctx) => {
+  logCommand(ctx, "/broadcast");
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.reply("Unauthorized");
+  const { insertedId } = await broadcastsCol.insertOne({
+    status: BROADCAST_STATUS.DRAFT,
+    createdBy: ctx.from.id,
+    createdAt: new Date(),
+    stats: { sent: 0, failed: 0, blocked: 0 },
+  });
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingBroadcastContent: String(insertedId) } }
+  );
+  await ctx.reply(
+    "Send the broadcast message: text, or a photo with a caption.\n" +
+      "To add link buttons, end it with lines like:\nVisit site | https://example.com\n\n" +
+      "Type 'cancel' to abort."
+  );
+});
+
+bot.command("broadcasts", async (ctx) => {
+  logCommand(ctx, "/broadcasts");
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.reply("Unauthorized");
+  const recent = await broadcastsCol
+    .find({
+      status: { $ne: BROADCAST_STATUS.DRAFT },
+      segment: { $exists: true },
+    })
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .toArray();
+  if (!recent.length) return ctx.reply("No broadcasts yet.");
+  await ctx.reply(recent.map(describeBroadcastProgress).join("\n\n"));
+});
+
+bot.action(/^BC_SEGMENTS:([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.answerCbQuery("Unauthorized");
+  const broadcast = await broadcastsCol.findOne({
+    _id: parseObjectId(ctx.match[1]),
+    status: BROADCAST_STATUS.DRAFT,
+  });
+  if (!broadcast) return ctx.answerCbQuery("Draft not found.");
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    "Who should receive it?",
+    Markup.inlineKeyboard(buildBroadcastSegmentRows(broadcast))
+  );
+});
+
+bot.action(/^BC_SEG:([a-f0-9]{24}):(\w+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.answerCbQuery("Unauthorized");
+  const [, id, type] = ctx.match;
+  const def = BROADCAST_SEGMENTS[type];
+  if (!def) return ctx.answerCbQuery("Unknown segment.");
+  await ctx.answerCbQuery();
+  if (def.prompt) {
+    await usersCol.updateOne(
+      { telegramId: ctx.from.id },
+      { $set: { awaitingBroadcastSegment: `${id}:${type}` } }
+    );
+    await ctx.reply(`${def.prompt} Type 'cancel' to abort.`);
+    return;
+  }
+  const segment = await resolveBroadcastSegment(type);
+  const result = await broadcastsCol.findOneAndUpdate(
+    { _id: parseObjectId(id), status: BROADCAST_STATUS.DRAFT },
+    { $set: { segment } },
+    { returnDocument: "after" }
+  );
+  if (!result.value)
+    return ctx.reply("That draft is gone. Run /broadcast again.");
+  await showBroadcastConfirm(ctx, result.value);
+});
+
+bot.action(/^BC_SEND:([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.answerCbQuery("Unauthorized");
+  const result = await broadcastsCol.findOneAndUpdate(
+    {
+      _id: parseObjectId(ctx.match[1]),
+      status: BROADCAST_STATUS.DRAFT,
+      content: { $exists: true },
+      segment: { $exists: true },
+    },
+    {
+      $set: {
+        status: BROADCAST_STATUS.SENDING,
+        queuedBy: ctx.from.id,
+        queuedAt: new Date(),
+        cursor: null,
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!result.value) return ctx.answerCbQuery("Already sent or discarded.");
+  await ctx.answerCbQuery("Queued");
+  logger.info(`Broadcast ${result.value._id} queued by ${ctx.from.id}`);
+  await recordAudit(ctx.from.id, "broadcast.send", {
+    targetType: "broadcast",
+    targetId: result.value._id,
+    before: { status: BROADCAST_STATUS.DRAFT },
+    after: { status: BROADCAST_STATUS.SENDING },
+    args: { segment: describeBroadcastSegment(result.value.segment) },
+  });
+  const progress = await ctx.reply(describeBroadcastProgress(result.value));
+  await broadcastsCol.updateOne(
+    { _id: result.value._id },
+    {
+      $set: {
+        progressMessage: {
+          chatId: progress.chat.id,
+          messageId: progress.message_id,
+        },
+      },
+    }
+  );
+  runBroadcastQueue();
+});
+
+bot.action(/^BC_CANCEL:([a-f0-9]{24})$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "broadcast"))
+    return ctx.answerCbQuery("Unauthorized");
+  const result = await broadcastsCol.updateOne(
+    {
+      _id: parseObjectId(ctx.match[1]),
+      status: { $in: [BROADCAST_STATUS.DRAFT, BROADCAST_STATUS.SENDING] },
+    },
+    {
+      $set: {
+        status: BROADCAST_STATUS.CANCELLED,
+        cancelledBy: ctx.from.id,
+        cancelledAt: new Date(),
+      },
+    }
+  );
+  logger.info(`Broadcast ${ctx.match[1]} cancelled by ${ctx.from.id}`);
+  if (result.modifiedCount)
+    await recordAudit(ctx.from.id, "broadcast.cancel", {
+      targetType: "broadcast",
+      targetId: ctx.match[1],
+      after: { status: BROADCAST_STATUS.CANCELLED },
+    });
+  await ctx.answerCbQuery(
+    result.modifiedCount ? "Stopped." : "Already finished."
+  );
+});
+// ─────────────────────────────────────────────
+// SETTLEMENT IMPORT
+// ─────────────────────────────────────────────
+// Reconciles a bank settlement CSV against our withdrawals: rows that match
+// a payable withdrawal with the same amount are marked paid with their UTR;
+// everything else is flagged in the report for a human to look at.
+const SETTLEMENT_COLUMNS = {
+  id: ["withdrawal_id", "withdrawalid", "id", "reference", "ref", "remarks"],
+  utr: ["utr", "utr_no", "utr_number", "bank_reference", "bank_ref", "rrn"],
+  status: ["status", "payment_status", "txn_status"],
+  amount: ["amount", "paid_amount", "txn_amount"],
+};
+const SETTLEMENT_SUCCESS =
+  /^(success|successful|paid|completed|processed|settled)$/i;
+const SETTLEMENT_MAX_BYTES = 5 * 1024 * 1024;
+const SETTLEMENT_OUTCOME_LABELS = {
+  paid: "✅ Marked paid",
+  already_paid: "↩️ Already paid (same UTR)",
+  already_paid_different_utr: "⚠️ Already paid with another UTR",
+  amount_mismatch: "⚠️ Amount mismatch",
+  bank_failed: "⚠️ Bank reports failure",
+  not_payable: "⚠️ Withdrawal not payable",
+  not_found: "⚠️ Withdrawal not found",
+  invalid_id: "⚠️ Invalid withdrawal id",
+  missing_utr: "⚠️ Missing UTR",
+  duplicate_utr: "⚠️ UTR already used",
+  duplicate_row: "⚠️ Duplicate row",
+  error: "❌ Error",
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function mapSettlementHeader(header) {
+  const normalized = header.map((name) =>
+    name
+      .trim()
+      .toLowerCase()
+      .replace(/^\uFEFF/, "")
+      .replace(/[\s-]+/g, "_")
+  );
+  const columns = {};
+  for (const [key, aliases] of Object.entries(SETTLEMENT_COLUMNS)) {
+    const index = normalized.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[key] = index;
+  }
+  return columns;
+}
+
+async function reconcileSettlementRow(row, context) {
+  const result = {
+    line: row.line,
+    withdrawalId: row.id,
+    utr: row.utr,
+    amount: row.amount,
+  };
+  const flag = (outcome, detail) => ({
+    ...result,
+    outcome,
+    detail: detail || "",
+  });
+  const id = parseObjectId(row.id);
+  if (!id) return flag("invalid_id");
+  if (context.seenIds.has(String(id))) return flag("duplicate_row");
+  context.seenIds.add(String(id));
+  if (row.status && !SETTLEMENT_SUCCESS.test(row.status))
+    return flag("bank_failed", row.status);
+  if (!row.utr) return flag("missing_utr");
+  const w = await withdrawalsCol.findOne({ _id: id });
+  if (!w) return flag("not_found");
+  if (w.status === WITHDRAWAL_STATUS.PAID)
+    return w.utr === row.utr
+      ? flag("already_paid")
+      : flag("already_paid_different_utr", w.utr || "no UTR on record");
+  if (!PAY_PATH.includes(w.status)) return flag("not_payable", w.status);
+  // Fees are kept back, so the bank sends the net amount.
+  const expected = w.netAmount ?? w.amount;
+  if (!Number.isFinite(row.amount) || Math.abs(row.amount - expected) > 0.005)
+    return flag("amount_mismatch", `expected ${formatAmount(expected)}`);
+  const utrOwner = await withdrawalsCol.findOne(
+    { utr: row.utr, _id: { $ne: id } },
+    { projection: { _id: 1 } }
+  );
+  if (utrOwner || context.seenUtrs.has(row.utr))
+    return flag("duplicate_utr", utrOwner ? String(utrOwner._id) : "in file");
+  context.seenUtrs.add(row.utr);
+  if (context.dryRun) return flag("paid", "dry run");
+  const paid = await markWithdrawalPaid(id, {
+    actor: context.actor,
+    note: `settlement ${context.importId}`,
+    set: {
+      utr: row.utr,
+      paidBy: context.actor.id,
+      settlementImportId: context.importId,
+    },
+  });
+  if (!paid.ok) return flag("error", describeTransitionFailure(paid));
+  await announceWithdrawalPaid(paid.withdrawal, context.label);
+  return flag("paid");
+}
+
+// `actor` is the ledger/history actor; `label` is shown on the admin cards.
+async function importSettlementCsv(text, options = {}) {
+  const {
+    actor = systemActor(),
+    label = { first_name: "settlement import" },
+    source = "cli",
+    fileName = null,
+    dryRun = false,
+  } = options;
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error("The file is empty.");
+  const columns = mapSettlementHeader(header);
+  for (const key of ["id", "utr", "amount"]) {
+    if (columns[key] === undefined)
+      throw new Error(
+        `Missing a ${key} column (accepted: ${SETTLEMENT_COLUMNS[key].join(
+          ", "
+        )}).`
+      );
+  }
+  const importId = new ObjectId();
+  const context = {
+    actor,
+    label,
+    importId,
+    dryRun,
+    seenIds: new Set(),
+    seenUtrs: new Set(),
+  };
+  const results = [];
+  for (const [index, cells] of lines.entries()) {
+    const cell = (key) =>
+      columns[key] === undefined ? "" : (cells[columns[key]] || "").trim();
+    const row = {
+      line: index + 2,
+      id: cell("id"),
+      utr: cell("utr"),
+      status: cell("status"),
+      amount: Number(cell("amount").replace(/[₹,\s]/g, "")),
+    };
+    try {
+      results.push(await reconcileSettlementRow(row, context));
+    } catch (err) {
+      logger.error(`Settlement row ${row.line} failed: ${err.message}`);
+      results.push({
+        ...row,
+        withdrawalId: row.id,
+        outcome: "error",
+        detail: err.message,
+      });
+    }
+  }
+  const counts = {};
+  for (const r of results) counts[r.outcome] = (counts[r.outcome] || 0) + 1;
+  const report = {
+    _id: importId,
+    source,
+    fileName,
+    dryRun,
+    importedBy: actor,
+    createdAt: new Date(),
+    rows: results.length,
+    counts,
+    results,
+  };
+  if (!dryRun) await settlementsCol.insertOne(report);
+  logger.info(
+    `Settlement import ${importId} (${source}${
+      dryRun ? ", dry run" : ""
+    }): ${JSON.stringify(counts)}`
+  );
+  return report;
+}
+
+function describeSettlementReport(report) {
+  const lines = [
+    `🧾 Settlement ${report.dryRun ? "dry run" : "import"} ${String(
+      report._id
+    ).slice(-6)}`,
+    `Rows: ${report.rows}`,
+  ];
+  for (const [outcome, count] of Object.entries(report.counts))
+    lines.push(`${SETTLEMENT_OUTCOME_LABELS[outcome] || outcome}: ${count}`);
+  return lines.join("\n");
+}
+
+function buildSettlementReportCsv(report) {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = "line,withdrawal_id,utr,amount,outcome,detail";
+  const rows = report.results.map((r) =>
+    [r.line, r.withdrawalId, r.utr, r.amount, r.outcome, r.detail]
+      .map(quote)
+      .join(",")
+  );
+  return [header, ...rows].join("\n") + "\n";
+}
+
+function downloadTelegramFile(url) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`Download failed (${res.statusCode})`));
+          return;
+        }
+        const chunks = [];
+        let size = 0;
+        res.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > SETTLEMENT_MAX_BYTES) {
+            res.destroy(new Error("File is too large."));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on("end", () => resolve(Buffer.concat(chunks)));
+        res.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+async function handleSettlementUpload(ctx, u) {
+  if (!u.awaitingSettlementFile || !hasPermission(u.telegramId, "withdrawals"))
+    return false;
+  const dryRun = u.awaitingSettlementFile === "dry";
+  await usersCol.updateOne(
+    { telegramId: u.telegramId },
+    { $unset: { awaitingSettlementFile: "" } }
+  );
+  const doc = ctx.message.document;
+  if (doc.file_size > SETTLEMENT_MAX_BYTES) {
+    await ctx.reply("That file is too large (max 5 MB).");
+    return true;
+  }
+  try {
+    const link = await ctx.telegram.getFileLink(doc.file_id);
+    const text = (await downloadTelegramFile(link.href)).toString("utf8");
+    const report = await importSettlementCsv(text, {
+      actor: adminActor(ctx.from.id),
+      label: ctx.from,
+      source: "telegram",
+      fileName: doc.file_name || null,
+      dryRun,
+    });
+    if (!dryRun)
+      await recordAudit(ctx.from.id, "settlement.import", {
+        targetType: "settlement",
+        targetId: report._id,
+        args: { fileName: report.fileName },
+        after: { rows: report.rows, counts: report.counts },
+      });
+    await ctx.replyWithDocument(
+      {
+        source: Buffer.from(buildSettlementReportCsv(report)),
+        filename: `settlement-report-${String(report._id).slice(-6)}.csv`,
+      },
+      { caption: describeSettlementReport(report) }
+    );
+  } catch (e) {
+    logger.error("settlement upload: " + e.message);
+    await ctx.reply("Import failed: " + e.message);
+  }
+  return true;
+}
+
+bot.command("admin_settle", async (ctx) => {
+  logCommand(ctx, "/admin_settle");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
+  const dryRun = /\bdry\b/i.test(ctx.message.text);
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingSettlementFile: dryRun ? "dry" : "live" } }
+  );
+  await ctx.reply(
+    `Send the bank settlement CSV as a document${
+      dryRun ? " (dry run: nothing will be marked paid)" : ""
+    }.\n` +
+      "Columns: withdrawal id (or reference), UTR, amount and optionally status."
+  );
+});
+// ─────────────────────────────────────────────
+// PAYOUT PROVIDERS
+// ─────────────────────────────────────────────
+// A provider decides how approved withdrawals turn into money. "manual" is
+// the original flow: an admin pays outside the bot and taps Mark paid.
+// "gateway" sends approved withdrawals in batches to an HTTP payout API and
+// settles them from its signed status callbacks. A provider has a `name`,
+// an `automatic` flag and, when automatic, `submitBatch(batchId, withdrawals)`
+// resolving to [{ reference, providerRef, accepted, reason }] and
+// `fetchStatuses(withdrawals)` resolving to [{ reference, providerRef, status,
+// utr, reason }]; both throw on transport errors, which are retried.
+const PAYOUT_RETRY_MINUTES = 5;
+const PAYOUT_STATUS_POLL_MINUTES = 30;
+const PAYOUT_REQUEST_TIMEOUT_MS = 15000;
+const PAYOUT_CALLBACK_MAX_BYTES = 64 * 1024;
+
+function signPayoutBody(body) {
+  return crypto
+    .createHmac("sha256", PAYOUT_GATEWAY_SECRET)
+    .update(body)
+    .digest("hex");
+}
+
+function isValidPayoutSignature(body, signature) {
+  const given = Buffer.from(String(signature || ""));
+  const expected = Buffer.from(signPayoutBody(body));
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+// Resolves with the status code and parsed body; only transport errors and
+// timeouts reject.
+function postJson(url, body, headers = {}) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout: PAYOUT_REQUEST_TIMEOUT_MS,
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          let data = null;
+          try {
+            data = text ? JSON.parse(text) : null;
+          } catch (err) {
+            data = { raw: text };
+          }
+          resolve({ status: res.statusCode, data });
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("request timed out")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+const manualPayoutProvider = { name: "manual", automatic: false };
+
+// The gateway must treat `reference` (our withdrawal id) as an idempotency
+// key: a batch that timed out is sent again and must not pay twice.
+function createGatewayPayoutProvider({ baseUrl, apiKey, callbackUrl }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const endpoint = base + "/v1/payouts/batch";
+  const statusEndpoint = base + "/v1/payouts/status";
+  return {
+    name: "gateway",
+    automatic: true,
+    async submitBatch(batchId, withdrawals) {
+      const body = JSON.stringify({
+        batchId,
+        callbackUrl: callbackUrl || undefined,
+        payouts: withdrawals.map((w) => ({
+          reference: String(w._id),
+          amount: Number(w.netAmount ?? w.amount),
+          currency: "INR",
+          method: w.method || "upi",
+          destination: w.payoutDestination || w.upi,
+          details: w.payoutDetails || { vpa: w.upi },
+          vpa: w.upi || undefined,
+        })),
+      });
+      const response = await postJson(endpoint, body, {
+        Authorization: `Bearer ${apiKey}`,
+        "X-Signature": signPayoutBody(body),
+      });
+      if (response.status < 200 || response.status >= 300)
+        throw new Error(
+          `gateway responded ${response.status}${
+            response.data?.error ? ` (${response.data.error})` : ""
+          }`
+        );
+      return (response.data?.payouts || []).map((p) => ({
+        reference: String(p.reference),
+        providerRef: p.id ? String(p.id) : null,
+        accepted: p.status === "accepted",
+        reason: p.reason || null,
+      }));
+    },
+    async fetchStatuses(withdrawals) {
+      const body = JSON.stringify({
+        references: withdrawals.map((w) => String(w._id)),
+      });
+      const response = await postJson(statusEndpoint, body, {
+        Authorization: `Bearer ${apiKey}`,
+        "X-Signature": signPayoutBody(body),
+      });
+      if (response.status < 200 || response.status >= 300)
+        throw new Error(`gateway status lookup responded ${response.status}`);
+      return (response.data?.payouts || []).map((p) => ({
+        reference: String(p.reference),
+        providerRef: p.id ? String(p.id) : null,
+        status: String(p.status || "unknown"),
+        utr: p.utr || null,
+        reason: p.reason || null,
+      }));
+    },
+  };
+}
+
+const PAYOUT_PROVIDERS = {
+  manual: () => manualPayoutProvider,
+  gateway: () => {
+    if (!PAYOUT_GATEWAY_URL || !PAYOUT_GATEWAY_KEY || !PAYOUT_GATEWAY_SECRET)
+      throw new Error(
+        "PAYOUT_GATEWAY_URL, PAYOUT_GATEWAY_KEY and PAYOUT_GATEWAY_SECRET are required when PAYOUT_PROVIDER=gateway"
+      );
+    if (!PORT)
+      throw new Error(
+        "PORT is required when PAYOUT_PROVIDER=gateway (status callbacks)"
+      );
+    return createGatewayPayoutProvider({
+      baseUrl: PAYOUT_GATEWAY_URL,
+      apiKey: PAYOUT_GATEWAY_KEY,
+      callbackUrl: PAYOUT_CALLBACK_URL,
+    });
+  },
+};
+let payoutProvider = manualPayoutProvider;
+
+function initPayoutProvider() {
+  const factory = PAYOUT_PROVIDERS[PAYOUT_PROVIDER];
+  if (!factory) throw new Error(`Unknown PAYOUT_PROVIDER ${PAYOUT_PROVIDER}`);
+  payoutProvider = factory();
+  logger.info(`Payout provider: ${payoutProvider.name}`);
+}
+
+// Stands in for the admin on withdrawal cards and outcome lines.
+function payoutProviderLabel() {
+  return { first_name: `${payoutProvider.name} payout provider` };
+}
+
+// Refunds a payout. Only for an explicit rejection or `failed` status from
+// the provider, or a finance admin's decision (`admin`) — never for a
+// timeout, which says nothing about whether the money went out.
+async function failPayout(w, reason, admin = null) {
+  const result = await transitionWithdrawal(w._id, WITHDRAWAL_STATUS.FAILED, {
+    actor: admin ? adminActor(admin.id) : systemActor(),
+    note: reason,
+    set: { failureReason: reason },
+  });
+  if (!result.ok) return result;
+  const failed = result.withdrawal;
+  logger.warn(`Withdrawal ${failed._id} payout failed: ${reason}`);
+  await notifyUserSafe(
+    failed.userId,
+    `⚠️ Your withdrawal of ${formatAmount(
+      failed.amount
+    )} could not be paid and was refunded to your balance.\nReason: ${reason}`
+  );
+  await finalizeAdminWithdrawalMessages(
+    failed,
+    describeWithdrawalOutcome(failed, admin || payoutProviderLabel())
+  );
+  return result;
+}
+
+// Stops resubmitting but keeps the amount locked: the gateway may have paid
+// a batch whose response never reached us. The status poll keeps asking the
+// provider, and finance decides between paid, retry and refund.
+async function flagStuckPayout(w, attempts, error) {
+  const now = new Date();
+  const { value: stuck } = await withdrawalsCol.findOneAndUpdate(
+    { _id: w._id, status: WITHDRAWAL_STATUS.PROCESSING },
+    {
+      $set: {
+        payoutStuck: true,
+        payoutStuckAt: now,
+        payoutAttempts: attempts,
+        payoutError: error,
+        payoutCheckAfter: new Date(
+          now.getTime() + PAYOUT_STATUS_POLL_MINUTES * 60000
+        ),
+      },
+      $unset: { payoutNextAttemptAt: "" },
+    },
+    { returnDocument: "after" }
+  );
+  if (!stuck) return;
+  logger.error(
+    `Withdrawal ${stuck._id} payout stuck after ${attempts} attempts: ${error}`
+  );
+  const text =
+    `🛑 Payout stuck\n\n${await buildWithdrawalCard(stuck)}\n\n` +
+    `Submitting to the ${payoutProvider.name} provider failed ${attempts} times (${error}). ` +
+    "It may still have been paid, so the amount stays locked and the bot keeps polling the provider. " +
+    "Check the provider dashboard, then mark it paid, retry or refund.";
+  const extra = Markup.inlineKeyboard(buildStuckPayoutRows(stuck));
+  for (const adminId of adminIdsWith("withdrawals")) {
+    try {
+      await bot.telegram.sendMessage(adminId, text, extra);
+    } catch (err) {
+      logger.debug(
+        `Failed to alert admin ${adminId} of stuck payout: ${err.message}`
+      );
+    }
+  }
+}
+
+function buildStuckPayoutRows(w) {
+  return [
+    [
+      Markup.button.callback("✅ Mark paid", `WD_PAY:${w._id}`),
+      Markup.button.callback("🔁 Retry", `PAYOUT_RETRY:${w._id}`),
+    ],
+    [Markup.button.callback("↩ Refund", `PAYOUT_REFUND:${w._id}`)],
+  ];
+}
+
+let payoutRunInProgress = false;
+
+// Claims approved withdrawals (approved → processing) and sends them, plus
+// earlier submissions that never reached the gateway, as one batch.
+async function runPayoutBatch() {
+  const summary = {
+    submitted: 0,
+    accepted: 0,
+    failed: 0,
+    retrying: 0,
+    stuck: 0,
+  };
+  if (!payoutProvider.automatic || payoutRunInProgress) return summary;
+  payoutRunInProgress = true;
+  try {
+    const batchId = uuidv4();
+    const now = new Date();
+    const retryAt = new Date(now.getTime() + PAYOUT_RETRY_MINUTES * 60000);
+    const batch = await withdrawalsCol
+      .find({
+        status: WITHDRAWAL_STATUS.PROCESSING,
+        payoutProvider: payoutProvider.name,
+        providerRef: { $exists: false },
+        payoutNextAttemptAt: { $lte: now },
+      })
+      .sort({ payoutNextAttemptAt: 1 })
+      .limit(PAYOUT_BATCH_SIZE)
+      .toArray();
+    const approved = await withdrawalsCol
+      .find({ status: WITHDRAWAL_STATUS.APPROVED })
+      .sort({ approvedAt: 1 })
+      .limit(Math.max(PAYOUT_BATCH_SIZE - batch.length, 0))
+      .toArray();
+    for (const w of approved) {
+      const result = await transitionWithdrawal(
+        w._id,
+        WITHDRAWAL_STATUS.PROCESSING,
+        {
+          actor: systemActor(),
+          note: `submitted to ${payoutProvider.name}`,
+          set: {
+            payoutProvider: payoutProvider.name,
+            payoutBatchId: batchId,
+            payoutAttempts: 0,
+            // If we crash before the gateway answers, the retry pass picks
+            // this up instead of it sitting in processing forever.
+            payoutNextAttemptAt: retryAt,
+          },
+        }
+      );
+      if (result.ok) batch.push(result.withdrawal);
+    }
+    if (!batch.length) return summary;
+    summary.submitted = batch.length;
+
+    let results = [];
+    let batchError = null;
+    try {
+      results = await payoutProvider.submitBatch(batchId, batch);
+    } catch (err) {
+      batchError = err.message;
+      logger.warn(`Payout batch ${batchId} not delivered: ${err.message}`);
+    }
+    const byReference = new Map(results.map((r) => [r.reference, r]));
+    for (const w of batch) {
+      const outcome = byReference.get(String(w._id));
+      if (outcome?.accepted) {
+        await withdrawalsCol.updateOne(
+          { _id: w._id, status: WITHDRAWAL_STATUS.PROCESSING },
+          {
+            $set: {
+              providerRef: outcome.providerRef,
+              payoutBatchId: batchId,
+              payoutSubmittedAt: new Date(),
+              payoutCheckAfter: new Date(
+                Date.now() + PAYOUT_STATUS_POLL_MINUTES * 60000
+              ),
+            },
+            $unset: { payoutNextAttemptAt: "", payoutError: "" },
+          }
+        );
+        summary.accepted += 1;
+        continue;
+      }
+      if (outcome) {
+        await failPayout(w, outcome.reason || "refused by the payout gateway");
+        summary.failed += 1;
+        continue;
+      }
+      const attempts = (w.payoutAttempts || 0) + 1;
+      const error = batchError || "missing from the gateway response";
+      if (attempts >= PAYOUT_MAX_ATTEMPTS) {
+        await flagStuckPayout(w, attempts, error);
+        summary.stuck += 1;
+        continue;
+      }
+      await withdrawalsCol.updateOne(
+        { _id: w._id, status: WITHDRAWAL_STATUS.PROCESSING },
+        {
+          $set: {
+            payoutAttempts: attempts,
+            payoutError: error,
+            payoutNextAttemptAt: new Date(
+              Date.now() + attempts * PAYOUT_RETRY_MINUTES * 60000
+            ),
+          },
+        }
+      );
+      summary.retrying += 1;
+    }
+    logger.info(
+      `Payout batch ${batchId}: submitted ${summary.submitted}, accepted ${summary.accepted}, failed ${summary.failed}, retrying ${summary.retrying}, stuck ${summary.stuck}`
+    );
+    return summary;
+  } finally {
+    payoutRunInProgress = false;
+  }
+}
+
+let payoutPollInProgress = false;
+
+// Asks the provider about payouts that went quiet: accepted ones whose status
+// callback never arrived and stuck ones it may have received after all.
+async function pollPayoutStatuses() {
+  const summary = { checked: 0, settled: 0, pending: 0, unknown: 0 };
+  if (!payoutProvider.fetchStatuses || payoutPollInProgress) return summary;
+  payoutPollInProgress = true;
+  try {
+    const now = new Date();
+    const due = await withdrawalsCol
+      .find({
+        status: WITHDRAWAL_STATUS.PROCESSING,
+        payoutProvider: payoutProvider.name,
+        payoutCheckAfter: { $lte: now },
+      })
+      .sort({ payoutCheckAfter: 1 })
+      .limit(PAYOUT_BATCH_SIZE)
+      .toArray();
+    if (!due.length) return summary;
+    const nextCheck = new Date(
+      now.getTime() + PAYOUT_STATUS_POLL_MINUTES * 60000
+    );
+    let statuses;
+    try {
+      statuses = await payoutProvider.fetchStatuses(due);
+    } catch (err) {
+      logger.warn(`Payout status poll failed: ${err.message}`);
+      await withdrawalsCol.updateMany(
+        { _id: { $in: due.map((w) => w._id) } },
+        { $set: { payoutCheckAfter: nextCheck } }
+      );
+      return summary;
+    }
+    const byReference = new Map(statuses.map((p) => [p.reference, p]));
+    for (const w of due) {
+      summary.checked += 1;
+      const polled = byReference.get(String(w._id));
+      if (polled?.status === "success" || polled?.status === "failed") {
+        await applyPayoutStatus({
+          reference: polled.reference,
+          id: polled.providerRef,
+          status: polled.status,
+          utr: polled.utr,
+          reason: polled.reason,
+        });
+        summary.settled += 1;
+        continue;
+      }
+      const known = polled && polled.status !== "unknown";
+      const update = {
+        $set: {
+          payoutCheckAfter: nextCheck,
+          payoutGatewayStatus: polled?.status || "unknown",
+          payoutUpdatedAt: now,
+        },
+      };
+      if (known && w.payoutStuck) {
+        // The batch we gave up on did arrive; wait for its outcome as usual.
+        update.$set.providerRef = polled.providerRef;
+        update.$set.payoutSubmittedAt = now;
+        update.$unset = { payoutStuck: "" };
+        logger.info(`Stuck payout ${w._id} found at the provider`);
+      }
+      await withdrawalsCol.updateOne(
+        { _id: w._id, status: WITHDRAWAL_STATUS.PROCESSING },
+        update
+      );
+      if (known) summary.pending += 1;
+      else summary.unknown += 1;
+    }
+    logger.info(
+      `Payout status poll: checked ${summary.checked}, settled ${summary.settled}, pending ${summary.pending}, unknown ${summary.unknown}`
+    );
+    return summary;
+  } finally {
+    payoutPollInProgress = false;
+  }
+}
+
+// Applies one gateway status update. Updates for withdrawals that already
+// left `processing` are acknowledged without effect, so redelivery is safe.
+async function applyPayoutStatus(event) {
+  const id = parseObjectId(event.reference);
+  let w = null;
+  if (id) w = await withdrawalsCol.findOne({ _id: id });
+  else if (event.id)
+    w = await withdrawalsCol.findOne({ providerRef: String(event.id) });
+  if (!w) return { status: 404, body: { error: "unknown_reference" } };
+  if (w.status !== WITHDRAWAL_STATUS.PROCESSING)
+    return { status: 200, body: { ok: true, status: w.status } };
+  if (event.status === "success") {
+    const result = await markWithdrawalPaid(w._id, {
+      actor: systemActor(),
+      set: {
+        utr: event.utr ? String(event.utr) : null,
+        providerRef: event.id ? String(event.id) : w.providerRef || null,
+      },
+    });
+    if (result.ok)
+      await announceWithdrawalPaid(result.withdrawal, payoutProviderLabel());
+    return {
+      status: 200,
+      body: { ok: true, status: result.withdrawal?.status || w.status },
+    };
+  }
+  if (event.status === "failed") {
+    const result = await failPayout(
+      w,
+      event.reason || "payout failed at the gateway"
+    );
+    return {
+      status: 200,
+      body: { ok: true, status: result.withdrawal?.status || w.status },
+    };
+  }
+  await withdrawalsCol.updateOne(
+    { _id: w._id },
+    {
+      $set: {
+        payoutGatewayStatus: String(event.status || "unknown"),
+        payoutUpdatedAt: new Date(),
+        payoutCheckAfter: new Date(
+          Date.now() + PAYOUT_STATUS_POLL_MINUTES * 60000
+        ),
+      },
+    }
+  );
+  return { status: 200, body: { ok: true, status: w.status } };
+}
+
+function readRequestBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function handlePayoutCallback(req, res) {
+  if (!payoutProvider.automatic)
+    return sendJson(res, 404, { error: "not_found" });
+  const body = await readRequestBody(req, PAYOUT_CALLBACK_MAX_BYTES);
+  if (!isValidPayoutSignature(body, req.headers["x-signature"])) {
+    logger.warn("Rejected payout callback with bad signature");
+    return sendJson(res, 401, { error: "bad_signature" });
+  }
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch (err) {
+    return sendJson(res, 400, { error: "invalid_json" });
+  }
+  logger.info(
+    `Payout callback for ${event.reference || event.id}: ${event.status}`
+  );
+  const result = await applyPayoutStatus(event);
+  sendJson(res, result.status, result.body);
+}
+
+async function approveWithdrawalAsAdmin(id, admin) {
+  const result = await transitionWithdrawal(id, WITHDRAWAL_STATUS.APPROVED, {
+    actor: adminActor(admin.id),
+    set: { approvedBy: admin.id },
+  });
+  if (!result.ok) return result;
+  const w = result.withdrawal;
+  await recordAudit(
+    admin.id,
+    "withdrawal.approve",
+    withdrawalAuditDetails(result)
+  );
+  await notifyUserSafe(
+    w.userId,
+    `👍 Your withdrawal of ${formatAmount(
+      w.amount
+    )} was approved and is on its way.`
+  );
+  await finalizeAdminWithdrawalMessages(
+    w,
+    `${describeWithdrawalOutcome(w, admin)}\nQueued for the ${
+      payoutProvider.name
+    } payout provider.`
+  );
+  runPayoutBatch().catch((err) =>
+    logger.error(`payout run after approval failed: ${err.message}`)
+  );
+  return result;
+}
+
+async function describePayoutQueue() {
+  const [approved, processing, waiting, stuck, failed] = await Promise.all([
+    withdrawalsCol.countDocuments({ status: WITHDRAWAL_STATUS.APPROVED }),
+    withdrawalsCol.countDocuments({ status: WITHDRAWAL_STATUS.PROCESSING }),
+    withdrawalsCol.countDocuments({
+      status: WITHDRAWAL_STATUS.PROCESSING,
+      providerRef: { $exists: false },
+      payoutStuck: { $ne: true },
+    }),
+    withdrawalsCol.countDocuments({
+      status: WITHDRAWAL_STATUS.PROCESSING,
+      payoutStuck: true,
+    }),
+    withdrawalsCol.countDocuments({
+      status: WITHDRAWAL_STATUS.FAILED,
+      failedAt: { $gte: new Date(Date.now() - 86400000) },
+    }),
+  ]);
+  const lines = [
+    `🏦 Payout provider: ${payoutProvider.name}`,
+    `Approved, waiting for a batch: ${approved}`,
+    `Processing at the provider: ${processing - waiting - stuck}`,
+    `Waiting to retry submission: ${waiting}`,
+    `Stuck, needs finance: ${stuck}`,
+    `Failed in the last 24h: ${failed}`,
+  ];
+  if (!payoutProvider.automatic)
+    lines.push(
+      "",
+      "Manual mode: pay outside the bot, then use ✅ Mark paid, /pay or /admin_settle."
+    );
+  return lines.join("\n");
+}
+
+bot.command("payouts", async (ctx) => {
+  logCommand(ctx, "/payouts");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
+  const rows = payoutProvider.automatic
+    ? [[Markup.button.callback("▶️ Send approved now", "PAYOUT_RUN")]]
+    : [];
+  await ctx.reply(await describePayoutQueue(), Markup.inlineKeyboard(rows));
+});
+
+bot.action("PAYOUT_RUN", async (ctx) => {
+  logger.info(`PAYOUT_RUN tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  if (payoutRunInProgress)
+    return ctx.answerCbQuery("A batch is already being sent.");
+  await ctx.answerCbQuery("Sending…");
+  const summary = await runPayoutBatch();
+  await recordAudit(ctx.from.id, "payouts.run", { after: summary });
+  await ctx.reply(
+    `Payout batch: submitted ${summary.submitted}, accepted ${
+      summary.accepted
+    }, failed ${summary.failed}, retrying ${summary.retrying}, stuck ${
+      summary.stuck
+    }.\n\n${await describePayoutQueue()}`
+  );
+});
+
+async function loadStuckPayout(ctx) {
+  const w = await withdrawalsCol.findOne({
+    _id: new ObjectId(ctx.match[1]),
+  });
+  if (w?.status === WITHDRAWAL_STATUS.PROCESSING && w.payoutStuck) return w;
+  await ctx.answerCbQuery(
+    w ? `No longer stuck (${w.status}).` : "Withdrawal not found.",
+    { show_alert: true }
+  );
+  return null;
+}
+
+bot.action(/^PAYOUT_RETRY:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`PAYOUT_RETRY tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  try {
+    const w = await loadStuckPayout(ctx);
+    if (!w) return;
+    // Safe to resend: the provider treats our withdrawal id as idempotency key.
+    await withdrawalsCol.updateOne(
+      { _id: w._id, status: WITHDRAWAL_STATUS.PROCESSING, payoutStuck: true },
+      {
+        $set: { payoutAttempts: 0, payoutNextAttemptAt: new Date() },
+        $unset: { payoutStuck: "", payoutCheckAfter: "" },
+      }
+    );
+    await recordAudit(ctx.from.id, "payout.retry", {
+      targetType: "withdrawal",
+      targetId: w._id,
+      args: { attempts: w.payoutAttempts, error: w.payoutError },
+    });
+    await ctx.answerCbQuery("Queued for resubmission.");
+    try {
+      await ctx.editMessageReplyMarkup(undefined);
+    } catch (err) {
+      logger.debug(
+        `editMessageReplyMarkup (payout retry) failed: ${err.message}`
+      );
+    }
+    runPayoutBatch().catch((err) =>
+      logger.error(`payout run after retry failed: ${err.message}`)
+    );
+  } catch (err) {
+    await answerActionError(ctx, "PAYOUT_RETRY", err);
+  }
+});
+
+bot.action(/^PAYOUT_REFUND:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`PAYOUT_REFUND tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  try {
+    const w = await loadStuckPayout(ctx);
+    if (!w) return;
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      `Refund ${formatAmount(w.amount)} to ${
+        w.userId
+      }? Only do this once the provider confirms it never paid ${w._id}.`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback("↩ Yes, refund", `PAYOUT_REFUND_OK:${w._id}`)],
+      ])
+    );
+  } catch (err) {
+    await answerActionError(ctx, "PAYOUT_REFUND", err);
+  }
+});
+
+bot.action(/^PAYOUT_REFUND_OK:([a-f0-9]{24})$/i, async (ctx) => {
+  logger.info(`PAYOUT_REFUND_OK tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  try {
+    const w = await loadStuckPayout(ctx);
+    if (!w) return;
+    const result = await failPayout(
+      w,
+      "the payout could not be submitted",
+      ctx.from
+    );
+    if (!result.ok)
+      return ctx.answerCbQuery(describeTransitionFailure(result), {
+        show_alert: true,
+      });
+    await recordAudit(
+      ctx.from.id,
+      "payout.refund",
+      withdrawalAuditDetails(result, { error: w.payoutError })
+    );
+    await ctx.answerCbQuery("↩ Refunded.");
+    try {
+      await ctx.editMessageText(
+        `↩ Refunded ${formatAmount(w.amount)} (${w._id}).`
+      );
+    } catch (err) {
+      logger.debug(`editMessageText (payout refund) failed: ${err.message}`);
+    }
+  } catch (err) {
+    await answerActionError(ctx, "PAYOUT_REFUND_OK", err);
+  }
+});
+
+bot.action(/^WD_APPROVE:([a-f0-9]{24})(?::(\d+))?$/i, async (ctx) => {
+  logger.info(`WD_APPROVE tapped by ${ctx.from.id}`);
+  if (!hasPermission(ctx.from.id, "withdrawals")) {
+    await ctx.answerCbQuery("Unauthorized", { show_alert: true });
+    return;
+  }
+  try {
+    const result = await approveWithdrawalAsAdmin(ctx.match[1], ctx.from);
+    if (!result.ok) {
+      await ctx.answerCbQuery(describeTransitionFailure(result), {
+        show_alert: true,
+      });
+    } else {
+      await ctx.answerCbQuery("👍 Approved for payout.");
+    }
+    if (ctx.match[2] !== undefined)
+      await listPendingWithdrawalsReply(ctx, Number(ctx.match[2]));
+  } catch (err) {
+    await answerActionError(ctx, "WD_APPROVE", err);
+  }
+});
+// ─────────────────────────────────────────────
+// USER MANAGEMENT
+// ─────────────────────────────────────────────
+// Every moderation action needs a reason and is written to `moderation`, so
+// the /user card can show who did what and why.
+const MODERATION_ACTIONS = {
+  ban: { label: "🚫 Ban", done: "User banned." },
+  unban: { label: "✅ Unban", done: "User unbanned." },
+  freeze: { label: "🧊 Freeze withdrawals", done: "Withdrawals frozen." },
+  unfreeze: { label: "🔥 Unfreeze withdrawals", done: "Withdrawals unfrozen." },
+  resetupi: {
+    label: "🏦 Reset payout methods",
+    done: "Saved payout methods cleared.",
+  },
+  reverse: { label: "↩️ Reverse referrals", done: "Referrals reversed." },
+};
+
+async function findUserByQuery(query) {
+  const q = (query || "").trim();
+  if (!q) return null;
+  if (/^\d+$/.test(q)) {
+    const byId = await usersCol.findOne({ telegramId: Number(q) });
+    if (byId) return byId;
+  }
+  const name = q.replace(/^@/, "");
+  const byName = await usersCol.findOne({
+    username: new RegExp(`^${escapeRegex(name)}$`, "i"),
+  });
+  if (byName || q.startsWith("@")) return byName;
+  return usersCol.findOne({ referralCode: q });
+}
+
+function describeUserFlags(user) {
+  const flags = [];
+  if (user.banned) flags.push(`🚫 banned (${user.banReason || "no reason"})`);
+  if (user.withdrawalsFrozen)
+    flags.push(`🧊 withdrawals frozen (${user.freezeReason || "no reason"})`);
+  if (user.inactive) flags.push("💤 blocked the bot");
+  if (user.leaderboardOptOut) flags.push("🙈 leaderboard opt-out");
+  if (!savedPayoutMethods(user).length) flags.push("🏦 no payout method");
+  if (user.payoutExemptions?.length)
+    flags.push(`🎟 payout rules waived (${user.payoutExemptions.join(", ")})`);
+  return flags.length ? flags.join(", ") : "none";
+}
+
+async function buildUserManagementCard(user) {
+  const [refStatuses, moderation, badges] = await Promise.all([
+    pendingCol
+      .aggregate([
+        { $match: { referrerId: user.telegramId } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+    moderationCol
+      .find({ targetId: user.telegramId })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .toArray(),
+    describeUserBadges(user.badges),
+  ]);
+  const refs = refStatuses.map((row) => `${row._id} ${row.count}`).join(" · ");
+  const lines = [
+    await buildUserSummary(user),
+    `Referral records: ${refs || "none"}`,
+    `Referral code: ${user.referralCode}`,
+    `Badges: ${badges}`,
+    `Flags: ${describeUserFlags(user)}`,
+  ];
+  if (moderation.length) {
+    lines.push("", "Recent moderation:");
+    for (const entry of moderation)
+      lines.push(
+        `• ${new Date(entry.createdAt).toLocaleString()} ${entry.action} by ${
+          entry.actor.id
+        }: ${entry.reason}`
+      );
+  }
+  return lines.join("\n");
+}
+
+function buildUserManagementRows(user) {
+  const button = (action) =>
+    Markup.button.callback(
+      MODERATION_ACTIONS[action].label,
+      `UM:${action}:${user.telegramId}`
+    );
+  return [
+    [
+      button(user.banned ? "unban" : "ban"),
+      button(user.withdrawalsFrozen ? "unfreeze" : "freeze"),
+    ],
+    [button("resetupi"), button("reverse")],
+    [Markup.button.callback("🎟 Payout rules", `PX_VIEW:${user.telegramId}`)],
+  ];
+}
+
+async function replyUserManagementCard(ctx, user) {
+  await ctx.reply(
+    await buildUserManagementCard(user),
+    Markup.inlineKeyboard(buildUserManagementRows(user))
+  );
+}
+
+function buildPayoutExemptionView(user) {
+  const rules = Object.entries(PAYOUT_RULES);
+  const mark = (rule) => (isPayoutRuleExempt(user, rule) ? "✅" : "▫️");
+  const text = [
+    `🎟 Payout rules for ${formatUserLabel(user)} (${user.telegramId})`,
+    ...rules.map(([rule, label]) => `${mark(rule)} ${label}`),
+    "",
+    "✅ = exempt for this user. Tap a rule to toggle it.",
+  ].join("\n");
+  const rows = rules.map(([rule, label]) => [
+    Markup.button.callback(
+      `${mark(rule)} ${label}`,
+      `PX:${rule}:${user.telegramId}`
+    ),
+  ]);
+  return { text, extra: Markup.inlineKeyboard(rows) };
+}
+
+async function setPayoutExemptions(targetId, rules, exempt, admin) {
+  const filter = { telegramId: targetId };
+  const before = await usersCol.findOne(filter);
+  if (!before) return null;
+  const res = await usersCol.findOneAndUpdate(
+    filter,
+    exempt
+      ? { $addToSet: { payoutExemptions: { $each: rules } } }
+      : { $pull: { payoutExemptions: { $in: rules } } },
+    { returnDocument: "after" }
+  );
+  await recordAudit(admin.id, "user.payout_exempt", {
+    targetType: "user",
+    targetId,
+    before: auditSnapshot(before, ["payoutExemptions"]),
+    after: auditSnapshot(res.value, ["payoutExemptions"]),
+    args: { rules, exempt },
+  });
+  logger.info(
+    `Payout rules ${rules.join(",")} ${
+      exempt ? "waived" : "restored"
+    } for ${targetId} by ${admin.id}`
+  );
+  return res.value;
+}
+// Takes back the rewards a confirmed referral paid: the direct reward and any
+// upline tier rewards (found through their ledger refId). Debits are capped
+// at the current balance so nobody goes negative; the shortfall is reported.
+async function reverseReferral(ref, options = {}) {
+  const { actor = systemActor(), reason = null } = options;
+  return runInTransaction(async (session) => {
+    const now = new Date();
+    const claim = await refsCol.updateOne(
+      { _id: ref._id, reversedAt: { $exists: false } },
+      { $set: { reversedAt: now, reversedBy: actor, reverseReason: reason } },
+      { session }
+    );
+    if (!claim.modifiedCount) return { ok: false, reason: "already" };
+    const credits = ref.pendingId
+      ? await ledgerCol
+          .find(
+            {
+              refType: "pending",
+              refId: ref.pendingId,
+              type: {
+                $in: [
+                  LEDGER_TYPES.REFERRAL_REWARD,
+                  LEDGER_TYPES.REFERRAL_TIER_REWARD,
+                ],
+              },
+            },
+            { session }
+          )
+          .toArray()
+      : [];
+    if (!credits.length)
+      credits.push({
+        userId: ref.referrerId,
+        amount: getSetting("referralReward"),
+        type: LEDGER_TYPES.REFERRAL_REWARD,
+      });
+    const debits = [];
+    for (const credit of credits) {
+      const user = await usersCol.findOne(
+        { telegramId: credit.userId },
+        { session }
+      );
+      if (!user) continue;
+      const amount = Math.min(credit.amount, Math.max(user.balance || 0, 0));
+      const direct = credit.type === LEDGER_TYPES.REFERRAL_REWARD;
+      await applyBalanceChange({
+        userId: credit.userId,
+        amount: -amount,
+        type: LEDGER_TYPES.REFERRAL_REVERSAL,
+        actor,
+        refType: ref.pendingId ? "pending" : "ref",
+        refId: ref.pendingId || ref._id,
+        note: `referral of ${ref.referredId} reversed${
+          reason ? `: ${reason}` : ""
+        }`,
+        inc: direct ? { confirmedReferrals: -1 } : {},
+        session,
+      });
+      debits.push({
+        userId: credit.userId,
+        amount,
+        shortfall: credit.amount - amount,
+      });
+    }
+    if (ref.pendingId)
+      await pendingCol.updateOne(
+        { _id: ref.pendingId },
+        { $set: { status: "reversed", reversedAt: now } },
+        { session }
+      );
+    return { ok: true, debits };
+  });
+}
+
+async function reverseReferralsBy(referrerId, options) {
+  const refs = await refsCol
+    .find({ referrerId, reversedAt: { $exists: false } })
+    .toArray();
+  const summary = { reversed: 0, debited: 0, shortfall: 0 };
+  for (const ref of refs) {
+    const result = await reverseReferral(ref, options);
+    if (!result.ok) continue;
+    summary.reversed += 1;
+    for (const debit of result.debits) {
+      summary.debited += debit.amount;
+      summary.shortfall += debit.shortfall;
+    }
+  }
+  return summary;
+}
+
+async function logModeration(targetId, action, admin, reason, details = null) {
+  await moderationCol.insertOne({
+    targetId,
+    action,
+    reason,
+    actor: adminActor(admin.id),
+    details,
+    createdAt: new Date(),
+  });
+  logger.info(`Moderation ${action} on ${targetId} by ${admin.id}: ${reason}`);
+}
+
+const AUDIT_USER_FIELDS = [
+  "banned",
+  "withdrawalsFrozen",
+  "payoutMethods",
+  "balance",
+  "confirmedReferrals",
+];
+
+async function applyModeration(action, targetId, admin, reason) {
+  const now = new Date();
+  const filter = { telegramId: targetId };
+  const before = await usersCol.findOne(filter);
+  let details = null;
+  let userText = null;
+  if (action === "ban") {
+    await usersCol.updateOne(filter, {
+      $set: {
+        banned: true,
+        bannedAt: now,
+        bannedBy: admin.id,
+        banReason: reason,
+      },
+    });
+    userText =
+      "🚫 Your account has been suspended. Contact an admin if you think this is a mistake.";
+  } else if (action === "unban") {
+    await usersCol.updateOne(filter, {
+      $unset: { banned: "", bannedAt: "", bannedBy: "", banReason: "" },
+    });
+    userText = "✅ Your account has been restored.";
+  } else if (action === "freeze") {
+    await usersCol.updateOne(filter, {
+      $set: {
+        withdrawalsFrozen: true,
+        frozenAt: now,
+        frozenBy: admin.id,
+        freezeReason: reason,
+      },
+    });
+    userText = "⏸ Withdrawals on your account are paused for review.";
+  } else if (action === "unfreeze") {
+    await usersCol.updateOne(filter, {
+      $unset: {
+        withdrawalsFrozen: "",
+        frozenAt: "",
+        frozenBy: "",
+        freezeReason: "",
+      },
+    });
+    userText = "▶️ Withdrawals on your account are available again.";
+  } else if (action === "resetupi") {
+    await usersCol.updateOne(filter, {
+      $set: { payoutMethods: [], defaultPayoutMethodId: null },
+      $unset: { awaitingPayoutMethod: "" },
+    });
+    userText =
+      "🏦 Your saved payout methods were cleared. Add a new one with /payout.";
+  } else if (action === "reverse") {
+    details = await reverseReferralsBy(targetId, {
+      actor: adminActor(admin.id),
+      reason,
+    });
+  }
+  await logModeration(targetId, action, admin, reason, details);
+  await recordAudit(admin.id, `user.${action}`, {
+    targetType: "user",
+    targetId,
+    before: auditSnapshot(before, AUDIT_USER_FIELDS),
+    after: auditSnapshot(await usersCol.findOne(filter), AUDIT_USER_FIELDS),
+    args: { reason, ...(details ? { result: details } : {}) },
+  });
+  if (userText) await notifyUserSafe(targetId, userText);
+  let text = `✅ ${MODERATION_ACTIONS[action].done}`;
+  if (details)
+    text += `\nReversed ${details.reversed} referral(s), debited ${formatAmount(
+      details.debited
+    )}${
+      details.shortfall > 0
+        ? ` (${formatAmount(details.shortfall)} not recoverable)`
+        : ""
+    }.`;
+  return text;
+}
+
+async function handleModerationReason(ctx, u, text) {
+  if (!u.awaitingModeration || !hasPermission(u.telegramId, "users.moderate"))
+    return false;
+  const [action, rawId] = u.awaitingModeration.split(":");
+  await usersCol.updateOne(
+    { telegramId: u.telegramId },
+    { $unset: { awaitingModeration: "" } }
+  );
+  if (text.toLowerCase() === "cancel") {
+    await ctx.reply("Action cancelled.");
+    return true;
+  }
+  const targetId = Number(rawId);
+  await ctx.reply(await applyModeration(action, targetId, ctx.from, text));
+  const user = await usersCol.findOne({ telegramId: targetId });
+  if (user) await replyUserManagementCard(ctx, user);
+  return true;
+}
+
+bot.command("user", async (ctx) => {
+  logCommand(ctx, "/user");
+  if (!hasPermission(ctx.from.id, "users.view"))
+    return ctx.reply("Unauthorized");
+  const query = ctx.message.text.split(" ").filter(Boolean)[1];
+  if (!query)
+    return ctx.reply("Usage: /user <telegramId|@username|referralCode>");
+  const user = await findUserByQuery(query);
+  if (!user) return ctx.reply("User not found.");
+  await replyUserManagementCard(ctx, user);
+});
+
+bot.command("payout_exempt", async (ctx) => {
+  logCommand(ctx, "/payout_exempt");
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.reply("Unauthorized");
+  const [, query, ruleArg, stateArg] = ctx.message.text.split(/\s+/);
+  const usage = `Usage: /payout_exempt <telegramId|@username|referralCode> [${Object.keys(
+    PAYOUT_RULES
+  ).join("|")}|all] [on|off]`;
+  if (!query) return ctx.reply(usage);
+  const user = await findUserByQuery(query);
+  if (!user) return ctx.reply("User not found.");
+  if (ruleArg) {
+    const rule = ruleArg.toLowerCase();
+    const state = (stateArg || "on").toLowerCase();
+    if (
+      (rule !== "all" && !PAYOUT_RULES[rule]) ||
+      !["on", "off"].includes(state)
+    )
+      return ctx.reply(usage);
+    const rules = rule === "all" ? Object.keys(PAYOUT_RULES) : [rule];
+    const updated = await setPayoutExemptions(
+      user.telegramId,
+      rules,
+      state === "on",
+      ctx.from
+    );
+    const view = buildPayoutExemptionView(updated);
+    return ctx.reply(view.text, view.extra);
+  }
+  const view = buildPayoutExemptionView(user);
+  await ctx.reply(view.text, view.extra);
+});
+
+bot.action(/^PX_VIEW:(\d+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  const user = await usersCol.findOne({ telegramId: Number(ctx.match[1]) });
+  if (!user) return ctx.answerCbQuery("User not found.");
+  await ctx.answerCbQuery();
+  const view = buildPayoutExemptionView(user);
+  await ctx.reply(view.text, view.extra);
+});
+
+bot.action(/^PX:(\w+):(\d+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "withdrawals"))
+    return ctx.answerCbQuery("Unauthorized");
+  const [, rule, rawId] = ctx.match;
+  if (!PAYOUT_RULES[rule]) return ctx.answerCbQuery("Unknown rule");
+  const user = await usersCol.findOne({ telegramId: Number(rawId) });
+  if (!user) return ctx.answerCbQuery("User not found.");
+  const exempt = !isPayoutRuleExempt(user, rule);
+  const updated = await setPayoutExemptions(
+    user.telegramId,
+    [rule],
+    exempt,
+    ctx.from
+  );
+  await ctx.answerCbQuery(exempt ? "Exempted" : "Rule applies again");
+  const view = buildPayoutExemptionView(updated);
+  try {
+    await ctx.editMessageText(view.text, view.extra);
+  } catch (err) {
+    logger.debug(`editMessageText (payout rules) failed: ${err.message}`);
+  }
+});
+bot.action(/^UM:(\w+):(\d+)$/, async (ctx) => {
+  if (!hasPermission(ctx.from.id, "users.moderate"))
+    return ctx.answerCbQuery("Unauthorized");
+  const [, action, rawId] = ctx.match;
+  if (!MODERATION_ACTIONS[action]) return ctx.answerCbQuery("Unknown action");
+  const targetId = Number(rawId);
+  if (isAdmin(targetId) && action !== "unban" && action !== "unfreeze")
+    return ctx.answerCbQuery("Admins can't be moderated.");
+  await usersCol.updateOne(
+    { telegramId: ctx.from.id },
+    { $set: { awaitingModeration: `${action}:${targetId}` } }
+  );
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `${MODERATION_ACTIONS[action].label} ${targetId}: send the reason, or 'cancel'.`
+  );
+});
+// ─────────────────────────────────────────────
+// REFERRAL FRAUD SCORING
+// ─────────────────────────────────────────────
+const SUSPICIOUS_NAME_PATTERNS = [
+  /^user\s?\d*$/i,
+  /^\d+$/,
+  /^.{1,2}$/,
+  /^(test|new|account|deleted account)\b/i,
+  /^[a-z]+\d{3,}$/i,
+];
+const BURST_WINDOW_MINUTES = 60;
+
+// Each signal gets the pending document plus the referred user record and
+// returns zero or more { points, reason } hits. Register extra signals with
+// registerFraudSignal; a signal that throws is logged and skipped.
+const FRAUD_SIGNALS = [
+  {
+    name: "telegram_metadata",
+    async evaluate({ referred }) {
+      const hits = [];
+      if (!referred.username) hits.push({ points: 15, reason: "no_username" });
+      const name = (referred.first_name || "").trim();
+      if (!name || SUSPICIOUS_NAME_PATTERNS.some((re) => re.test(name)))
+        hits.push({ points: 15, reason: "default_name_pattern" });
+      if (referred.is_premium) hits.push({ points: -20, reason: "premium_account" });
+      return hits;
+    },
+  },
+  {
+    name: "no_interaction",
+    async evaluate({ pending, referred }) {
+      const last = referred.lastInteractionAt
+        ? new Date(referred.lastInteractionAt)
+        : null;
+      if (!last || last <= new Date(pending.createdAt))
+        return [{ points: 30, reason: "no_interaction_after_start" }];
+      return [];
+    },
+  },
+  {
+    name: "channel_guard",
+    async evaluate({ pending }) {
+      const { missing } = await collectMissingChannels(bot, pending.referredId);
+      if (missing.length)
+        return [{ points: 40, reason: `left_required_channels:${missing.length}` }];
+      return [];
+    },
+  },
+  {
+    name: "referrer_burst",
+    async evaluate({ pending }) {
+      const created = new Date(pending.createdAt).getTime();
+      const windowMs = BURST_WINDOW_MINUTES * 60 * 1000;
+      const nearby = await pendingCol.countDocuments({
+        referrerId: pending.referrerId,
+        createdAt: {
+          $gte: new Date(created - windowMs),
+          $lte: new Date(created + windowMs),
+        },
+      });
+      if (nearby >= 10) return [{ points: 35, reason: `referrer_burst:${nearby}` }];
+      if (nearby >= 5) return [{ points: 20, reason: `referrer_burst:${nearby}` }];
+      return [];
+    },
+  },
+];
+
+function registerFraudSignal(signal) {
+  if (!signal?.name || typeof signal.evaluate !== "function")
+    throw new Error("Fraud signal needs a name and an evaluate function");
+  FRAUD_SIGNALS.push(signal);
+}
+
+async function scoreReferral(pending, referred) {
+  const reasons = [];
+  let score = 0;
+  for (const signal of FRAUD_SIGNALS) {
+    try {
+      const hits = (await signal.evaluate({ pending, referred })) || [];
+      for (const hit of hits) {
+        score += hit.points;
+        reasons.push({ signal: signal.name, points: hit.points, reason: hit.reason });
+      }
+    } catch (err) {
+      logger.warn(`Fraud signal ${signal.name} failed for ${pending._id}: ${err.message}`);
+    }
+  }
+  return { score, reasons };
+}
+
+function formatFraudReasons(reasons = []) {
+  if (!reasons.length) return "none";
+  return reasons
+    .map((r) => `${r.reason} (${r.points > 0 ? "+" : ""}${r.points})`)
+    .join(", ");
+}
+
+async function buildReferralReviewCard(p) {
+  const [referrer, referred] = await Promise.all([
+    usersCol.findOne({ telegramId: p.referrerId }),
+    usersCol.findOne({ telegramId: p.referredId }),
+  ]);
+  return [
+    `🕵️ Referral under review`,
+    `Referrer: ${referrer ? formatUserLabel(referrer) : "—"} (${p.referrerId})`,
+    `Referred: ${referred ? formatUserLabel(referred) : "—"} (${p.referredId})`,
+    `Joined: ${new Date(p.createdAt).toLocaleString()}`,
+    `Score: ${p.fraudScore} (threshold ${getSetting("fraudReviewThreshold")})`,
+    `Reasons: ${formatFraudReasons(p.fraudReasons)}`,
+    `ID: ${p._id}`,
+  ].join("\n");
+}
+
+async function listReferralReviewQueue(ctx, page = 0) {
+  const total = await pendingCol.countDocuments({ status: "review" });
+  const isCallback = ctx.updateType === "callback_query";
+  if (!total) {
+    if (isCallback) {
+      try {
+        await ctx.editMessageText("No referrals waiting for review.");
+        return;
+      } catch (err) {
+        logger.debug(`editMessageText (review) failed: ${err.message}`);
+      }
+    }
+    await ctx.reply("No referrals waiting for review.");
+    return;
+  }
+  const current = Math.min(Math.max(page, 0), total - 1);
+  const [p] = await pendingCol
+    .find({ status: "review" })
+    .sort({ createdAt: 1 })
+    .skip(current)
+    .limit(1)
+    .toArray();
+  const text =
+    `Review ${current + 1}/${total}\n\n` + (await buildReferralReviewCard(p));
+  const nav = [];
+  if (current > 0)
+    nav.push(Markup.button.callback("⬅ Prev", `REF_REVIEW:${current - 1}`));
+  if (current < total - 1)
+    nav.push(Markup.button.callback("Next ➡", `REF_REVIEW:${current + 1}`));
+  const rows = [
+    [
+      Markup.button.callback("✅ Approve", `REF_APPROVE:${p._id}:${current}`),
+      Markup.button.callback("🚫 Reject", `REF_REJECT:${p._id}:${current}`),
+    ],
+  ];
+  if (nav.length) rows.push(nav);
+  const extra = Markup.inlineKeyboard(rows);
+  if (isCallback) {
+    try {
+      await ctx.editMessageText(text, extra);
+      return;
+    } catch (err) {
+      logger.debug(`editMessageText (review) failed, replying: ${err.message}`);
     }
+  }
+  await ctx.reply(text, extra);
+}
+
+async function rejectReviewedReferral(pendingId, adminId) {
+  const result = await pendingCol.findOneAndUpdate(
+    { _id: new ObjectId(pendingId), status: "review" },
+    {
+      $set: {
+        status: "invalid",
+        reason: "fraud_review",
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+      },
+    },
+    { returnDocument: "after" }
   );
-  ctx.reply("❌ Cancelled and refunded.");
-  bot.telegram.sendMessage(
-    w.userId,
-    "❌ Your withdrawal was cancelled and refunded."
-  );
-});
+  if (result.value) logger.info(`Referral ${pendingId} rejected in review by ${adminId}`);
+  return result.value;
+}
 
-bot.command("admin_confirm", async (ctx) => {
-  logCommand(ctx, "/admin_confirm");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
-  const force = ctx.message.text.toLowerCase().includes("force");
-  const result = await confirmPendingReferrals({ force });
-  const confirmedCount = result?.confirmed?.length || 0;
-  const invalidCount = result?.invalidated?.length || 0;
-  await ctx.reply(
-    `Manual confirmation complete (${force ? "forced" : "standard"}). Confirmed: ${confirmedCount}, invalidated: ${invalidCount}.`
+async function approveReviewedReferral(pendingId, adminId) {
+  const p = await pendingCol.findOne({
+    _id: new ObjectId(pendingId),
+    status: "review",
+  });
+  if (!p) return { ok: false, reason: "not_found" };
+  await pendingCol.updateOne(
+    { _id: p._id },
+    { $set: { reviewedBy: adminId, reviewedAt: new Date() } }
   );
-});
+  return creditReferral(p, { fromStatus: "review", actor: adminActor(adminId) });
+}
 
-bot.command("admin_credit", async (ctx) => {
-  logCommand(ctx, "/admin_credit");
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Unauthorized");
-  const parts = ctx.message.text.split(" ").filter(Boolean);
-  if (parts.length < 3)
-    return ctx.reply("Usage: /admin_credit <telegramId> <amount> [note]");
+// ─────────────────────────────────────────────
+// MULTI-TIER REFERRALS
+// ─────────────────────────────────────────────
+// Level 1 is the direct referrer (paid `referralReward`); levels 2+ walk the
+// confirmed `refs` chain upward and are paid from `tierRewards`.
+const MAX_TIER_DEPTH = 5;
 
-  const targetId = Number(parts[1]);
-  const amount = Number(parts[2]);
-  const note = parts.slice(3).join(" ") || "manual adjustment";
+function getTierRewards() {
+  const rewards = [getSetting("referralReward")];
+  if (getSetting("multiTierEnabled"))
+    rewards.push(...getSetting("tierRewards"));
+  return rewards.slice(0, MAX_TIER_DEPTH);
+}
 
-  if (!Number.isFinite(targetId))
-    return ctx.reply("telegramId must be a number.");
-  if (!Number.isFinite(amount))
-    return ctx.reply("amount must be a number.");
-  if (amount === 0) return ctx.reply("Amount cannot be zero.");
+// Returns [{ level, userId }] for levels 2..n above the direct referrer,
+// stopping at the top of the chain, at the depth cap, or on a cycle.
+async function findUplineChain(p, depth, session) {
+  const chain = [];
+  const seen = new Set([p.referredId, p.referrerId]);
+  let current = p.referrerId;
+  for (let level = 2; level <= depth; level += 1) {
+    const ref = await refsCol.findOne(
+      { referredId: current, reversedAt: { $exists: false } },
+      { session }
+    );
+    if (!ref) break;
+    if (seen.has(ref.referrerId)) {
+      logger.warn(
+        `Referral cycle detected above ${current} (pending ${p._id})`
+      );
+      break;
+    }
+    seen.add(ref.referrerId);
+    chain.push({ level, userId: ref.referrerId });
+    current = ref.referrerId;
+  }
+  return chain;
+}
 
-  const user = await usersCol.findOne({ telegramId: targetId });
-  if (!user) return ctx.reply("User not found.");
+async function creditUplineTiers(p, rewards, actor, session) {
+  const credited = [];
+  const chain = await findUplineChain(p, rewards.length, session);
+  for (const { level, userId } of chain) {
+    const amount = rewards[level - 1];
+    if (!(amount > 0)) continue;
+    const user = await applyBalanceChange({
+      userId,
+      amount,
+      type: LEDGER_TYPES.REFERRAL_TIER_REWARD,
+      actor,
+      refType: "pending",
+      refId: p._id,
+      note: `level ${level} referral of ${p.referredId} confirmed`,
+      session,
+    });
+    if (user) credited.push({ level, userId, amount, balance: user.balance });
+  }
+  return credited;
+}
 
-  await usersCol.updateOne(
-    { telegramId: targetId },
-    { $inc: { balance: amount } }
-  );
+async function countDownlineByLevel(telegramId, depth) {
+  const counts = [];
+  const seen = new Set([telegramId]);
+  let frontier = [telegramId];
+  for (let level = 1; level <= depth && frontier.length; level += 1) {
+    const refs = await refsCol
+      .find(
+        { referrerId: { $in: frontier }, reversedAt: { $exists: false } },
+        { projection: { referredId: 1 } }
+      )
+      .toArray();
+    frontier = refs.map((r) => r.referredId).filter((id) => !seen.has(id));
+    frontier.forEach((id) => seen.add(id));
+    counts.push(frontier.length);
+  }
+  while (counts.length < depth) counts.push(0);
+  return counts;
+}
+// ─────────────────────────────────────────────
+// REFERRAL CONFIRMATION JOB
+// ─────────────────────────────────────────────
 
-  logger.info(
-    `Admin ${ctx.from.id} credited ₹${amount} to ${targetId} (note: ${note})`
+// Claims the pending document and credits the referrer in one transaction,
+// so overlapping confirmation runs can never pay the same referral twice.
+async function creditReferral(p, options = {}) {
+  const { fromStatus = "pending", actor = systemActor() } = options;
+  const tierRewards = getTierRewards();
+  const reward = tierRewards[0];
+  const result = await runInTransaction(async (session) => {
+    const claimed = await pendingCol.findOneAndUpdate(
+      { _id: p._id, status: fromStatus },
+      { $set: { status: "confirmed", confirmedAt: new Date() } },
+      { session }
+    );
+    if (!claimed.value) return { ok: false, reason: "already_processed" };
+    const referrer = await applyBalanceChange({
+      userId: p.referrerId,
+      amount: reward,
+      type: LEDGER_TYPES.REFERRAL_REWARD,
+      actor,
+      refType: "pending",
+      refId: p._id,
+      note: `referral of ${p.referredId} confirmed`,
+      inc: { confirmedReferrals: 1 },
+      session,
+    });
+    if (!referrer) {
+      await pendingCol.updateOne(
+        { _id: p._id },
+        {
+          $set: { status: "invalid", reason: "no_referrer_record" },
+          $unset: { confirmedAt: "" },
+        },
+        { session }
+      );
+      return { ok: false, reason: "no_referrer_record" };
+    }
+    await refsCol.insertOne(
+      {
+        pendingId: p._id,
+        referrerId: p.referrerId,
+        referredId: p.referredId,
+        referralCode: p.referralCode,
+        confirmedAt: new Date(),
+      },
+      { session }
+    );
+    const upline = await creditUplineTiers(p, tierRewards, actor, session);
+    return { ok: true, referrer, upline };
+  });
+  if (!result.ok) {
+    if (result.reason === "no_referrer_record")
+      logger.warn(`Referral invalid (missing referrer record): ${p._id}`);
+    return result;
+  }
+  logger.info(`Referral confirmed: referrer ${p.referrerId} credited ₹${reward}`);
+  await notifyUserSafe(
+    p.referrerId,
+    `✅ Referral confirmed! Earned ₹${reward}. Balance: ${formatAmount(
+      result.referrer.balance
+    )}`
   );
-
-  try {
-    await bot.telegram.sendMessage(
-      targetId,
-      `💸 Admin credited ₹${amount.toFixed(
-        2
-      )} to your account. Note: ${note}`
+  await checkAchievements(p.referrerId, "referral_confirmed");
+  for (const tier of result.upline) {
+    logger.info(
+      `Tier ${tier.level} reward ₹${tier.amount} to ${tier.userId} for pending ${p._id}`
     );
-  } catch (notifyErr) {
-    logger.debug(
-      `Could not notify user ${targetId} about credit: ${notifyErr.message}`
+    await notifyUserSafe(
+      tier.userId,
+      `🌱 Level ${tier.level} referral confirmed in your team! Earned ${formatAmount(
+        tier.amount
+      )}. Balance: ${formatAmount(tier.balance)}`
     );
   }
+  return result;
+}
 
-  await ctx.reply(
-    `Credited ₹${amount.toFixed(2)} to ${
-      user.username ? "@" + user.username : targetId
-    }. Note stored: ${note}`
-  );
-});
+let lastConfirmRun = null;
 
-// ─────────────────────────────────────────────
-// REFERRAL CONFIRMATION JOB
-// ─────────────────────────────────────────────
 async function confirmPendingReferrals(options = {}) {
   const { force = false } = options;
-  const summary = { confirmed: [], invalidated: [] };
-  const cutoff = new Date(Date.now() - CONFIRM_DELAY_HOURS * 3600 * 1000);
+  const summary = { confirmed: [], invalidated: [], review: [] };
+  const cutoff = new Date(
+    Date.now() - getSetting("confirmDelayHours") * 3600 * 1000
+  );
   const query = force
     ? { status: "pending" }
     : { status: "pending", createdAt: { $lte: cutoff } };
@@ -1299,73 +9057,677 @@ async function confirmPendingReferrals(options = {}) {
         summary.invalidated.push(p._id);
         continue;
       }
-      const updateResult = await usersCol.findOneAndUpdate(
-        { telegramId: p.referrerId },
-        { $inc: { balance: REFERRAL_REWARD, confirmedReferrals: 1 } },
-        { returnDocument: "after" }
+      const { score, reasons } = await scoreReferral(p, referred);
+      const held = score >= getSetting("fraudReviewThreshold");
+      await pendingCol.updateOne(
+        { _id: p._id, status: "pending" },
+        {
+          $set: {
+            fraudScore: score,
+            fraudReasons: reasons,
+            scoredAt: new Date(),
+            ...(held ? { status: "review" } : {}),
+          },
+        }
       );
-      if (!updateResult.value) {
-        logger.warn(`Referral invalid (missing referrer record): ${p._id}`);
-        await pendingCol.updateOne(
-          { _id: p._id },
-          { $set: { status: "invalid", reason: "no_referrer_record" } }
+      if (held) {
+        logger.warn(
+          `Referral ${p._id} held for review (score ${score}: ${formatFraudReasons(reasons)})`
         );
-        summary.invalidated.push(p._id);
+        summary.review.push(p._id);
         continue;
       }
-      await pendingCol.updateOne(
-        { _id: p._id },
-        { $set: { status: "confirmed", confirmedAt: new Date() } }
+      const result = await creditReferral(p);
+      if (result.ok) summary.confirmed.push(p._id);
+      else if (result.reason === "no_referrer_record")
+        summary.invalidated.push(p._id);
+    } catch (e) {
+      logger.error("confirm job err: " + e.message);
+    }
+  }
+  if (summary.review.length) {
+    for (const adminId of adminIdsWith("referrals")) {
+      await notifyUserSafe(
+        adminId,
+        `🕵️ ${summary.review.length} referral(s) held for fraud review. Use /admin_review.`
       );
-      await refsCol.insertOne({
-        referrerId: p.referrerId,
-        referredId: p.referredId,
-        referralCode: p.referralCode,
-        confirmedAt: new Date(),
-      });
-      logger.info(`Referral confirmed: referrer ${p.referrerId} credited ₹${REFERRAL_REWARD}`);
-      const newBalance = updateResult.value?.balance ?? "unknown";
-      try {
-        await bot.telegram.sendMessage(
-          p.referrerId,
-          `✅ Referral confirmed! Earned ₹${REFERRAL_REWARD}. Balance: ₹${newBalance}`
-        );
-      } catch (notifyErr) {
+    }
+  }
+  lastConfirmRun = {
+    at: new Date(),
+    force,
+    confirmed: summary.confirmed.length,
+    invalidated: summary.invalidated.length,
+    review: summary.review.length,
+  };
+  return summary;
+}
+
+// ─────────────────────────────────────────────
+// REFERRAL RETENTION (post-confirmation clawback)
+// ─────────────────────────────────────────────
+// For `clawbackWindowDays` after confirmation each ref is re-checked every
+// CLAWBACK_RECHECK_HOURS: the referred user must still pass the channel guard
+// and must not have blocked the bot (the `inactive` flag, so nothing is sent
+// to them). Only a definite failure reverses the referral; API errors wait
+// for the next recheck like any other result.
+const CLAWBACK_BATCH_SIZE = 100;
+
+async function checkReferralRetention(ref) {
+  const referred = await usersCol.findOne(
+    { telegramId: ref.referredId },
+    { projection: { inactive: 1 } }
+  );
+  if (referred?.inactive) return { ok: false, reason: "blocked" };
+  const { missing } = await collectMissingChannels(bot, ref.referredId);
+  if (missing.some((entry) => entry.error))
+    return { ok: null, error: "membership check failed" };
+  // Channels added after the referral confirmed were never a condition of it.
+  const left = missing.filter(
+    ({ channel }) =>
+      !channel.createdAt || new Date(channel.createdAt) <= ref.confirmedAt
+  );
+  if (left.length)
+    return {
+      ok: false,
+      reason: "left_channels",
+      channels: left.map(({ channel }) => channel.title || channel.chatId),
+    };
+  return { ok: true };
+}
+
+function describeRetentionFailure(check) {
+  return check.reason === "blocked"
+    ? "blocked the bot"
+    : `left ${check.channels.join(", ")}`;
+}
+
+async function notifyReferralClawback(ref, check, debits) {
+  const referred = await usersCol.findOne({ telegramId: ref.referredId });
+  const why = `${formatUserLabel(referred)} ${describeRetentionFailure(check)}`;
+  for (const debit of debits) {
+    const direct = debit.userId === ref.referrerId;
+    let text = direct
+      ? `↩️ Your referral was reversed: ${why} within ${getSetting(
+          "clawbackWindowDays"
+        )} day(s) of confirmation.`
+      : `↩️ A referral in your team was reversed: ${why}.`;
+    text += `\n${formatAmount(debit.amount)} was deducted from your balance.`;
+    if (debit.shortfall > 0)
+      text += ` (${formatAmount(
+        debit.shortfall
+      )} of the reward was already spent and was not recovered.)`;
+    await notifyUserSafe(debit.userId, text);
+  }
+}
+
+let lastClawbackRun = null;
+
+async function runReferralClawback() {
+  const summary = { checked: 0, reversed: 0, skipped: 0 };
+  const windowDays = getSetting("clawbackWindowDays");
+  if (!windowDays) return summary;
+  const now = Date.now();
+  const refs = await refsCol
+    .find({
+      confirmedAt: { $gte: new Date(now - windowDays * 86400000) },
+      reversedAt: { $exists: false },
+      $or: [
+        { retentionCheckedAt: { $exists: false } },
+        {
+          retentionCheckedAt: {
+            $lt: new Date(now - CLAWBACK_RECHECK_HOURS * 3600000),
+          },
+        },
+      ],
+    })
+    .sort({ retentionCheckedAt: 1, confirmedAt: 1 })
+    .limit(CLAWBACK_BATCH_SIZE)
+    .toArray();
+  for (const ref of refs) {
+    try {
+      const check = await checkReferralRetention(ref);
+      // Inconclusive checks are stamped too, so a ref whose check keeps
+      // failing doesn't hold the head of the queue every run.
+      await refsCol.updateOne(
+        { _id: ref._id },
+        check.ok === null
+          ? {
+              $set: {
+                retentionCheckedAt: new Date(),
+                retentionError: check.error,
+              },
+              $inc: { retentionErrors: 1 },
+            }
+          : {
+              $set: { retentionCheckedAt: new Date() },
+              $unset: { retentionError: "" },
+              $inc: { retentionChecks: 1 },
+            }
+      );
+      if (check.ok === null) {
         logger.debug(
-          `Could not send referral confirmation to ${p.referrerId}: ${notifyErr.message}`
+          `Retention check for ref ${ref._id} inconclusive: ${check.error}`
         );
+        summary.skipped += 1;
+        continue;
       }
-      summary.confirmed.push(p._id);
-    } catch (e) {
-      logger.error("confirm job err: " + e.message);
+      summary.checked += 1;
+      if (check.ok) continue;
+      const reason = describeRetentionFailure(check);
+      const result = await reverseReferral(ref, {
+        actor: systemActor(),
+        reason: `retention check: referred user ${reason}`,
+      });
+      if (!result.ok) continue;
+      summary.reversed += 1;
+      logger.warn(
+        `Referral ${ref._id} (${ref.referrerId} → ${ref.referredId}) clawed back: ${reason}`
+      );
+      await notifyReferralClawback(ref, check, result.debits);
+    } catch (err) {
+      logger.error(`clawback job err (ref ${ref._id}): ${err.message}`);
     }
   }
+  if (refs.length)
+    logger.info(
+      `Clawback job checked ${summary.checked}, reversed ${summary.reversed}, skipped ${summary.skipped}`
+    );
+  lastClawbackRun = { at: new Date(), ...summary };
   return summary;
 }
-setInterval(() => {
-  confirmPendingReferrals().catch((err) =>
-    logger.error(`confirm job interval error: ${err.message}`)
+const backgroundJobs = [];
+
+function startBackgroundJobs() {
+  backgroundJobs.push(
+    setInterval(() => {
+      confirmPendingReferrals().catch((err) =>
+        logger.error(`confirm job interval error: ${err.message}`)
+      );
+    }, 1000 * 60 * 5),
+    setInterval(() => {
+      settleEndedContests().catch((err) =>
+        logger.error(`contest job interval error: ${err.message}`)
+      );
+    }, 1000 * 60 * 5),
+    setInterval(() => {
+      runReferralClawback().catch((err) =>
+        logger.error(`clawback job interval error: ${err.message}`)
+      );
+    }, 1000 * 60 * 15),
+    setInterval(() => {
+      runPayoutBatch().catch((err) =>
+        logger.error(`payout job interval error: ${err.message}`)
+      );
+    }, 1000 * 60),
+    setInterval(() => {
+      pollPayoutStatuses().catch((err) =>
+        logger.error(`payout poll interval error: ${err.message}`)
+      );
+    }, 1000 * 60 * 5),
+    setInterval(() => {
+      runBroadcastQueue();
+    }, 1000 * 60)
+  );
+}
+
+// ─────────────────────────────────────────────
+// ADMIN REST API (read-only)
+// ─────────────────────────────────────────────
+// JSON endpoints under /api for back-office dashboards. Every request needs
+// `Authorization: Bearer <ADMIN_API_TOKEN>`; the API is off when it's unset.
+const API_DEFAULT_LIMIT = 50;
+const API_MAX_LIMIT = 200;
+const API_USER_PROJECTION = {
+  awaitingSettingKey: 0,
+  awaitingRejectReason: 0,
+  awaitingPayoutMethod: 0,
+  awaitingWithdrawAmount: 0,
+  awaitingWithdrawMethod: 0,
+  draftPayoutMethodId: 0,
+  awaitingTaskProof: 0,
+  awaitingSupportMessage: 0,
+  awaitingTicketReply: 0,
+  awaitingBroadcastContent: 0,
+  awaitingBroadcastSegment: 0,
+  awaitingSettlementFile: 0,
+  awaitingModeration: 0,
+  auditFilter: 0,
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message || code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function isApiAuthorized(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+function parsePaging(params) {
+  const limit = Math.min(
+    Math.max(Number(params.get("limit")) || API_DEFAULT_LIMIT, 1),
+    API_MAX_LIMIT
+  );
+  const skip = Math.max(Number(params.get("skip")) || 0, 0);
+  return { limit, skip };
+}
+
+function parseApiDate(params, name) {
+  const raw = params.get(name);
+  if (!raw) return null;
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime()))
+    throw new ApiError(400, "invalid_date", `${name} is not a valid date`);
+  return date;
+}
+
+function parseApiNumber(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value))
+    throw new ApiError(400, "invalid_number", `${name} must be a number`);
+  return value;
+}
+
+function applyDateRange(filter, field, params) {
+  const from = parseApiDate(params, "from");
+  const to = parseApiDate(params, "to");
+  if (from || to) {
+    filter[field] = {};
+    if (from) filter[field].$gte = from;
+    if (to) filter[field].$lt = to;
+  }
+  return filter;
+}
+
+async function pagedFind(col, filter, params, sort, projection) {
+  const { limit, skip } = parsePaging(params);
+  const [data, total] = await Promise.all([
+    col
+      .find(filter, { projection })
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    col.countDocuments(filter),
+  ]);
+  return { data, total, limit, skip };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function apiListUsers(params) {
+  const q = (params.get("q") || "").trim();
+  const filter = {};
+  if (q) {
+    const name = q.replace(/^@/, "");
+    filter.$or = [
+      { username: new RegExp(`^${escapeRegex(name)}$`, "i") },
+      { referralCode: q },
+    ];
+    if (/^\d+$/.test(q)) filter.$or.push({ telegramId: Number(q) });
+  }
+  return pagedFind(
+    usersCol,
+    filter,
+    params,
+    { createdAt: -1 },
+    API_USER_PROJECTION
+  );
+}
+
+async function apiGetUser(telegramId) {
+  const user = await usersCol.findOne(
+    { telegramId },
+    { projection: API_USER_PROJECTION }
+  );
+  if (!user) throw new ApiError(404, "not_found", "User not found");
+  return { data: user };
+}
+
+// Breadth-first walk of `refs` below a user, one level per query.
+async function apiReferralTree(telegramId, params) {
+  const depth = Math.min(
+    Math.max(parseApiNumber(params, "depth") || 1, 1),
+    MAX_TIER_DEPTH
+  );
+  const root = await usersCol.findOne(
+    { telegramId },
+    { projection: { telegramId: 1, username: 1, first_name: 1 } }
+  );
+  if (!root) throw new ApiError(404, "not_found", "User not found");
+  const tree = { ...root, children: [] };
+  let frontier = new Map([[telegramId, tree]]);
+  const levels = [];
+  for (let level = 1; level <= depth && frontier.size; level += 1) {
+    const refs = await refsCol
+      .find({ referrerId: { $in: [...frontier.keys()] } })
+      .sort({ confirmedAt: 1 })
+      .limit(API_MAX_LIMIT * 10)
+      .toArray();
+    const users = await usersCol
+      .find(
+        { telegramId: { $in: refs.map((ref) => ref.referredId) } },
+        { projection: { telegramId: 1, username: 1, first_name: 1 } }
+      )
+      .toArray();
+    const byId = new Map(users.map((user) => [user.telegramId, user]));
+    const next = new Map();
+    for (const ref of refs) {
+      const node = {
+        telegramId: ref.referredId,
+        username: byId.get(ref.referredId)?.username || null,
+        first_name: byId.get(ref.referredId)?.first_name || null,
+        confirmedAt: ref.confirmedAt || null,
+        children: [],
+      };
+      frontier.get(ref.referrerId).children.push(node);
+      if (!next.has(ref.referredId)) next.set(ref.referredId, node);
+    }
+    levels.push(refs.length);
+    frontier = next;
+  }
+  return { data: tree, countsByLevel: levels };
+}
+
+async function apiListPending(params) {
+  const filter = applyDateRange({}, "createdAt", params);
+  const status = params.get("status");
+  if (status) filter.status = status;
+  const referrerId = parseApiNumber(params, "referrerId");
+  if (referrerId !== null) filter.referrerId = referrerId;
+  const referredId = parseApiNumber(params, "referredId");
+  if (referredId !== null) filter.referredId = referredId;
+  const minScore = parseApiNumber(params, "minFraudScore");
+  if (minScore !== null) filter.fraudScore = { $gte: minScore };
+  return pagedFind(pendingCol, filter, params, { createdAt: -1 });
+}
+
+async function apiListWithdrawals(params) {
+  const filter = applyDateRange({}, "requestedAt", params);
+  const status = params.get("status");
+  if (status) filter.status = { $in: status.split(",") };
+  const userId = parseApiNumber(params, "userId");
+  if (userId !== null) filter.userId = userId;
+  return pagedFind(
+    withdrawalsCol,
+    filter,
+    params,
+    { requestedAt: -1 },
+    {
+      adminMessages: 0,
+    }
   );
-}, 1000 * 60 * 5);
+}
+
+async function countPerDay(col, match, dateField, extraGroup = {}) {
+  return col
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: "%Y-%m-%d", date: `$${dateField}` },
+          },
+          count: { $sum: 1 },
+          ...extraGroup,
+        },
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          day: "$_id",
+          count: 1,
+          ...Object.fromEntries(Object.keys(extraGroup).map((key) => [key, 1])),
+        },
+      },
+    ])
+    .toArray();
+}
+
+async function apiStats(params) {
+  const to = parseApiDate(params, "to") || new Date();
+  const from =
+    parseApiDate(params, "from") || new Date(to.getTime() - 30 * 86400000);
+  const range = { $gte: from, $lt: to };
+  const [signups, confirmations, payouts] = await Promise.all([
+    countPerDay(usersCol, { createdAt: range }, "createdAt"),
+    countPerDay(refsCol, { confirmedAt: range }, "confirmedAt"),
+    countPerDay(
+      withdrawalsCol,
+      { status: WITHDRAWAL_STATUS.PAID, paidAt: range },
+      "paidAt",
+      { amount: { $sum: "$amount" } }
+    ),
+  ]);
+  return { from, to, data: { signups, confirmations, payouts } };
+}
+
+const API_ROUTES = [
+  { pattern: /^\/api\/users$/, handler: (m, params) => apiListUsers(params) },
+  {
+    pattern: /^\/api\/users\/(\d+)$/,
+    handler: (m) => apiGetUser(Number(m[1])),
+  },
+  {
+    pattern: /^\/api\/users\/(\d+)\/referrals$/,
+    handler: (m, params) => apiReferralTree(Number(m[1]), params),
+  },
+  {
+    pattern: /^\/api\/pending$/,
+    handler: (m, params) => apiListPending(params),
+  },
+  {
+    pattern: /^\/api\/withdrawals$/,
+    handler: (m, params) => apiListWithdrawals(params),
+  },
+  { pattern: /^\/api\/stats$/, handler: (m, params) => apiStats(params) },
+];
+
+async function handleAdminApi(req, res, url) {
+  if (!ADMIN_API_TOKEN) return sendJson(res, 404, { error: "not_found" });
+  if (!isApiAuthorized(req)) {
+    logger.warn(`Rejected admin API request to ${url.pathname}`);
+    return sendJson(res, 401, { error: "unauthorized" });
+  }
+  if (req.method !== "GET")
+    return sendJson(res, 405, { error: "method_not_allowed" });
+  for (const route of API_ROUTES) {
+    const match = url.pathname.match(route.pattern);
+    if (!match) continue;
+    try {
+      return sendJson(res, 200, await route.handler(match, url.searchParams));
+    } catch (err) {
+      if (err instanceof ApiError)
+        return sendJson(res, err.status, {
+          error: err.code,
+          message: err.message,
+        });
+      throw err;
+    }
+  }
+  return sendJson(res, 404, { error: "not_found" });
+}
+// ─────────────────────────────────────────────
+// HTTP SERVER (webhook + health + admin API)
+// ─────────────────────────────────────────────
+// Started in webhook mode, or in polling mode when PORT is set so /healthz
+// and the admin API are still available.
+let httpServer = null;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function buildHealthReport() {
+  let mongo = "up";
+  try {
+    await db.command({ ping: 1 });
+  } catch (err) {
+    mongo = "down";
+    logger.warn(`Health check Mongo ping failed: ${err.message}`);
+  }
+  return {
+    ok: mongo === "up",
+    mode: BOT_MODE,
+    mongo,
+    uptimeSeconds: Math.round(process.uptime()),
+    payoutProvider: payoutProvider.name,
+    lastConfirmRun,
+    lastClawbackRun,
+  };
+}
+
+function startHttpServer() {
+  const handleWebhook =
+    BOT_MODE === "webhook"
+      ? bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET })
+      : null;
+  httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    const pathname = url.pathname;
+    try {
+      if (pathname.startsWith("/api/")) return await handleAdminApi(req, res, url);
+      if (req.method === "POST" && pathname === PAYOUT_CALLBACK_PATH)
+        return await handlePayoutCallback(req, res);
+      if (req.method === "GET" && pathname === "/healthz") {
+        const report = await buildHealthReport();
+        return sendJson(res, report.ok ? 200 : 503, report);
+      }
+      if (handleWebhook && pathname === WEBHOOK_PATH) {
+        return await handleWebhook(req, res, () => {
+          logger.warn(
+            `Rejected webhook request (${req.method}) with bad secret`
+          );
+          sendJson(res, 403, { error: "forbidden" });
+        });
+      }
+      sendJson(res, 404, { error: "not_found" });
+    } catch (err) {
+      logger.error(`HTTP ${req.method} ${pathname} failed: ${err.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal_error" });
+    }
+  });
+  return new Promise((resolve) => {
+    httpServer.listen(PORT, () => {
+      logger.info(`🌐 HTTP server listening on :${PORT}`);
+      resolve(httpServer);
+    });
+  });
+}
+
+async function startWebhookMode() {
+  if (!WEBHOOK_SECRET)
+    throw new Error("WEBHOOK_SECRET is required when BOT_MODE=webhook");
+  await startHttpServer();
+  if (!WEBHOOK_DOMAIN) {
+    logger.warn(
+      "WEBHOOK_DOMAIN not set; webhook not registered with Telegram (local testing only)"
+    );
+    return;
+  }
+  const url = WEBHOOK_DOMAIN.replace(/\/+$/, "") + WEBHOOK_PATH;
+  await bot.telegram.setWebhook(url, {
+    secret_token: WEBHOOK_SECRET,
+    drop_pending_updates: false,
+  });
+  logger.info(`🚀 Bot launched (webhook) at ${url}`);
+}
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down`);
+  backgroundJobs.forEach((timer) => clearInterval(timer));
+  setTimeout(() => {
+    logger.warn("Shutdown timed out, exiting");
+    process.exit(1);
+  }, 10000).unref();
+  try {
+    if (BOT_MODE === "polling") bot.stop(signal);
+    if (httpServer)
+      await new Promise((resolve) => httpServer.close(() => resolve()));
+    await stopBroadcastWorker();
+    await closeDB();
+  } catch (err) {
+    logger.error(`Shutdown error: ${err.message}`);
+  }
+  process.exit(0);
+}
 
 // ─────────────────────────────────────────────
 // START BOT
 // ─────────────────────────────────────────────
-(async () => {
+async function main() {
   try {
+    initPayoutProvider();
     await connectDB();
+    await loadRuntimeSettings();
+    await loadAdminRoles();
+    await seedDefaultBadges();
+    await migrateLegacyWithdrawalDrafts();
+    await migrateLegacyPayoutMethods();
     const bootSummary = await confirmPendingReferrals();
-    if (bootSummary.confirmed.length || bootSummary.invalidated.length) {
+    if (
+      bootSummary.confirmed.length ||
+      bootSummary.invalidated.length ||
+      bootSummary.review.length
+    ) {
       logger.info(
-        `Startup referral audit – confirmed ${bootSummary.confirmed.length}, invalidated ${bootSummary.invalidated.length}`
+        `Startup referral audit – confirmed ${bootSummary.confirmed.length}, invalidated ${bootSummary.invalidated.length}, review ${bootSummary.review.length}`
       );
     }
-    await bot.launch();
-    logger.info("🚀 Bot launched (polling) — secure version");
-    process.once("SIGINT", () => bot.stop("SIGINT"));
-    process.once("SIGTERM", () => bot.stop("SIGTERM"));
+    await settleEndedContests();
+    startBackgroundJobs();
+    runBroadcastQueue();
+    runPayoutBatch().catch((err) =>
+      logger.error(`startup payout run failed: ${err.message}`)
+    );
+    process.once("SIGINT", () => shutdown("SIGINT"));
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+    if (BOT_MODE === "webhook") {
+      await startWebhookMode();
+      return;
+    }
+    if (PORT) await startHttpServer();
+    // launch() only settles once polling stops, so log from the onLaunch hook.
+    await bot.launch(() =>
+      logger.info("🚀 Bot launched (polling) — secure version")
+    );
   } catch (e) {
     logger.error("Startup failed: " + e.message);
     process.exit(1);
   }
-})();
+}
+
+// CLI tools (import-settlements.js) require this file for its helpers
+// without launching the bot.
+if (require.main === module) main();
+
+module.exports = {
+  bot,
+  connectDB,
+  closeDB,
+  loadRuntimeSettings,
+  importSettlementCsv,
+  describeSettlementReport,
+  buildSettlementReportCsv,
+};
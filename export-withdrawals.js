@@ -1,16 +1,435 @@
-// export-withdrawals.js - simple CSV export for bookkeeping
+// export-withdrawals.js - withdrawal export for bookkeeping and bulk payouts
+//
+// CLI:  node export-withdrawals.js [csv|json|xlsx|bank] [--status paid,pending]
+//         [--method upi,bank] [--from 2025-01-01] [--to 2025-02-01]
+//         [--out file|-]
+// Also required by bot.js for the /admin_export command.
 require('dotenv').config();
 const { MongoClient } = require('mongodb');
 const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+const FORMATS = {
+  csv: { ext: 'csv', mime: 'text/csv' },
+  json: { ext: 'json', mime: 'application/json' },
+  xlsx: {
+    ext: 'xlsx',
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  bank: { ext: 'csv', mime: 'text/csv' },
+};
+
+// Withdrawals that are still waiting for money to move.
+const BANK_DEFAULT_STATUSES = ['pending', 'approved', 'processing'];
+
+const COLUMNS = [
+  { header: 'id', get: (w) => String(w._id) },
+  { header: 'userId', get: (w) => w.userId },
+  { header: 'username', get: (w) => w.user?.username || '' },
+  { header: 'firstName', get: (w) => w.user?.first_name || '' },
+  { header: 'referralCode', get: (w) => w.user?.referralCode || '' },
+  {
+    header: 'confirmedReferrals',
+    get: (w) => w.user?.confirmedReferrals ?? '',
+  },
+  { header: 'amount', get: (w) => w.amount },
+  { header: 'fee', get: (w) => w.fee || 0 },
+  { header: 'netAmount', get: (w) => netAmount(w) },
+  { header: 'method', get: (w) => payoutMethod(w) },
+  { header: 'destination', get: (w) => w.payoutDestination || w.upi || '' },
+  { header: 'upi', get: (w) => w.upi || '' },
+  { header: 'status', get: (w) => w.status },
+  { header: 'requestedAt', get: (w) => formatDate(w.requestedAt) },
+  { header: 'approvedAt', get: (w) => formatDate(w.approvedAt) },
+  { header: 'paidAt', get: (w) => formatDate(w.paidAt) },
+  { header: 'paidBy', get: (w) => w.paidBy ?? '' },
+  { header: 'rejectionReason', get: (w) => w.rejectionReason || '' },
+];
+
+const BANK_COLUMNS = [
+  { header: 'upi_handle', get: (w) => w.upiHandle || '' },
+  { header: 'beneficiary_vpa', get: (w) => w.upi || '' },
+  { header: 'amount', get: (w) => netAmount(w).toFixed(2) },
+  { header: 'reference', get: (w) => String(w._id) },
+  {
+    header: 'beneficiary_name',
+    get: (w) => w.user?.first_name || w.user?.username || String(w.userId),
+  },
+];
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+// Withdrawals from before payout methods existed were always UPI.
+function payoutMethod(w) {
+  return w.method || (w.upi ? 'upi' : '');
+}
+
+// What actually leaves the account once the fee is kept back.
+function netAmount(w) {
+  return Number(w.netAmount ?? w.amount ?? 0);
+}
+
+// Accepts `--key value`, `--key=value`, `key=value` and a bare format name,
+// so the CLI and the bot command share one syntax.
+function parseExportOptions(args) {
+  const options = {
+    format: 'csv',
+    status: null,
+    from: null,
+    to: null,
+    out: null,
+    method: null,
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    if (FORMATS[token.toLowerCase()] || token.toLowerCase() === 'xls') {
+      options.format = token.toLowerCase();
+      continue;
+    }
+    const match = token.match(
+      /^(?:--)?(format|status|from|to|out|method)(?:=(.*))?$/i
+    );
+    if (!match) throw new Error(`Unknown argument: ${token}`);
+    const key = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2] : args[++i];
+    if (value === undefined) throw new Error(`Missing value for ${key}`);
+    options[key] = value;
+  }
+  // `xls` was the SpreadsheetML format that xlsx replaced.
+  if (options.format === 'xls') options.format = 'xlsx';
+  if (!FORMATS[options.format])
+    throw new Error(`Unknown format: ${options.format}`);
+  if (options.status)
+    options.status = options.status.split(',').filter(Boolean);
+  if (options.method)
+    options.method = options.method.toLowerCase().split(',').filter(Boolean);
+  for (const key of ['from', 'to']) {
+    if (!options[key]) continue;
+    const date = new Date(options[key]);
+    if (Number.isNaN(date.getTime()))
+      throw new Error(`Invalid ${key} date: ${options[key]}`);
+    options[key] = date;
+  }
+  return options;
+}
+
+function buildFilter(options) {
+  const filter = {};
+  const statuses =
+    options.status ||
+    (options.format === 'bank' ? BANK_DEFAULT_STATUSES : null);
+  if (statuses) filter.status = { $in: statuses };
+  // The bulk payout file is UPI-only; other methods are paid separately.
+  if (options.format === 'bank') filter.method = { $in: ['upi', null] };
+  else if (options.method)
+    filter.method = {
+      $in: options.method.includes('upi')
+        ? [...options.method, null]
+        : options.method,
+    };
+  if (options.from || options.to) {
+    filter.requestedAt = {};
+    if (options.from) filter.requestedAt.$gte = options.from;
+    if (options.to) filter.requestedAt.$lt = options.to;
+  }
+  return filter;
+}
+
+// Streams withdrawals with the owner's profile joined in. The bank format is
+// ordered by UPI handle so each bank's rows sit together.
+function withdrawalCursor(db, options) {
+  const pipeline = [{ $match: buildFilter(options) }];
+  if (options.format === 'bank') {
+    pipeline.push(
+      {
+        $addFields: {
+          upiHandle: {
+            $toLower: {
+              $arrayElemAt: [{ $split: [{ $ifNull: ['$upi', ''] }, '@'] }, 1],
+            },
+          },
+        },
+      },
+      { $sort: { upiHandle: 1, requestedAt: 1 } }
+    );
+  } else {
+    pipeline.push({ $sort: { requestedAt: 1, _id: 1 } });
+  }
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: 'telegramId',
+        as: 'user',
+      },
+    },
+    { $set: { user: { $arrayElemAt: ['$user', 0] } } },
+    { $project: { adminMessages: 0, history: 0 } }
+  );
+  return db
+    .collection('withdrawals')
+    .aggregate(pipeline, { allowDiskUse: true });
+}
+
+// Quotes every field that needs it and defuses spreadsheet formulas.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return (
+    String(value === null || value === undefined ? '' : value)
+      // Control characters are not allowed in XML 1.0 at all.
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  );
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Strings are written inline, so the workbook needs no shared string table
+// and is never read as a formula.
+function xlsxRow(rowNumber, values) {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+    if (typeof value === 'number' && Number.isFinite(value))
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(
+      value
+    )}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+const XLSX_PARTS = {
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets><sheet name="Withdrawals" sheetId="1" r:id="rId1"/></sheets>' +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>',
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A plain deflate ZIP archive, which is all an .xlsx package is.
+function zipFiles(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(packed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, packed);
+    central.push(header, nameBytes);
+    offset += local.length + nameBytes.length + packed.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function createFormatter(format) {
+  const columns = format === 'bank' ? BANK_COLUMNS : COLUMNS;
+  const values = (w) => columns.map((column) => column.get(w));
+  if (format === 'json') {
+    let first = true;
+    return {
+      begin: () => '[\n',
+      row: (w) => {
+        const obj = Object.fromEntries(
+          columns.map((c) => [c.header, c.get(w)])
+        );
+        const prefix = first ? '' : ',\n';
+        first = false;
+        return prefix + JSON.stringify(obj);
+      },
+      end: () => '\n]\n',
+    };
+  }
+  if (format === 'xlsx') {
+    // The archive can only be written once the sheet is complete.
+    const header = columns.map((c) => c.header);
+    const rows = [xlsxRow(1, header)];
+    return {
+      begin: () => '',
+      row: (w) => {
+        rows.push(xlsxRow(rows.length + 1, values(w)));
+        return '';
+      },
+      end: () =>
+        zipFiles({
+          ...XLSX_PARTS,
+          'xl/worksheets/sheet1.xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rows.join('')}</sheetData></worksheet>`,
+        }),
+    };
+  }
+  return {
+    begin: () => columns.map((c) => c.header).join(',') + '\n',
+    row: (w) => values(w).map(csvField).join(',') + '\n',
+    end: () => '',
+  };
+}
+
+async function write(stream, chunk) {
+  if (chunk && !stream.write(chunk)) await once(stream, 'drain');
+}
+
+// Writes the export to `stream` and returns counts, totals and (for the bank
+// format) a per-handle summary.
+async function exportWithdrawals(db, options, stream) {
+  const formatter = createFormatter(options.format);
+  const summary = { count: 0, amount: 0, byHandle: {}, byMethod: {} };
+  await write(stream, formatter.begin());
+  for await (const w of withdrawalCursor(db, options)) {
+    summary.count += 1;
+    if (options.format === 'bank') {
+      summary.amount += netAmount(w);
+      const handle = w.upiHandle || 'unknown';
+      const group =
+        summary.byHandle[handle] ||
+        (summary.byHandle[handle] = { count: 0, amount: 0 });
+      group.count += 1;
+      group.amount += netAmount(w);
+    } else {
+      summary.amount += Number(w.amount || 0);
+      const method = payoutMethod(w) || 'unknown';
+      const group =
+        summary.byMethod[method] ||
+        (summary.byMethod[method] = { count: 0, amount: 0 });
+      group.count += 1;
+      group.amount += Number(w.amount || 0);
+    }
+    await write(stream, formatter.row(w));
+  }
+  await write(stream, formatter.end());
+  return summary;
+}
+
+function defaultFileName(format) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return `withdrawals-${format === 'bank' ? 'bank-' : ''}${stamp}.${
+    FORMATS[format].ext
+  }`;
+}
+
+function describeSummary(summary) {
+  const lines = [
+    `${summary.count} withdrawal(s), total ₹${summary.amount.toFixed(2)}`,
+  ];
+  for (const [handle, group] of Object.entries(summary.byHandle)) {
+    lines.push(`  @${handle}: ${group.count} — ₹${group.amount.toFixed(2)}`);
+  }
+  for (const [method, group] of Object.entries(summary.byMethod)) {
+    lines.push(`  ${method}: ${group.count} — ₹${group.amount.toFixed(2)}`);
+  }
+  return lines.join('\n');
+}
 
 async function run() {
+  const options = parseExportOptions(process.argv.slice(2));
   const client = new MongoClient(process.env.MONGO_URI);
   await client.connect();
-  const db = client.db(process.env.DB_NAME || 'tg_refbot');
-  const rows = await db.collection('withdrawals').find().toArray();
-  const csv = rows.map(r => `${r._id},${r.userId},${r.amount},${r.upi},${r.status},${r.requestedAt}`).join('\n');
-  fs.writeFileSync('withdrawals.csv', 'id,userId,amount,upi,status,requestedAt\n' + csv);
-  console.log('wrote withdrawals.csv');
-  await client.close();
-}
-run().catch(err => console.error(err));
+  const db = client.db(process.env.DB_NAME || 'tg_refbot_v2');
+  const toStdout = options.out === '-';
+  const fileName = options.out || defaultFileName(options.format);
+  const stream = toStdout ? process.stdout : fs.createWriteStream(fileName);
+  try {
+    const summary = await exportWithdrawals(db, options, stream);
+    if (!toStdout) {
+      stream.end();
+      await once(stream, 'finish');
+      console.error(`wrote ${fileName}`);
+    }
+    console.error(describeSummary(summary));
+  } finally {
+    await client.close();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  parseExportOptions,
+  exportWithdrawals,
+  defaultFileName,
+  describeSummary,
+};
+
+if (require.main === module) {
+  run().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,57 @@
+// import-settlements.js - reconcile a bank settlement CSV against withdrawals
+//
+// CLI:  node import-settlements.js <settlement.csv> [--dry-run] [--report file]
+// Rows that match a payable withdrawal with the same amount are marked paid
+// with their UTR and the user is notified; the rest are flagged in the report.
+const fs = require('fs');
+const {
+  connectDB,
+  closeDB,
+  loadRuntimeSettings,
+  importSettlementCsv,
+  describeSettlementReport,
+  buildSettlementReportCsv,
+} = require('./bot');
+
+function parseArgs(args) {
+  const options = { file: null, dryRun: false, report: null };
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    if (token === '--dry-run') options.dryRun = true;
+    else if (token === '--report') options.report = args[++i];
+    else if (token.startsWith('--report=')) options.report = token.slice(9);
+    else if (!options.file) options.file = token;
+    else throw new Error(`Unknown argument: ${token}`);
+  }
+  if (!options.file)
+    throw new Error(
+      'Usage: node import-settlements.js <settlement.csv> [--dry-run] [--report file]'
+    );
+  return options;
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const text = fs.readFileSync(options.file, 'utf8');
+  await connectDB();
+  try {
+    await loadRuntimeSettings();
+    const report = await importSettlementCsv(text, {
+      source: 'cli',
+      fileName: options.file,
+      dryRun: options.dryRun,
+    });
+    const reportFile =
+      options.report || `settlement-report-${String(report._id).slice(-6)}.csv`;
+    fs.writeFileSync(reportFile, buildSettlementReportCsv(report));
+    console.log(describeSettlementReport(report));
+    console.log(`wrote ${reportFile}`);
+  } finally {
+    await closeDB();
+  }
+}
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,170 @@
+// mock-payout-gateway.js - local stand-in for the HTTP payout gateway
+//
+// CLI:  node mock-payout-gateway.js
+// Env:  MOCK_GATEWAY_PORT (default 9090), PAYOUT_GATEWAY_KEY,
+//       PAYOUT_GATEWAY_SECRET, PAYOUT_CALLBACK_URL, MOCK_CALLBACK_DELAY_MS,
+//       MOCK_DROP_CALLBACKS (1 = settle silently, leaving it to status polls)
+// Speaks the same protocol the bot's gateway provider expects. Destinations
+// (UPI IDs, account holder names, ...) starting with "reject" are refused in
+// the batch response, those starting with "fail" are accepted and later
+// reported failed; everything else is paid.
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_GATEWAY_PORT || 9090);
+const API_KEY = process.env.PAYOUT_GATEWAY_KEY || '';
+const SECRET = process.env.PAYOUT_GATEWAY_SECRET || '';
+const DEFAULT_CALLBACK_URL =
+  process.env.PAYOUT_CALLBACK_URL ||
+  `http://localhost:${process.env.PORT || 8080}${
+    process.env.PAYOUT_CALLBACK_PATH || '/payouts/callback'
+  }`;
+const CALLBACK_DELAY_MS = Number(process.env.MOCK_CALLBACK_DELAY_MS || 2000);
+const DROP_CALLBACKS = process.env.MOCK_DROP_CALLBACKS === '1';
+
+// reference -> payout, so a resubmitted batch never pays twice.
+const payouts = new Map();
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function postCallback(url, event) {
+  const body = JSON.stringify(event);
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const req = client.request(
+    target,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Signature': sign(body),
+      },
+    },
+    (res) => {
+      res.resume();
+      console.log(
+        `callback ${event.reference} ${event.status} -> ${res.statusCode}`
+      );
+    }
+  );
+  req.on('error', (err) =>
+    console.error(`callback ${event.reference} failed: ${err.message}`)
+  );
+  req.end(body);
+}
+
+function settle(payout, callbackUrl) {
+  const failed = /^fail/i.test(payout.destination || payout.vpa || '');
+  payout.status = failed ? 'failed' : 'success';
+  payout.utr = failed ? undefined : String(Date.now()).slice(-12);
+  payout.reason = failed ? 'beneficiary bank declined the transfer' : undefined;
+  if (DROP_CALLBACKS) {
+    console.log(`callback ${payout.reference} ${payout.status} dropped`);
+    return;
+  }
+  postCallback(callbackUrl, describe(payout));
+}
+
+function describe(payout) {
+  return {
+    reference: payout.reference,
+    id: payout.id,
+    status: payout.status,
+    utr: payout.utr,
+    reason: payout.reason,
+  };
+}
+
+function checkAuth(req, res, body) {
+  if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+    send(res, 401, { error: 'bad_api_key' });
+    return false;
+  }
+  if (req.headers['x-signature'] !== sign(body)) {
+    send(res, 401, { error: 'bad_signature' });
+    return false;
+  }
+  return true;
+}
+
+async function handleBatch(req, res) {
+  const body = await readBody(req);
+  if (!checkAuth(req, res, body)) return;
+  const batch = JSON.parse(body);
+  const callbackUrl = batch.callbackUrl || DEFAULT_CALLBACK_URL;
+  const results = batch.payouts.map((item) => {
+    const known = payouts.get(item.reference);
+    if (known)
+      return { reference: item.reference, id: known.id, status: 'accepted' };
+    const destination = item.destination || item.vpa || '';
+    if (/^reject/i.test(destination) || !(item.amount > 0))
+      return {
+        reference: item.reference,
+        status: 'rejected',
+        reason: 'invalid beneficiary',
+      };
+    const payout = {
+      ...item,
+      id: `po_${crypto.randomBytes(6).toString('hex')}`,
+      status: 'accepted',
+    };
+    payouts.set(item.reference, payout);
+    setTimeout(() => settle(payout, callbackUrl), CALLBACK_DELAY_MS);
+    return { reference: item.reference, id: payout.id, status: 'accepted' };
+  });
+  console.log(`batch ${batch.batchId}: ${results.length} payout(s)`);
+  send(res, 200, { batchId: batch.batchId, payouts: results });
+}
+
+async function handleStatus(req, res) {
+  const body = await readBody(req);
+  if (!checkAuth(req, res, body)) return;
+  const { references } = JSON.parse(body);
+  const results = references.map((reference) => {
+    const payout = payouts.get(reference);
+    return payout ? describe(payout) : { reference, status: 'unknown' };
+  });
+  console.log(`status lookup: ${results.length} payout(s)`);
+  send(res, 200, { payouts: results });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url === '/v1/payouts/batch') {
+    handleBatch(req, res).catch((err) =>
+      send(res, 400, { error: err.message })
+    );
+    return;
+  }
+  if (req.method === 'POST' && req.url === '/v1/payouts/status') {
+    handleStatus(req, res).catch((err) =>
+      send(res, 400, { error: err.message })
+    );
+    return;
+  }
+  send(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `mock payout gateway on :${PORT}, callbacks to ${DEFAULT_CALLBACK_URL}`
+  );
+});